@@ -0,0 +1,99 @@
+/**
+ * adaptive.js
+ * Adaptive memory: how strongly the user's own actions say a domain is work.
+ *
+ * Stored in storage.local under `domainEvents`:
+ *   { [rootDomain]: [{ kind: "ignore" | "delete", at: number }, …] }   // oldest first
+ *
+ * Ignoring a suggestion adds an "ignore" event for each of its domains and
+ * deleting a domain's pages adds a "delete" event, which counts against it.
+ * Every event counts in full for its first day (FULL_WEIGHT_MS), then fades
+ * with the ignoreHalfLifeDays setting, so a domain ignored a lot months ago
+ * drifts back to normal scoring. A domain whose weight reaches
+ * autoWorkIgnoreCount is treated as work by the detection engine; the grace
+ * day is what lets N ignores in a row reach a threshold of N.
+ * Pure module: no browser APIs.
+ */
+
+export const DOMAIN_EVENT_WEIGHTS = { ignore: 1, delete: -1 };
+
+const DAY_MS                = 24 * 60 * 60 * 1000;
+const FULL_WEIGHT_MS        = DAY_MS;   // an event only starts fading after this
+const MAX_EVENTS_PER_DOMAIN = 50;
+const FORGET_BELOW          = 0.01;  // events that have faded below this are dropped (~7 half-lives)
+
+/** How much of an event's weight is left after `now - at`. */
+function decay(at, halfLifeDays, now) {
+  return 0.5 ** (Math.max(0, now - at - FULL_WEIGHT_MS) / (halfLifeDays * DAY_MS));
+}
+
+/**
+ * Decayed weight of one domain's events; positive leans work.
+ * @param {Array<{ kind: string, at: number }>} events
+ * @param {number} halfLifeDays
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function domainWeight(events, halfLifeDays, now = Date.now()) {
+  return (events || []).reduce((sum, e) => sum + (DOMAIN_EVENT_WEIGHTS[e.kind] || 0) * decay(e.at, halfLifeDays, now), 0);
+}
+
+/**
+ * Weights of every domain that still has any, for the detection context.
+ * @param {Object<string, object[]>} domainEvents
+ * @returns {Object<string, number>}
+ */
+export function domainWeights(domainEvents, halfLifeDays, now = Date.now()) {
+  const out = {};
+  for (const [domain, events] of Object.entries(domainEvents || {})) {
+    const weight = domainWeight(events, halfLifeDays, now);
+    if (weight !== 0) out[domain] = weight;
+  }
+  return out;
+}
+
+/**
+ * Adds one event per domain to a copy of the map and drops events that have
+ * faded away.
+ * @param {Object<string, object[]>} domainEvents
+ * @param {string[]} domains - Root domains.
+ * @param {"ignore"|"delete"} kind
+ * @returns {Object<string, object[]>}
+ */
+export function recordDomainEvents(domainEvents, domains, kind, halfLifeDays, now = Date.now()) {
+  if (!(kind in DOMAIN_EVENT_WEIGHTS)) throw new Error(`Unknown domain event "${kind}"`);
+  const next = {};
+  for (const [domain, events] of Object.entries(domainEvents || {})) {
+    const kept = events.filter(e => decay(e.at, halfLifeDays, now) >= FORGET_BELOW);
+    if (kept.length > 0) next[domain] = kept;
+  }
+  for (const domain of new Set(domains)) {
+    next[domain] = [...(next[domain] || []), { kind, at: now }].slice(-MAX_EVENTS_PER_DOMAIN);
+  }
+  return next;
+}
+
+/**
+ * Every remembered domain for the Adaptive memory view, heaviest first.
+ * @param {Object<string, object[]>} domainEvents
+ * @param {{ halfLifeDays: number, threshold: number }} options
+ * @returns {Array<{ domain: string, weight: number, elevated: boolean, ignores: number, deletes: number,
+ *   lastIgnoredAt: number|null }>}
+ */
+export function summarizeDomainEvents(domainEvents, { halfLifeDays, threshold }, now = Date.now()) {
+  return Object.entries(domainEvents || {})
+    .map(([domain, events]) => {
+      const weight  = domainWeight(events, halfLifeDays, now);
+      const ignores = events.filter(e => e.kind === "ignore");
+      return {
+        domain,
+        weight,
+        elevated:      weight >= threshold,
+        ignores:       ignores.length,
+        deletes:       events.length - ignores.length,
+        lastIgnoredAt: ignores.length > 0 ? ignores[ignores.length - 1].at : null,
+      };
+    })
+    .filter(d => d.ignores > 0)
+    .sort((a, b) => b.weight - a.weight);
+}
@@ -0,0 +1,334 @@
+/**
+ * backtest/run.js
+ * Replays labeled browsing sessions through the detection engine and reports
+ * how well it separates work from personal browsing.
+ *
+ *   node backtest/run.js [fixture files or directories…] [options]
+ *
+ *   --set key=value     Override a detection setting for every fixture
+ *                       (e.g. --set workSignalWeight=0.8). Repeatable.
+ *   --rules <file>      JSON array of extra intent rules, checked before the
+ *                       fixture's own rules and the built-ins.
+ *   --min-precision n   Exit with status 1 if precision at the threshold is below n.
+ *   --min-recall n      Exit with status 1 if recall at the threshold is below n.
+ *   --verbose           List every session the engine got wrong.
+ *   --json              Print the report as JSON.
+ *
+ * Fixture files (default: backtest/fixtures/*.json) look like:
+ *   {
+ *     "description": "…",
+ *     "context": {                       // all optional
+ *       "domainPrefs":   { "github.com": "work", "acme.dev": "ctx_client_a" },
+ *       "contexts":      [{ "id": "ctx_client_a", "name": "Client A", "color": "#7c5cff", "polarity": "work" }],
+ *       "ignoreWeights": { "figma.com": 4 },   // already decayed, see adaptive.js
+ *       "intentRules":   [ …user rules, same shape as storage… ],
+ *       "workSchedule":  { …see schedule.js… },
+ *       "learnedModel":  { …see classifier.js… },
+ *       "settings":      { "confidenceThreshold": 4, … }
+ *     },
+ *     "sessions": [
+ *       { "id": "…", "label": "work" | "personal" | "mixed",
+ *         "visits": [{ "url": "…", "title": "…", "time": "2026-03-02T09:14:00", "transition": "link" }] }
+ *     ]
+ *   }
+ *
+ * Times without a zone are local, so the work schedule applies as it would
+ * in the browser. "mixed" and "personal" sessions should be flagged, "work"
+ * sessions should not.
+ */
+
+import { readFileSync, readdirSync, statSync } from "node:fs";
+import { join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  DETECTION_DEFAULTS, makeDetectionContext, mergeIntentRules, validateIntentRules, detectMixedSessions,
+} from "../detection.js";
+import { validateWorkSchedule } from "../schedule.js";
+import { validateContexts, mergeContexts } from "../contexts.js";
+import { SITE_CATALOGUE_VERSION } from "../data/site_categories.js";
+
+const LABELS          = ["work", "personal", "mixed"];
+const POSITIVE_LABELS = new Set(["personal", "mixed"]);
+const CURVE_STEP      = 0.5;
+const DEFAULT_FIXTURES = fileURLToPath(new URL("./fixtures", import.meta.url));
+
+class FixtureError extends Error {}
+
+// ── Arguments ──────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const args = { paths: [], overrides: {}, rules: [], minPrecision: null, minRecall: null, verbose: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new FixtureError(`${arg} needs a value.`);
+      return argv[++i];
+    };
+
+    if (arg === "--set") {
+      const [key, value] = next().split("=");
+      if (!(key in DETECTION_DEFAULTS)) throw new FixtureError(`Unknown setting "${key}". Known: ${Object.keys(DETECTION_DEFAULTS).join(", ")}.`);
+      if (!Number.isFinite(Number(value))) throw new FixtureError(`--set ${key} needs a number.`);
+      args.overrides[key] = Number(value);
+    } else if (arg === "--rules") {
+      const file = next();
+      args.rules = checkRules(readJson(file), file);
+    } else if (arg === "--min-precision") {
+      args.minPrecision = Number(next());
+    } else if (arg === "--min-recall") {
+      args.minRecall = Number(next());
+    } else if (arg === "--verbose") {
+      args.verbose = true;
+    } else if (arg === "--json") {
+      args.json = true;
+    } else if (arg.startsWith("--")) {
+      throw new FixtureError(`Unknown option ${arg}.`);
+    } else {
+      args.paths.push(arg);
+    }
+  }
+  if (args.paths.length === 0) args.paths.push(DEFAULT_FIXTURES);
+  return args;
+}
+
+// ── Fixtures ───────────────────────────────────────────────────────────────
+function readJson(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new FixtureError(`${file}: ${err.message}`);
+  }
+}
+
+function checkRules(rules, where) {
+  const { rules: valid, errors } = validateIntentRules(rules);
+  if (errors.length > 0) {
+    const { index, message } = errors[0];
+    throw new FixtureError(`${where}: rule ${index + 1}: ${message}`);
+  }
+  return valid;
+}
+
+function checkContexts(contexts, where) {
+  const { contexts: valid, errors } = validateContexts(contexts);
+  if (errors.length > 0) {
+    const { index, message } = errors[0];
+    throw new FixtureError(`${where}: ${index >= 0 ? `context ${index + 1}: ` : ""}${message}`);
+  }
+  return valid;
+}
+
+function listFixtureFiles(paths) {
+  return paths.flatMap(path => {
+    if (!statSync(path, { throwIfNoEntry: false })) throw new FixtureError(`${path}: no such file or directory.`);
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path).filter(name => name.endsWith(".json")).sort().map(name => join(path, name));
+  });
+}
+
+/** Converts fixture visits into buildVisitTimeline's visit shape. */
+function toVisits(session, where) {
+  if (!Array.isArray(session.visits) || session.visits.length === 0) {
+    throw new FixtureError(`${where}: "visits" must be a non-empty list.`);
+  }
+  return session.visits.map((v, i) => {
+    const visitTime = typeof v.time === "number" ? v.time : Date.parse(v.time);
+    if (!v.url || !Number.isFinite(visitTime)) {
+      throw new FixtureError(`${where}: visit ${i + 1} needs a url and a valid time.`);
+    }
+    return {
+      url:              v.url,
+      title:            v.title || "",
+      visitTime,
+      visitId:          v.visitId ?? null,
+      referringVisitId: v.referringVisitId ?? null,
+      transition:       v.transition || "link",
+    };
+  });
+}
+
+/**
+ * Builds one detection context per fixture file.
+ * @param {object} fixture
+ * @param {{ overrides: object, rules: object[] }} args
+ */
+function fixtureContext(fixture, args, where) {
+  const context  = fixture.context || {};
+  const settings = { ...(context.settings || {}), ...args.overrides };
+  for (const key of Object.keys(settings)) {
+    if (!(key in DETECTION_DEFAULTS)) throw new FixtureError(`${where}: unknown setting "${key}".`);
+  }
+
+  let workSchedule;
+  if (context.workSchedule) {
+    const result = validateWorkSchedule(context.workSchedule);
+    if (result.errors.length > 0) throw new FixtureError(`${where}: ${result.errors[0].message}`);
+    workSchedule = result.schedule;
+  }
+
+  const fixtureRules = context.intentRules ? checkRules(context.intentRules, where) : [];
+  return makeDetectionContext({
+    domainPrefs:   context.domainPrefs   || {},
+    contexts:      mergeContexts(context.contexts ? checkContexts(context.contexts, where) : []),
+    ignoreWeights: context.ignoreWeights || {},
+    rules:         mergeIntentRules([...args.rules, ...fixtureRules]),
+    model:         context.learnedModel  || null,
+    ...(workSchedule ? { workSchedule } : {}),
+    ...settings,
+  });
+}
+
+/**
+ * Scores every labeled session. A session's score is its best suggestion with
+ * the threshold removed, or null when no part of it could ever be flagged
+ * (too short, or no personal category matched).
+ */
+function scoreFixtures(files, args) {
+  const results = [];
+
+  for (const file of files) {
+    const where   = relative(process.cwd(), file);
+    const fixture = readJson(file);
+    const ctx     = fixtureContext(fixture, args, where);
+    const open    = { ...ctx, confidenceThreshold: -Infinity };
+
+    (fixture.sessions || []).forEach((session, i) => {
+      const id = session.id || `#${i + 1}`;
+      if (!LABELS.includes(session.label)) {
+        throw new FixtureError(`${where}: session ${id}: label must be one of ${LABELS.join(", ")}.`);
+      }
+      const suggestions = detectMixedSessions(toVisits(session, `${where}: session ${id}`), open);
+      results.push({
+        file:      where,
+        id,
+        label:     session.label,
+        positive:  POSITIVE_LABELS.has(session.label),
+        score:     suggestions.length > 0 ? suggestions[0].score : null,
+        threshold: ctx.confidenceThreshold,
+      });
+    });
+  }
+  return results;
+}
+
+// ── Metrics ────────────────────────────────────────────────────────────────
+function isFlagged(result, threshold) {
+  return result.score !== null && result.score >= threshold;
+}
+
+/**
+ * @param {object[]} results
+ * @param {(r: object) => number} thresholdFor
+ */
+function confusion(results, thresholdFor) {
+  const m = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (const r of results) {
+    const flagged = isFlagged(r, thresholdFor(r));
+    if (flagged && r.positive)   m.tp++;
+    else if (flagged)            m.fp++;
+    else if (r.positive)         m.fn++;
+    else                         m.tn++;
+  }
+  const precision = m.tp + m.fp > 0 ? m.tp / (m.tp + m.fp) : 1;
+  const recall    = m.tp + m.fn > 0 ? m.tp / (m.tp + m.fn) : 1;
+  const f1        = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+  return { ...m, flagged: m.tp + m.fp, precision, recall, f1 };
+}
+
+function thresholdCurve(results) {
+  const maxScore = Math.max(0, ...results.map(r => r.score ?? 0));
+  const top      = Math.max(10, Math.ceil(maxScore / CURVE_STEP) * CURVE_STEP);
+  const curve    = [];
+  for (let t = CURVE_STEP; t <= top + 1e-9; t += CURVE_STEP) {
+    const threshold = Math.round(t * 100) / 100;
+    curve.push({ threshold, ...confusion(results, () => threshold) });
+  }
+  return curve;
+}
+
+function buildReport(results, files) {
+  const atThreshold = confusion(results, r => r.threshold);
+  const curve       = thresholdCurve(results);
+  const best        = curve.reduce((a, b) => (b.f1 > a.f1 ? b : a), curve[0]);
+
+  const byLabel = Object.fromEntries(LABELS.map(label => {
+    const group = results.filter(r => r.label === label);
+    return [label, { sessions: group.length, flagged: group.filter(r => isFlagged(r, r.threshold)).length }];
+  }));
+
+  const mistakes = results
+    .filter(r => isFlagged(r, r.threshold) !== r.positive)
+    .map(r => ({ file: r.file, id: r.id, label: r.label, score: r.score, threshold: r.threshold }));
+
+  return {
+    fixtures:         files.length,
+    sessions:         results.length,
+    catalogueVersion: SITE_CATALOGUE_VERSION,
+    byLabel, atThreshold, bestF1: best, curve, mistakes,
+  };
+}
+
+// ── Output ─────────────────────────────────────────────────────────────────
+function pct(n) {
+  return `${(n * 100).toFixed(1)}%`.padStart(6);
+}
+
+function printReport(report, verbose) {
+  const { atThreshold: m, bestF1: best } = report;
+  const labels = LABELS.map(l => `${l} ${report.byLabel[l].sessions}`).join(", ");
+
+  console.log(`Backtest: ${report.sessions} sessions from ${report.fixtures} fixture file(s) (${labels}), ` +
+    `site catalogue v${report.catalogueVersion}`);
+  console.log("");
+  console.log(`At the configured threshold: precision ${pct(m.precision).trim()}, recall ${pct(m.recall).trim()}, F1 ${m.f1.toFixed(3)}`);
+  console.log(`  flagged ${m.flagged}  ·  true positives ${m.tp}  ·  false positives ${m.fp}  ·  missed ${m.fn}  ·  correctly left alone ${m.tn}`);
+  for (const label of LABELS) {
+    const { sessions, flagged } = report.byLabel[label];
+    if (sessions > 0) console.log(`  ${label.padEnd(8)} ${flagged}/${sessions} flagged`);
+  }
+  console.log("");
+  console.log("Threshold curve");
+  console.log("  threshold  flagged  precision  recall     F1");
+  for (const row of report.curve) {
+    const mark = row.threshold === best.threshold ? "  ← best F1" : "";
+    console.log(
+      `  ${row.threshold.toFixed(1).padStart(9)}  ${String(row.flagged).padStart(7)}  ${pct(row.precision).padStart(9)}  ` +
+      `${pct(row.recall)}  ${row.f1.toFixed(3)}${mark}`
+    );
+  }
+
+  if (verbose && report.mistakes.length > 0) {
+    console.log("");
+    console.log("Misclassified at the configured threshold");
+    for (const x of report.mistakes) {
+      const score = x.score === null ? "never flaggable" : `score ${x.score.toFixed(2)} vs ${x.threshold}`;
+      console.log(`  ${x.file} › ${x.id} (${x.label}): ${score}`);
+    }
+  }
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    const files = listFixtureFiles(args.paths);
+    if (files.length === 0) throw new FixtureError("No fixture files found.");
+
+    const report = buildReport(scoreFixtures(files, args), files);
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report, args.verbose);
+
+    const { precision, recall } = report.atThreshold;
+    if ((args.minPrecision !== null && precision < args.minPrecision) ||
+        (args.minRecall    !== null && recall    < args.minRecall)) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    if (!(err instanceof FixtureError)) throw err;
+    console.error(`backtest: ${err.message}`);
+    process.exitCode = 2;
+  }
+}
+
+main();
@@ -0,0 +1,358 @@
+/**
+ * backup.js
+ * Backup and restore of everything the extension has learned and been told.
+ *
+ * A backup is a JSON document:
+ *   { format: BACKUP_FORMAT, schemaVersion, exportedAt, data: { [section]: value } }
+ * with one section per storage.local key in BACKUP_SECTIONS. History itself,
+ * the trash and deletion jobs are not included.
+ *
+ * Importing runs the document through the same migrations as live storage
+ * (migrations.js), so a backup from an older version — or a raw storage.local
+ * dump from before backups were versioned — still imports. Every section is
+ * validated with its own module's rules, then either merged into the current
+ * state or replaces it, and the result is diffed against the current state so
+ * the options page can show what would change before anything is written.
+ * Storage is read and written by the caller (service_worker.js).
+ */
+
+import { migrateState, SCHEMA_VERSION } from "./migrations.js";
+import { validateContexts, BUILTIN_CONTEXTS, makeDomainPref, prefContextId } from "./contexts.js";
+import { validateIntentRules } from "./detection.js";
+import { validatePolicy } from "./policies.js";
+import { validateSettings } from "./settings.js";
+import { DOMAIN_EVENT_WEIGHTS } from "./adaptive.js";
+import { MODEL_CLASSES } from "./classifier.js";
+
+export const BACKUP_FORMAT     = "smart-history-manager-backup";
+export const IMPORT_STRATEGIES = ["merge", "replace"];
+
+const MAX_EVENTS_PER_DOMAIN = 50;  // as adaptive.js keeps them
+
+const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+const isFiniteCount = n => Number.isFinite(n) && n >= 0;
+
+// A context id, or { context, protected: true } for a protected domain (see contexts.js)
+const isDomainPref = pref => (typeof pref === "string" && pref !== "") ||
+  (isPlainObject(pref) && pref.protected === true && (pref.context === null || (typeof pref.context === "string" && pref.context !== "")));
+
+function error(field, message) {
+  return { field, message };
+}
+
+/** Keeps the later of two lists' entries that share a key, in first-seen order. */
+function unionBy(current, incoming, keyOf) {
+  const byKey = new Map(current.map(item => [keyOf(item), item]));
+  for (const item of incoming) byKey.set(keyOf(item), item);
+  return [...byKey.values()];
+}
+
+function modelDocs(model) {
+  return model ? MODEL_CLASSES.reduce((n, c) => n + (model.classes[c]?.docs || 0), 0) : 0;
+}
+
+// ── Sections ────────────────────────────────────────────────────────────────
+// Each section knows its empty value, how to validate an imported value, how
+// to merge one into the current value, and how to list its entries for the
+// diff as { id, label, value }.
+
+const SECTIONS = {
+  settings: {
+    label: "Settings",
+    empty: () => ({}),
+    validate(value) {
+      if (!isPlainObject(value)) return { errors: [error("settings", "Settings must be an object.")] };
+      const { settings, errors } = validateSettings(value);
+      return { value: settings, errors: errors.map(e => error("settings", `Settings: ${e.message}`)) };
+    },
+    merge: (current, incoming) => ({ ...current, ...incoming }),
+    entries: settings => Object.entries(settings).map(([field, value]) => ({ id: field, label: field, value })),
+  },
+
+  contexts: {
+    label: "Contexts",
+    empty: () => [],
+    validate(value) {
+      const { contexts, errors } = validateContexts(value);
+      return { value: contexts, errors: errors.map(e => error("contexts", `Contexts: ${e.message}`)) };
+    },
+    // By id: mergeState has already given an imported context named like a current one that one's id
+    merge: (current, incoming) => unionBy(current, incoming, c => c.id),
+    entries: contexts => contexts.map(c => ({ id: c.id, label: c.name, value: c })),
+  },
+
+  domainPrefs: {
+    label: "Domain contexts and protection",
+    empty: () => ({}),
+    validate(value) {
+      if (!isPlainObject(value)) return { errors: [error("domainPrefs", "Domain contexts must be an object.")] };
+      const bad = Object.entries(value).find(([domain, pref]) => !domain || !isDomainPref(pref));
+      return bad
+        ? { errors: [error("domainPrefs", `Domain contexts: "${bad[0]}" has no valid context.`)] }
+        : { value, errors: [] };
+    },
+    // The imported context wins; a domain protected on either side stays protected
+    merge(current, incoming) {
+      const merged = { ...current };
+      for (const [domain, pref] of Object.entries(incoming)) {
+        const contextId = prefContextId(pref) || prefContextId(current[domain]);
+        merged[domain]  = makeDomainPref(contextId, pref?.protected === true || current[domain]?.protected === true);
+      }
+      return merged;
+    },
+    entries: prefs => Object.entries(prefs).map(([domain, pref]) => ({ id: domain, label: domain, value: pref })),
+  },
+
+  ignoredSessions: {
+    label: "Ignored suggestions",
+    empty: () => [],
+    validate(value) {
+      if (!Array.isArray(value) || !value.every(id => typeof id === "string")) {
+        return { errors: [error("ignoredSessions", "Ignored suggestions must be a list of ids.")] };
+      }
+      return { value: [...new Set(value)], errors: [] };
+    },
+    merge: (current, incoming) => [...new Set([...current, ...incoming])],
+    entries: ids => ids.map(id => ({ id, label: id, value: true })),
+  },
+
+  domainEvents: {
+    label: "Adaptive memory",
+    empty: () => ({}),
+    validate(value) {
+      if (!isPlainObject(value)) return { errors: [error("domainEvents", "Adaptive memory must be an object.")] };
+      const out = {};
+      for (const [domain, events] of Object.entries(value)) {
+        const valid = Array.isArray(events) && events.every(e =>
+          isPlainObject(e) && Object.hasOwn(DOMAIN_EVENT_WEIGHTS, e.kind) && isFiniteCount(e.at));
+        if (!valid) return { errors: [error("domainEvents", `Adaptive memory: the events for "${domain}" are malformed.`)] };
+        if (events.length > 0) out[domain] = events.map(e => ({ kind: e.kind, at: e.at })).slice(-MAX_EVENTS_PER_DOMAIN);
+      }
+      return { value: out, errors: [] };
+    },
+    // Events are deduplicated, so importing the same backup twice doesn't count anything twice
+    merge(current, incoming) {
+      const out = { ...current };
+      for (const [domain, events] of Object.entries(incoming)) {
+        const seen = new Map([...(out[domain] || []), ...events].map(e => [`${e.kind}@${e.at}`, e]));
+        out[domain] = [...seen.values()].sort((a, b) => a.at - b.at).slice(-MAX_EVENTS_PER_DOMAIN);
+      }
+      return out;
+    },
+    entries: events => Object.entries(events).map(([domain, list]) => ({ id: domain, label: domain, value: list })),
+  },
+
+  intentRules: {
+    label: "Intent rules",
+    empty: () => [],
+    validate(value) {
+      const { rules, errors } = validateIntentRules(value);
+      return { value: rules, errors: errors.map(e => error("intentRules", `Intent rule ${e.index + 1}: ${e.message}`)) };
+    },
+    // A rule is its pattern: one with the same type and match replaces the current one
+    merge: (current, incoming) => unionBy(current, incoming, r => `${r.type}:${r.match}`),
+    entries: rules => rules.map(r => ({ id: `${r.type}:${r.match}`, label: r.label, value: r })),
+  },
+
+  cleanupPolicies: {
+    label: "Cleanup policies",
+    empty: () => [],
+    validate(value, { categories }) {
+      if (!Array.isArray(value)) return { errors: [error("cleanupPolicies", "Cleanup policies must be a list.")] };
+      const errors   = [];
+      const policies = value.map((raw, i) => {
+        const { policy, errors: policyErrors } = validatePolicy(raw, categories);
+        errors.push(...policyErrors.map(e => error("cleanupPolicies", `Policy ${i + 1}: ${e.message}`)));
+        return policy;
+      });
+      return { value: policies, errors };
+    },
+    merge: (current, incoming) => unionBy(current, incoming, p => p.id),
+    entries: policies => policies.map(p => ({ id: p.id, label: p.name, value: p })),
+  },
+
+  learnedModel: {
+    label: "Learned model",
+    empty: () => null,
+    validate(value) {
+      if (value === null) return { value, errors: [] };
+      const valid = isPlainObject(value) && isPlainObject(value.classes) && MODEL_CLASSES.every((c) => {
+        const cls = value.classes[c];
+        return isPlainObject(cls) && isFiniteCount(cls.docs) && isFiniteCount(cls.tokens) &&
+          isPlainObject(cls.counts) && Object.values(cls.counts).every(isFiniteCount);
+      });
+      return valid ? { value, errors: [] } : { errors: [error("learnedModel", "The learned model is malformed.")] };
+    },
+    // Two models can't be added without counting the pages both saw twice, so the better-trained one is kept
+    merge: (current, incoming) => (modelDocs(incoming) > modelDocs(current) ? incoming : current),
+    entries(model) {
+      const docs = modelDocs(model);
+      return model ? [{ id: "model", label: `trained on ${docs} page${docs !== 1 ? "s" : ""}`, value: model }] : [];
+    },
+  },
+};
+
+/** storage.local keys a backup holds, in the order the preview lists them. */
+export const BACKUP_SECTIONS = Object.keys(SECTIONS);
+
+// ── Export ──────────────────────────────────────────────────────────────────
+
+/**
+ * Builds a backup document from storage.local.
+ * @param {object} stored - At least the BACKUP_SECTIONS keys; migrated first if it isn't yet.
+ * @param {number} [now]
+ * @returns {{ format: string, schemaVersion: number, exportedAt: string, data: object }}
+ */
+export function createBackup(stored, now = Date.now()) {
+  const { state } = migrateState(stored || {}, now);
+  return {
+    format:        BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt:    new Date(now).toISOString(),
+    data:          Object.fromEntries(BACKUP_SECTIONS.map(key => [key, state[key] ?? SECTIONS[key].empty()])),
+  };
+}
+
+// ── Import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Migrates and validates an imported document.
+ * @param {any} doc - Parsed JSON: a backup, or a bare storage.local object.
+ * @param {{ categories: string[] }} options - Categories a policy may target besides the backup's own rules'.
+ * @param {number} [now]
+ * @returns {{ data: object, applied: string[], errors: Array<{ field: string, message: string }> }}
+ *   `data` holds only the sections the document has.
+ */
+export function readBackup(doc, { categories }, now = Date.now()) {
+  const fail = message => ({ data: {}, applied: [], errors: [error("backup", message)] });
+  if (!isPlainObject(doc)) return fail("This file is not a backup.");
+
+  const wrapped = doc.format === BACKUP_FORMAT;
+  if (doc.format !== undefined && !wrapped) return fail("This file is not a Smart History Manager backup.");
+  const raw     = wrapped ? doc.data : doc;
+  const version = wrapped ? doc.schemaVersion : raw.schemaVersion ?? 0;
+  if (!isPlainObject(raw)) return fail("The backup has no data.");
+  if (!Number.isInteger(version) || version < 0) return fail("The backup's schema version is invalid.");
+  if (version > SCHEMA_VERSION) {
+    return fail(`This backup is from a newer version of the extension (schema ${version}). Update the extension first.`);
+  }
+
+  const { state, applied } = migrateState({ ...raw, schemaVersion: version }, now);
+
+  // Policies may target categories that only the backup's own rules define
+  const ruleCategories = Array.isArray(state.intentRules)
+    ? state.intentRules.filter(r => r?.score > 0).map(r => String(r.category || "").trim().toLowerCase())
+    : [];
+  const lookups = { categories: [...new Set([...categories, ...ruleCategories])] };
+
+  const data   = {};
+  const errors = [];
+  for (const key of BACKUP_SECTIONS) {
+    if (state[key] === undefined) continue;
+    const result = SECTIONS[key].validate(state[key], lookups);
+    if (result.errors.length > 0) errors.push(...result.errors);
+    else data[key] = result.value;
+  }
+
+  return { data, applied, errors };
+}
+
+/**
+ * The state an import leaves behind.
+ * merge   — imported entries are added; where both have one, the imported one wins.
+ * replace — the backup becomes the state; sections it lacks are emptied.
+ * @param {object} current - Current storage.local values for BACKUP_SECTIONS.
+ * @param {object} incoming - `data` from readBackup.
+ * @param {"merge"|"replace"} strategy
+ * @returns {{ state: object, errors: Array<{ field: string, message: string }> }}
+ */
+export function mergeState(current, incoming, strategy) {
+  const base = key => (strategy === "merge" ? current[key] ?? SECTIONS[key].empty() : SECTIONS[key].empty());
+
+  // An imported context named like a current one is that context: its domains move over to the current id
+  const renamed = new Map();
+  if (strategy === "merge") {
+    const byName = new Map((current.contexts || []).map(c => [c.name.toLowerCase(), c.id]));
+    for (const c of incoming.contexts || []) {
+      const id = byName.get(c.name.toLowerCase());
+      if (id && id !== c.id) renamed.set(c.id, id);
+    }
+  }
+  const remapped = { ...incoming };
+  if (incoming.contexts) {
+    remapped.contexts = incoming.contexts.map(c => (renamed.has(c.id) ? { ...c, id: renamed.get(c.id) } : c));
+  }
+  if (incoming.domainPrefs) {
+    remapped.domainPrefs = Object.fromEntries(Object.entries(incoming.domainPrefs).map(([d, pref]) => {
+      const id = prefContextId(pref);
+      return [d, makeDomainPref(renamed.get(id) || id, pref?.protected === true)];
+    }));
+  }
+
+  const state = {};
+  for (const key of BACKUP_SECTIONS) {
+    state[key] = remapped[key] === undefined ? base(key) : SECTIONS[key].merge(base(key), remapped[key]);
+  }
+
+  // Limits that only the combined state can break
+  const errors = validateContexts(state.contexts).errors
+    .filter(e => e.index === -1)
+    .map(e => error("contexts", `Contexts: ${e.message}`));
+
+  // Every imported domain must point at a context that exists afterwards: a
+  // built-in, one from the backup or, when merging, one the user already has
+  const known    = new Set([...BUILTIN_CONTEXTS, ...state.contexts].map(c => c.id));
+  const dangling = Object.entries(remapped.domainPrefs || {}).find(([, pref]) => prefContextId(pref) && !known.has(prefContextId(pref)));
+  if (dangling) {
+    const where = strategy === "merge" ? "the backup or your current contexts" : "the backup";
+    errors.push(error("domainPrefs", `Domain contexts: "${dangling[0]}" points at a context missing from ${where}.`));
+  }
+  return { state, errors };
+}
+
+/**
+ * What an import would change, section by section.
+ * @param {object} current
+ * @param {object} next - From mergeState.
+ * @returns {Array<{ key: string, label: string, added: string[], removed: string[], changed: string[],
+ *   unchanged: number }>} entry labels per change, every section included
+ */
+export function diffState(current, next) {
+  return BACKUP_SECTIONS.map((key) => {
+    const { label, entries, empty } = SECTIONS[key];
+    const before = new Map(entries(current[key] ?? empty()).map(e => [e.id, e]));
+    const after  = new Map(entries(next[key] ?? empty()).map(e => [e.id, e]));
+    const diff   = { key, label, added: [], removed: [], changed: [], unchanged: 0 };
+
+    for (const [id, entry] of after) {
+      const old = before.get(id);
+      if (!old) diff.added.push(entry.label);
+      else if (JSON.stringify(old.value) !== JSON.stringify(entry.value)) diff.changed.push(entry.label);
+      else diff.unchanged++;
+    }
+    for (const [id, entry] of before) if (!after.has(id)) diff.removed.push(entry.label);
+    return diff;
+  });
+}
+
+/**
+ * Reads, merges and diffs an import in one go.
+ * @param {object} current - Current storage.local values for BACKUP_SECTIONS.
+ * @param {any} doc - Parsed backup.
+ * @param {string} strategy - One of IMPORT_STRATEGIES.
+ * @param {{ categories: string[] }} options
+ * @param {number} [now]
+ * @returns {{ state?: object, diff?: object[], applied: string[], errors: object[] }}
+ *   `state` and `diff` are only present when there are no errors.
+ */
+export function planImport(current, doc, strategy, options, now = Date.now()) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    return { applied: [], errors: [error("strategy", `Strategy must be one of: ${IMPORT_STRATEGIES.join(", ")}.`)] };
+  }
+  const { data, applied, errors } = readBackup(doc, options, now);
+  if (errors.length > 0) return { applied, errors };
+
+  const merged = mergeState(current, data, strategy);
+  if (merged.errors.length > 0) return { applied, errors: merged.errors };
+  return { state: merged.state, diff: diffState(current, merged.state), applied, errors: [] };
+}
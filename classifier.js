@@ -0,0 +1,218 @@
+/**
+ * classifier.js
+ * On-device naive Bayes model that learns which pages are work and which are
+ * personal from what the user does: Ignore (work), deleting pages from a
+ * reviewed suggestion (personal) and Work / Personal domain tags.
+ *
+ * Stored in storage.local under `learnedModel`:
+ *   {
+ *     version:   1,
+ *     updatedAt: number,
+ *     classes: {
+ *       work:     { docs: number, tokens: number, counts: { [token]: number } },
+ *       personal: { docs: number, tokens: number, counts: { [token]: number } },
+ *     },
+ *   }
+ *
+ * Each page is a set of tokens — "host:<root domain>", "sub:<hostname>",
+ * "path:<word>" and "title:<word>". Pure module: no browser APIs.
+ */
+
+import { getDomain, getRootDomain } from "./domains.js";
+
+export const MODEL_CLASSES = ["work", "personal"];
+
+// Pages each class needs before the model's opinion is used in scoring
+export const MIN_DOCS_PER_CLASS = 5;
+
+// Vocabulary cap; the rarest tokens are pruned down to 90% of it when exceeded
+const MAX_VOCABULARY = 4000;
+
+const WORD_RE      = /[\p{L}\p{N}]+/gu;
+const MIN_WORD_LEN = 2;
+const MAX_WORD_LEN = 24;
+const MAX_DIGITS   = 2;  // words with more digits are ids, not vocabulary
+
+const TITLE_STOPWORDS = new Set([
+  "the", "and", "for", "with", "you", "your", "from", "this", "that", "are", "how",
+  "what", "why", "who", "was", "has", "have", "not", "but", "all", "our", "its", "new",
+  "com", "www", "http", "https", "html", "home", "page", "of", "to", "in", "on", "at",
+  "is", "it", "by", "an", "or", "as", "be", "de", "la", "le", "el", "en",
+]);
+
+/** An empty model. */
+export function createModel() {
+  return {
+    version:   1,
+    updatedAt: null,
+    classes:   Object.fromEntries(MODEL_CLASSES.map(c => [c, { docs: 0, tokens: 0, counts: {} }])),
+  };
+}
+
+function words(text) {
+  return (String(text || "").toLowerCase().match(WORD_RE) || []).filter(w =>
+    w.length >= MIN_WORD_LEN &&
+    w.length <= MAX_WORD_LEN &&
+    (w.match(/\d/g) || []).length <= MAX_DIGITS
+  );
+}
+
+/**
+ * Feature tokens for one page.
+ * @param {string} url
+ * @param {string} [title]
+ * @returns {string[]} distinct tokens
+ */
+export function tokenizePage(url, title = "") {
+  const tokens = new Set();
+  const host   = getDomain(url);
+  if (!host) return [];
+
+  const root = getRootDomain(host);
+  tokens.add(`host:${root}`);
+  if (host.replace(/^www\./, "") !== root) tokens.add(`sub:${host}`);
+
+  let path = "";
+  try { path = decodeURIComponent(new URL(url).pathname); } catch (_) { path = new URL(url).pathname; }
+  for (const w of words(path)) tokens.add(`path:${w}`);
+
+  for (const w of words(title)) {
+    if (w.length >= 3 && !TITLE_STOPWORDS.has(w)) tokens.add(`title:${w}`);
+  }
+  return [...tokens];
+}
+
+/** Drops the least-used tokens once the vocabulary outgrows MAX_VOCABULARY. */
+function pruneVocabulary(model) {
+  const totals = new Map();
+  for (const c of MODEL_CLASSES) {
+    for (const [token, n] of Object.entries(model.classes[c].counts)) {
+      totals.set(token, (totals.get(token) || 0) + n);
+    }
+  }
+  if (totals.size <= MAX_VOCABULARY) return;
+
+  const drop = [...totals].sort((a, b) => a[1] - b[1]).slice(0, totals.size - Math.floor(MAX_VOCABULARY * 0.9));
+  for (const [token] of drop) {
+    for (const c of MODEL_CLASSES) {
+      const cls = model.classes[c];
+      if (token in cls.counts) {
+        cls.tokens -= cls.counts[token];
+        delete cls.counts[token];
+      }
+    }
+  }
+}
+
+/**
+ * Adds labeled pages to a copy of the model.
+ * @param {object|null} model
+ * @param {Array<{ url: string, title?: string }>} pages
+ * @param {"work"|"personal"} label
+ * @param {number} [now]
+ * @returns {object} the updated model
+ */
+export function trainModel(model, pages, label, now = Date.now()) {
+  if (!MODEL_CLASSES.includes(label)) throw new Error(`Unknown class "${label}"`);
+  const next = structuredClone(model && model.version === 1 ? model : createModel());
+  const cls  = next.classes[label];
+
+  for (const page of pages) {
+    const tokens = tokenizePage(page.url, page.title);
+    if (tokens.length === 0) continue;
+    cls.docs++;
+    for (const token of tokens) {
+      cls.counts[token] = (cls.counts[token] || 0) + 1;
+      cls.tokens++;
+    }
+  }
+  pruneVocabulary(next);
+  next.updatedAt = now;
+  return next;
+}
+
+/**
+ * Removes one token from every class, e.g. when the user says it was learned wrongly.
+ * @returns {object} the updated model
+ */
+export function forgetToken(model, token) {
+  const next = structuredClone(model || createModel());
+  for (const c of MODEL_CLASSES) {
+    const cls = next.classes[c];
+    if (token in cls.counts) {
+      cls.tokens -= cls.counts[token];
+      delete cls.counts[token];
+    }
+  }
+  return next;
+}
+
+/** True once both classes have enough examples for predictions to be meaningful. */
+export function isModelReady(model) {
+  return !!model && MODEL_CLASSES.every(c => model.classes?.[c]?.docs >= MIN_DOCS_PER_CLASS);
+}
+
+function vocabularySize(model) {
+  const vocab = new Set();
+  for (const c of MODEL_CLASSES) Object.keys(model.classes[c].counts).forEach(t => vocab.add(t));
+  return vocab.size;
+}
+
+/** Laplace-smoothed log P(token | personal) − log P(token | work). */
+function tokenLogOdds(model, token, vocab) {
+  const { work, personal } = model.classes;
+  return Math.log(((personal.counts[token] || 0) + 1) / (personal.tokens + vocab)) -
+         Math.log(((work.counts[token] || 0) + 1) / (work.tokens + vocab));
+}
+
+/**
+ * Probability that a page is personal. Classes get equal priors, so how often
+ * the user ignores versus deletes doesn't tilt every prediction. Tokens the
+ * model has never seen are skipped.
+ * @returns {{ personal: number, tokens: Array<{ token: string, logOdds: number }> }|null}
+ *   null when the model isn't ready or knows none of the page's tokens
+ */
+export function predictPage(model, url, title = "") {
+  if (!isModelReady(model)) return null;
+  const vocab = vocabularySize(model);
+  const known = tokenizePage(url, title).filter(t =>
+    MODEL_CLASSES.some(c => t in model.classes[c].counts)
+  );
+  if (known.length === 0) return null;
+
+  const tokens = known.map(token => ({ token, logOdds: tokenLogOdds(model, token, vocab) }));
+  const total  = tokens.reduce((sum, t) => sum + t.logOdds, 0);
+  return {
+    personal: 1 / (1 + Math.exp(-total)),
+    tokens:   tokens.sort((a, b) => Math.abs(b.logOdds) - Math.abs(a.logOdds)),
+  };
+}
+
+/**
+ * What the model has learned, for the inspect view.
+ * @param {object|null} model
+ * @param {number} [limit] - Tokens listed per class.
+ */
+export function summarizeModel(model, limit = 15) {
+  const m     = model && model.version === 1 ? model : createModel();
+  const vocab = vocabularySize(m);
+  const all   = new Set(MODEL_CLASSES.flatMap(c => Object.keys(m.classes[c].counts)));
+  const ranked = [...all]
+    .map(token => ({
+      token,
+      logOdds:  tokenLogOdds(m, token, vocab),
+      work:     m.classes.work.counts[token]     || 0,
+      personal: m.classes.personal.counts[token] || 0,
+    }))
+    .sort((a, b) => b.logOdds - a.logOdds);
+
+  return {
+    ready:      isModelReady(m),
+    minDocs:    MIN_DOCS_PER_CLASS,
+    updatedAt:  m.updatedAt,
+    vocabulary: vocab,
+    docs:       Object.fromEntries(MODEL_CLASSES.map(c => [c, m.classes[c].docs])),
+    personal:   ranked.filter(t => t.logOdds > 0).slice(0, limit),
+    work:       ranked.filter(t => t.logOdds < 0).reverse().slice(0, limit),
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * contexts.js
+ * User-defined browsing contexts ("Client A", "Open source", …) that a domain
+ * can be assigned to, beyond the built-in Work and Personal.
+ *
+ * Custom contexts are stored in storage.local under `contexts`:
+ *   [{ id, name, color: "#rrggbb", polarity: "work" | "personal" }]
+ *
+ * `domainPrefs` maps a root domain to a context id. The built-in ids are
+ * "work" and "personal", so prefs saved before contexts existed keep working.
+ * A protected domain's entry is `{ context, protected: true }` instead, with
+ * context null when it has none; read entries through prefContextId.
+ * Detection only cares about a context's polarity; the name and colour are
+ * for display. Pure module: no browser APIs.
+ */
+
+export const CONTEXT_POLARITIES = ["work", "personal"];
+
+export const BUILTIN_CONTEXTS = [
+  { id: "work",     name: "Work",     color: "#60a5fa", polarity: "work",     builtin: true },
+  { id: "personal", name: "Personal", color: "#a78bfa", polarity: "personal", builtin: true },
+];
+
+// Offered to new contexts in turn; any #rrggbb colour is accepted
+export const CONTEXT_COLORS = ["#7c5cff", "#2bb673", "#e5484d", "#12a4b8", "#d6409f", "#a18072", "#8e9aaf"];
+
+const MAX_CONTEXTS     = 20;
+const CONTEXT_NAME_MAX = 30;
+const COLOR_RE         = /^#[0-9a-f]{6}$/;
+
+/**
+ * Validates and normalises the user's custom contexts.
+ * Errors are reported per index so the editor can show them inline.
+ * @param {any} contexts
+ * @returns {{ contexts: object[], errors: Array<{ index: number, field: string, message: string }> }}
+ */
+export function validateContexts(contexts) {
+  if (!Array.isArray(contexts)) {
+    return { contexts: [], errors: [{ index: -1, field: "contexts", message: "Contexts must be a list." }] };
+  }
+  const errors = [];
+  if (contexts.length > MAX_CONTEXTS) {
+    errors.push({ index: -1, field: "contexts", message: `At most ${MAX_CONTEXTS} contexts.` });
+  }
+
+  const names      = new Set(BUILTIN_CONTEXTS.map(c => c.name.toLowerCase()));
+  const ids        = new Set(BUILTIN_CONTEXTS.map(c => c.id));
+  const normalised = contexts.slice(0, MAX_CONTEXTS).map((raw, index) => {
+    const ctx      = raw || {};
+    const name     = String(ctx.name || "").trim();
+    const color    = String(ctx.color || "").toLowerCase();
+    const polarity = ctx.polarity;
+
+    if (!name) {
+      errors.push({ index, field: "name", message: "Name is required." });
+    } else if (name.length > CONTEXT_NAME_MAX) {
+      errors.push({ index, field: "name", message: `Name must be at most ${CONTEXT_NAME_MAX} characters.` });
+    } else if (names.has(name.toLowerCase())) {
+      errors.push({ index, field: "name", message: `There is already a context called "${name}".` });
+    }
+    names.add(name.toLowerCase());
+
+    if (!COLOR_RE.test(color)) {
+      errors.push({ index, field: "color", message: "Colour must be #rrggbb." });
+    }
+    if (!CONTEXT_POLARITIES.includes(polarity)) {
+      errors.push({ index, field: "polarity", message: "Choose whether the context counts as work or personal." });
+    }
+
+    let id = typeof ctx.id === "string" && ctx.id.startsWith("ctx_") ? ctx.id : `ctx_${Date.now().toString(36)}_${index}`;
+    if (ids.has(id)) id = `${id}_${index}`;
+    ids.add(id);
+
+    return { id, name, color, polarity };
+  });
+
+  return { contexts: normalised, errors };
+}
+
+/** Built-in contexts followed by the user's. */
+export function mergeContexts(userContexts) {
+  return [...BUILTIN_CONTEXTS, ...(userContexts || []).map(c => ({ ...c, builtin: false }))];
+}
+
+/**
+ * The context id a `domainPrefs` entry assigns, if any.
+ * @param {string|{ context: string|null, protected: true }|undefined} pref
+ * @returns {string|null}
+ */
+export function prefContextId(pref) {
+  return (typeof pref === "string" ? pref : pref?.context) || null;
+}
+
+/**
+ * The `domainPrefs` entry for a context id and protection; null when there is neither.
+ * @param {string|null} contextId
+ * @param {boolean} isProtected
+ */
+export function makeDomainPref(contextId, isProtected) {
+  if (isProtected) return { context: contextId || null, protected: true };
+  return contextId || null;
+}
+
+/**
+ * The context a domain is assigned to, by exact hostname first and then by root domain.
+ * @param {Object<string, string|object>} domainPrefs
+ * @param {object[]} contexts - Merged list.
+ * @param {string|null} domain
+ * @param {string|null} rootDomain
+ * @returns {object|null}
+ */
+export function findDomainContext(domainPrefs, contexts, domain, rootDomain) {
+  const id = (domain && prefContextId(domainPrefs[domain])) || (rootDomain && prefContextId(domainPrefs[rootDomain]));
+  if (!id) return null;
+  return contexts.find(c => c.id === id) || null;
+}
@@ -0,0 +1,789 @@
+/**
+ * dashboard.js – Smart History Manager dashboard tab
+ *
+ * A full-page view of browsing sessions. The timeline charts every session in
+ * view (GET_TIMELINE), coloured from work to personal by its score, with the
+ * sessions detection would suggest marked. Dragging across the timeline (or
+ * clicking a session) selects a time range whose pages are reviewed below it
+ * (GET_VISITED_PAGES, grouped with groupByDomain) and deleted as background
+ * jobs, exactly like the popup's deletes. The side panels reuse the popup's
+ * suggestions and domain context / protection messages. The insights card
+ * shows time per domain, category and context (GET_INSIGHTS).
+ *
+ * Built with the shared el() helper (dom.js) — no innerHTML. Messaging, the
+ * toast, undo and the deletion job client are shared with the popup (ui.js).
+ */
+
+import { groupByDomain, itemUrls, DEFAULT_URL_NORMALIZATION } from "../grouping.js";
+import { insightsToCsv } from "../insights.js";
+import { getRootDomain, isProtectedHost } from "../domains.js";
+import { prefContextId } from "../contexts.js";
+import { el, downloadText } from "../dom.js";
+import {
+  sendMsg, showToast, undoDelete, titlesFor, makeContextSelect,
+  connectJobs, jobs, waitForJob, ackJob, jobFailed, describeJob, makeJobProgress,
+} from "../ui.js";
+
+const api = typeof browser !== "undefined" ? browser : chrome;
+
+// ── DOM refs ───────────────────────────────────────────────────────────────
+const zoomButtons       = [...document.querySelectorAll(".seg-btn[data-days]")];
+const btnPrev           = document.getElementById("btn-prev");
+const btnNext           = document.getElementById("btn-next");
+const btnToday          = document.getElementById("btn-today");
+const btnOpenSettings   = document.getElementById("btn-open-settings");
+const viewLabel         = document.getElementById("view-label");
+const timelineEl        = document.getElementById("timeline");
+const trackEl           = document.getElementById("timeline-track");
+const axisEl            = document.getElementById("timeline-axis");
+const brushEl           = document.getElementById("timeline-brush");
+const timelineStatus    = document.getElementById("timeline-status");
+const reviewTitle       = document.getElementById("review-title");
+const reviewEl          = document.getElementById("review");
+const btnDeleteRange    = document.getElementById("btn-delete-range");
+const btnDeleteAll      = document.getElementById("btn-delete-all");
+const btnClearSelection = document.getElementById("btn-clear-selection");
+const suggestionsEl     = document.getElementById("suggestions");
+const suggestionsCount  = document.getElementById("suggestions-count");
+const domainsEl         = document.getElementById("domains");
+const domainsDesc       = document.getElementById("domains-desc");
+const periodButtons     = [...document.querySelectorAll(".seg-btn[data-period]")];
+const insightsEl        = document.getElementById("insights");
+const btnExportCsv      = document.getElementById("btn-export-insights-csv");
+const btnExportJson     = document.getElementById("btn-export-insights-json");
+const jobStatus         = document.getElementById("job-status");
+
+// ── Constants ──────────────────────────────────────────────────────────────
+const HOUR_MS       = 60 * 60 * 1000;
+const DAY_MS        = 24 * HOUR_MS;
+const MIN_SPAN      = HOUR_MS;
+const MAX_SPAN      = 28 * DAY_MS;
+const FETCH_MAX     = 31 * DAY_MS;         // longest window GET_TIMELINE accepts
+const FETCH_DELAY   = 250;                 // ms of zooming or panning before refetching
+const ZOOM_STEP     = 1.25;
+const MIN_BRUSH_PX  = 4;                   // shorter drags count as clicks
+const MAX_TICKS     = 12;
+const TICK_MINUTES  = [15, 30, 60, 120, 180, 360, 720];
+const TICK_DAYS     = [1, 2, 7];
+const WORK_RGB      = [108, 140, 255];     // --accent
+const PERSONAL_RGB  = [248, 113, 113];     // --danger
+const DOMAINS_SHOWN = 25;
+
+// ── State ──────────────────────────────────────────────────────────────────
+let view        = calendarView(Date.now(), 1); // { start, end } on screen
+let loaded      = null;    // { start, end, sessions[], threshold } from GET_TIMELINE
+let loading     = null;    // window being fetched; a newer fetch replaces it
+let fetchTimer  = 0;
+let selection   = null;    // { start, end, sessionId } being reviewed; end is inclusive
+let pages       = [];      // GET_VISITED_PAGES result for the selection
+let reviewToken = 0;       // drops page lists for an older selection
+let brushFrom   = null;    // time where the current drag started
+let domainPrefs = {};   // from GET_DOMAIN_PREFS; entries also record protection
+let contexts    = [];      // built-in + custom contexts, from GET_DOMAIN_PREFS
+let urlRules    = DEFAULT_URL_NORMALIZATION;
+const checkedUrls = new Set();   // review rows ticked for deletion
+
+// ── Utilities ──────────────────────────────────────────────────────────────
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function plural(n, word) {
+  return `${n.toLocaleString()} ${word}${n !== 1 ? "s" : ""}`;
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+/** Start of the local day after the one `ms` falls in (a day isn't always 24 h). */
+function nextMidnight(ms) {
+  return startOfDay(startOfDay(ms) + DAY_MS * 1.5);
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+}
+
+function formatShortDay(ms) {
+  return new Date(ms).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+}
+
+/** "Sat, Oct 17, 14:05 – 16:30", or two dates when the range crosses midnight. */
+function formatRange(start, end) {
+  return startOfDay(start) === startOfDay(end)
+    ? `${formatShortDay(start)}, ${formatClock(start)} – ${formatClock(end)}`
+    : `${formatShortDay(start)} ${formatClock(start)} – ${formatShortDay(end)} ${formatClock(end)}`;
+}
+
+// ── View ───────────────────────────────────────────────────────────────────
+/** The `days` calendar days ending with the one `ms` falls in. */
+function calendarView(ms, days) {
+  const end = nextMidnight(ms);
+  return { start: startOfDay(end - (days - 0.5) * DAY_MS), end };
+}
+
+function formatView({ start, end }) {
+  if (start === startOfDay(start) && end === nextMidnight(start)) return formatShortDay(start);
+  if (start === startOfDay(start) && end === startOfDay(end)) return `${formatShortDay(start)} – ${formatShortDay(end - 1)}`;
+  return formatRange(start, end);
+}
+
+function setView(start, end) {
+  const span = clamp(end - start, MIN_SPAN, MAX_SPAN);
+  view = { start: Math.round(start), end: Math.round(start + span) };
+  viewLabel.textContent = formatView(view);
+  for (const btn of zoomButtons) {
+    const days = Number(btn.dataset.days);
+    const same = calendarView(view.start + DAY_MS / 2 + (days - 1) * DAY_MS, days);
+    btn.classList.toggle("active", same.start === view.start && same.end === view.end);
+  }
+  renderTimeline();
+  scheduleFetch();
+}
+
+/** Moves the view by a fraction of its span; negative is earlier. */
+function panView(fraction) {
+  const shift = (view.end - view.start) * fraction;
+  setView(view.start + shift, view.end + shift);
+}
+
+/** Scales the view around the time at `fraction` of its width. */
+function zoomView(factor, fraction = 0.5) {
+  const span = view.end - view.start;
+  const next = clamp(span * factor, MIN_SPAN, MAX_SPAN);
+  const at   = view.start + span * fraction;
+  setView(at - next * fraction, at - next * fraction + next);
+}
+
+/** Brings a time range into view, zooming out when it doesn't fit. */
+function revealRange(start, end) {
+  const span = view.end - view.start;
+  if (start >= view.start && end <= view.end) return;
+  const next = Math.max(span, (end - start) * 1.5);
+  const mid  = (start + end) / 2;
+  setView(mid - next / 2, mid + next / 2);
+}
+
+// ── Timeline data ──────────────────────────────────────────────────────────
+function viewIsLoaded() {
+  return loaded && loaded.start <= view.start && loaded.end >= view.end;
+}
+
+function scheduleFetch() {
+  if (viewIsLoaded()) return;
+  clearTimeout(fetchTimer);
+  fetchTimer = setTimeout(fetchTimeline, FETCH_DELAY);
+}
+
+/** Loads the view plus some slack either side, so small pans don't refetch. */
+async function fetchTimeline() {
+  clearTimeout(fetchTimer);
+  const span    = view.end - view.start;
+  const pad     = Math.min(span / 2, (FETCH_MAX - span) / 2);
+  const request = { start: Math.round(view.start - pad), end: Math.round(view.end + pad) };
+  loading = request;
+  timelineStatus.textContent = "Loading sessions…";
+  try {
+    const res = await sendMsg({ type: "GET_TIMELINE", ...request });
+    if (loading !== request) return;
+    if (res?.error) throw new Error(res.error);
+    loaded  = { ...request, sessions: res.sessions || [], threshold: res.threshold || 1 };
+    loading = null;
+    renderTimeline();
+    if (!selection) renderDomains();
+  } catch (err) {
+    if (loading === request) timelineStatus.textContent = "⚠ " + (err?.message || String(err));
+  } finally {
+    if (loading === request) loading = null;
+  }
+}
+
+/** Forgets the loaded sessions, e.g. after a delete or a context change. */
+function refreshTimeline() {
+  loaded = null;
+  return fetchTimeline();
+}
+
+// ── Timeline rendering ─────────────────────────────────────────────────────
+function toPercent(ms) {
+  return (ms - view.start) / (view.end - view.start) * 100;
+}
+
+/** Time under a mouse position, clamped to the view. */
+function timeAt(clientX) {
+  const rect = trackEl.getBoundingClientRect();
+  const frac = clamp((clientX - rect.left) / rect.width, 0, 1);
+  return view.start + frac * (view.end - view.start);
+}
+
+/** Work blue through personal red; a score at the suggestion threshold is fully red. */
+function scoreColor(score, threshold) {
+  const t = clamp(score / threshold, 0, 1);
+  const [r, g, b] = WORK_RGB.map((c, i) => Math.round(c + (PERSONAL_RGB[i] - c) * t));
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+/** Axis ticks: clock times up to two days, dates beyond. */
+function makeTicks(start, end) {
+  const span  = end - start;
+  const ticks = [];
+  if (span <= 2 * DAY_MS) {
+    const every = TICK_MINUTES.find(m => span / (m * 60_000) <= MAX_TICKS) || TICK_MINUTES.at(-1);
+    const d = new Date(start);
+    d.setMinutes(Math.ceil(d.getMinutes() / TICK_MINUTES[0]) * TICK_MINUTES[0], 0, 0);
+    for (; +d < end; d.setMinutes(d.getMinutes() + TICK_MINUTES[0])) {
+      const minutes = d.getHours() * 60 + d.getMinutes();
+      if (minutes % every !== 0) continue;
+      ticks.push({ time: +d, label: minutes === 0 ? formatShortDay(+d) : formatClock(+d) });
+    }
+  } else {
+    const every = TICK_DAYS.find(n => span / (n * DAY_MS) <= MAX_TICKS) || TICK_DAYS.at(-1);
+    const d = new Date(startOfDay(start) < start ? nextMidnight(start) : start);
+    for (let i = 0; +d < end; d.setDate(d.getDate() + 1), i++) {
+      if (i % every === 0) ticks.push({ time: +d, label: formatShortDay(+d) });
+    }
+  }
+  return ticks;
+}
+
+function describeSession(s) {
+  const lines = [
+    formatRange(s.sessionStart, s.sessionEnd),
+    `${plural(s.pageCount, "page")} · score ${s.score.toFixed(1)} (${s.confidence})`,
+    ...s.categories.map(c => `${c.icon} ${c.label}: ${plural(c.count, "page")}`),
+  ];
+  if (s.flagged) lines.push(s.ignored ? "Flagged, but ignored" : "⚡ Flagged for cleanup");
+  return lines.join("\n");
+}
+
+function makeSessionBar(s) {
+  const left  = toPercent(s.sessionStart);
+  const right = toPercent(s.sessionEnd);
+  const bar   = el("div", {
+    class: "session-bar" + (s.flagged ? " flagged" : "") + (s.ignored ? " ignored" : "") +
+      (selection?.sessionId === s.id ? " selected" : ""),
+    style: {
+      left:       `${left}%`,
+      width:      `${Math.max(right - left, 0)}%`,
+      background: scoreColor(s.score, loaded.threshold),
+    },
+    title: describeSession(s),
+  });
+  bar.addEventListener("click", () => selectRange({ start: s.sessionStart, end: s.sessionEnd }, s.id));
+  return bar;
+}
+
+function renderTimeline() {
+  const ticks    = makeTicks(view.start, view.end);
+  const sessions = (loaded?.sessions || [])
+    .filter(s => s.sessionEnd >= view.start && s.sessionStart <= view.end);
+
+  trackEl.replaceChildren(
+    ticks.map(t => el("div", { class: "timeline-grid", style: { left: `${toPercent(t.time)}%` } })),
+    loaded ? sessions.map(makeSessionBar) : null
+  );
+  axisEl.replaceChildren(
+    ticks.map(t => el("span", { class: "timeline-tick", style: { left: `${toPercent(t.time)}%` }, text: t.label }))
+  );
+  if (loaded && !loading) {
+    const flagged = sessions.filter(s => s.flagged && !s.ignored).length;
+    timelineStatus.textContent = sessions.length === 0
+      ? "No browsing in this range."
+      : `${plural(sessions.length, "session")}` + (flagged ? ` · ${flagged} flagged` : "");
+  }
+  renderBrush();
+}
+
+function drawBrush(from, to) {
+  const left  = clamp(toPercent(Math.min(from, to)), 0, 100);
+  const right = clamp(toPercent(Math.max(from, to)), 0, 100);
+  brushEl.style.left  = `${left}%`;
+  brushEl.style.width = `${right - left}%`;
+  brushEl.hidden = right <= left;
+}
+
+function renderBrush() {
+  if (selection && !selection.sessionId) drawBrush(selection.start, selection.end);
+  else brushEl.hidden = true;
+}
+
+// ── Review ─────────────────────────────────────────────────────────────────
+/**
+ * Reviews the pages visited in a time range.
+ * @param {{ start: number, end: number }} range - `end` is inclusive, like DELETE_ITEMS' range.
+ * @param {string|null} [sessionId] - The timeline session the range came from.
+ */
+async function selectRange(range, sessionId = null) {
+  const token = ++reviewToken;
+  const same  = selection && selection.start === range.start && selection.end === range.end;
+  selection = { start: range.start, end: range.end, sessionId };
+  pages     = [];
+  renderTimeline();
+  renderSuggestionList();
+  reviewTitle.textContent = formatRange(range.start, range.end);
+  reviewEl.replaceChildren(el("p", { class: "muted", text: "Loading pages…" }));
+  updateReviewButtons();
+
+  try {
+    const res = await sendMsg({ type: "GET_VISITED_PAGES", start: range.start, end: range.end + 1 });
+    if (token !== reviewToken) return;
+    if (res?.error) throw new Error(res.error);
+    pages = res.pages || [];
+    // A fresh selection starts with everything ticked; a refresh keeps what's still there
+    const urls = new Set(pages.map(p => p.url));
+    if (same) [...checkedUrls].forEach(url => { if (!urls.has(url)) checkedUrls.delete(url); });
+    else {
+      checkedUrls.clear();
+      urls.forEach(url => checkedUrls.add(url));
+    }
+    renderReview();
+    renderDomains();
+  } catch (err) {
+    if (token === reviewToken) reviewEl.replaceChildren(el("p", { class: "muted", text: "⚠ " + (err?.message || String(err)) }));
+  }
+}
+
+function clearSelection() {
+  reviewToken++;
+  selection = null;
+  pages     = [];
+  checkedUrls.clear();
+  renderTimeline();
+  renderSuggestionList();
+  reviewTitle.textContent = "Selection";
+  reviewEl.replaceChildren(el("p", { class: "muted", text: "Select a time range on the timeline to review the pages visited in it." }));
+  updateReviewButtons();
+  renderDomains();
+}
+
+/** Every URL behind the ticked rows, including a collapsed row's variants. */
+function getCheckedUrls() {
+  const items = groupByDomain(pages, urlRules).flatMap(g => g.items);
+  return [...new Set(items.filter(i => checkedUrls.has(i.url)).flatMap(itemUrls))];
+}
+
+function updateReviewButtons() {
+  const count = selection ? getCheckedUrls().length : 0;
+  btnDeleteRange.disabled    = count === 0;
+  btnDeleteAll.disabled      = count === 0;
+  btnClearSelection.disabled = !selection;
+  btnDeleteRange.textContent = count > 0 ? `Delete visits in range (${count})` : "Delete visits in range";
+}
+
+function makeReviewItem(item) {
+  const cb = el("input", { type: "checkbox" });
+  cb.checked = checkedUrls.has(item.url);
+  cb.addEventListener("change", () => {
+    if (cb.checked) checkedUrls.add(item.url);
+    else            checkedUrls.delete(item.url);
+    renderReview();
+  });
+  const variants = item.variants ? ` · ${item.variants.length} variants` : "";
+  return el("li", { class: "review-item" },
+    cb,
+    el("span", { class: "review-item-title", title: item.url, text: item.title || item.url }),
+    el("span", { class: "review-item-meta",  text: `${plural(item.visitCount, "visit")}${variants} · ${formatClock(item.lastVisitTime)}` })
+  );
+}
+
+function makeReviewDomain(group) {
+  const ticked = group.items.filter(i => checkedUrls.has(i.url)).length;
+  const cb     = el("input", { type: "checkbox", title: `Select every page on ${group.domain}` });
+  cb.checked       = ticked === group.items.length;
+  cb.indeterminate = ticked > 0 && ticked < group.items.length;
+  cb.addEventListener("change", () => {
+    group.items.forEach(i => (cb.checked ? checkedUrls.add(i.url) : checkedUrls.delete(i.url)));
+    renderReview();
+  });
+  return el("div", { class: "review-domain" },
+    el("label", { class: "review-domain-head" },
+      cb,
+      el("span", { text: group.domain }),
+      el("span", { class: "review-domain-meta", text: `${plural(group.items.length, "page")} · ${plural(group.totalVisits, "visit")}` })
+    ),
+    el("ul", { class: "review-items" }, group.items.map(makeReviewItem))
+  );
+}
+
+function renderReview() {
+  const groups = groupByDomain(pages, urlRules);
+  if (groups.length === 0) {
+    reviewEl.replaceChildren(el("p", { class: "muted", text: "No pages were visited in this range." }));
+  } else {
+    const visits = groups.reduce((n, g) => n + g.totalVisits, 0);
+    reviewEl.replaceChildren(
+      el("p", { class: "muted review-summary",
+        text: `${plural(pages.length, "page")} · ${plural(visits, "visit")} across ${plural(groups.length, "domain")}` }),
+      groups.map(makeReviewDomain)
+    );
+  }
+  updateReviewButtons();
+}
+
+// ── Delete ─────────────────────────────────────────────────────────────────
+/** Reloads everything a delete, undo or context change can affect. */
+async function refreshAll() {
+  await Promise.all([
+    refreshTimeline(),
+    selection ? selectRange(selection, selection.sessionId) : null,
+    loadSuggestions(),
+    loadInsights(),
+  ]);
+}
+
+/**
+ * Deletes the ticked pages, either only their visits in the selected range
+ * or every visit to them.
+ * @param {"range"|"all"} scope
+ */
+async function deleteChecked(scope) {
+  const urls = getCheckedUrls();
+  if (urls.length === 0 || !selection) return;
+  const question = scope === "range"
+    ? `Remove the visits to ${plural(urls.length, "page")} between ${formatRange(selection.start, selection.end)}? ` +
+      "Other visits to these pages are kept."
+    : `Delete every visit to ${plural(urls.length, "page")}, at any time?`;
+  if (!confirm(question)) return;
+
+  btnDeleteRange.disabled = true;
+  btnDeleteAll.disabled   = true;
+  try {
+    const range = scope === "range" ? { start: selection.start, end: selection.end } : null;
+    const res   = await sendMsg({ type: "DELETE_ITEMS", urls, range, titles: titlesFor(urls, pages) });
+    if (!res?.ok) throw new Error(res?.error || "The delete could not be queued");
+    const job = await waitForJob(res.job);
+    ackJob(job.id);
+
+    const undo = job.trashId ? { label: "Undo", onClick: () => undoDelete(job.trashId, refreshAll) } : null;
+    showToast(describeJob(job, "from the selected range"), jobFailed(job) ? "error" : "success", undo);
+    await refreshAll();
+  } catch (err) {
+    showToast("⚠ Delete failed: " + (err?.message || String(err)), "error");
+  } finally {
+    updateReviewButtons();
+  }
+}
+
+// ── Deletion jobs ──────────────────────────────────────────────────────────
+// Same "delete-jobs" port as the popup (ui.js). Only this tab's own jobs are
+// waited on; results of the others are left for the popup's banner.
+function renderJobStatus() {
+  const running = [...jobs.values()].filter(j => j.status !== "done");
+  if (running.length === 0) {
+    jobStatus.hidden = true;
+    jobStatus.replaceChildren();
+    return;
+  }
+  jobStatus.replaceChildren(...makeJobProgress(running));
+  jobStatus.hidden = false;
+}
+
+// ── Suggestions panel ──────────────────────────────────────────────────────
+let suggestions = [];
+
+function makeSuggestionRow(s) {
+  const ignoreBtn = el("button", { class: "btn btn-ghost btn-sm", text: "Ignore" });
+  const row = el("div", { class: "side-row clickable" + (selection?.sessionId === s.id ? " selected" : ""), title: "Show on the timeline" },
+    el("div", { class: "side-row-head" },
+      el("span", { text: formatRange(s.sessionStart, s.sessionEnd) }),
+      el("span", { class: `confidence-badge ${s.confidence}`, text: s.confidence })
+    ),
+    el("p", { class: "side-row-sub",
+      text: [plural(s.totalItems, "page"), ...s.categories.map(c => `${c.icon} ${c.label} ${c.count}`)].join(" · ") }),
+    el("div", { class: "side-row-actions" }, ignoreBtn)
+  );
+
+  row.addEventListener("click", () => {
+    revealRange(s.sessionStart, s.sessionEnd);
+    selectRange({ start: s.sessionStart, end: s.sessionEnd }, s.id);
+  });
+  ignoreBtn.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    ignoreBtn.disabled = true;
+    try {
+      const domains = [...new Set((s.domains || []).slice(0, 5).map(getRootDomain))];
+      const pages   = (s.explanation?.urls || []).map(u => ({ url: u.url, title: u.title }));
+      await sendMsg({ type: "IGNORE_SUGGESTION", id: s.id, domains, pages });
+      await Promise.all([loadSuggestions(), refreshTimeline()]);
+    } catch (_) { ignoreBtn.disabled = false; }
+  });
+  return row;
+}
+
+function renderSuggestionList() {
+  suggestionsCount.textContent = suggestions.length || "";
+  suggestionsEl.replaceChildren(suggestions.length > 0
+    ? suggestions.map(makeSuggestionRow)
+    : el("p", { class: "muted", text: "No mixed sessions to clean up." }));
+}
+
+async function loadSuggestions() {
+  try {
+    const res = await sendMsg({ type: "GET_SUGGESTIONS" });
+    suggestions = res?.suggestions || [];
+  } catch (_) {
+    suggestions = [];
+  }
+  renderSuggestionList();
+}
+
+// ── Domains panel ──────────────────────────────────────────────────────────
+/** Root domains in the selection, or in the sessions on screen, busiest first. */
+function domainsInView() {
+  const counts = new Map();
+  const add    = (domain, n) => {
+    const root = getRootDomain(domain);
+    counts.set(root, (counts.get(root) || 0) + n);
+  };
+  if (selection) {
+    groupByDomain(pages, urlRules).forEach(g => add(g.domain, g.totalVisits));
+  } else {
+    (loaded?.sessions || [])
+      .filter(s => s.sessionEnd >= view.start && s.sessionStart <= view.end)
+      .forEach(s => s.domains.forEach(d => add(d, 1)));
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, DOMAINS_SHOWN).map(([domain]) => domain);
+}
+
+function makeDomainContextSelect(domain) {
+  const active = contexts.find(c => c.id === prefContextId(domainPrefs[domain])) || null;
+  const select = makeContextSelect(domain, contexts, active);
+  select.addEventListener("change", async () => {
+    const context = contexts.find(c => c.id === select.value) || null;
+    select.disabled = true;
+    try {
+      const res = await sendMsg({ type: "SET_DOMAIN_PREF", domain, pref: context ? context.id : null });
+      if (!res?.ok) throw new Error(res?.error || "Could not save");
+      domainPrefs = res.prefs;
+      showToast(context ? `✓ ${domain} assigned to ${context.name}` : `✓ ${domain} context cleared`, "success");
+      renderDomains();
+      // Scores depend on the domain's context
+      await Promise.all([refreshTimeline(), loadSuggestions()]);
+    } catch (err) {
+      select.disabled = false;
+      showToast("⚠ " + (err?.message || err), "error");
+    }
+  });
+  return select;
+}
+
+function makeProtectToggle(domain) {
+  const cb = el("input", { type: "checkbox" });
+  cb.checked = isProtectedHost(domainPrefs, domain);
+  cb.addEventListener("change", async () => {
+    cb.disabled = true;
+    try {
+      const res = await sendMsg({ type: "SET_DOMAIN_PROTECTED", domain, protected: cb.checked });
+      if (!res?.ok) throw new Error(res?.error || "Could not save");
+      domainPrefs = res.prefs;
+      showToast(cb.checked ? `🔒 ${domain} is protected from deletes` : `${domain} is no longer protected`, "success");
+    } catch (err) {
+      cb.checked = !cb.checked;
+      showToast("⚠ " + (err?.message || err), "error");
+    } finally {
+      cb.disabled = false;
+    }
+  });
+  return el("label", { class: "protect-toggle", title: "Bulk and automatic deletes skip protected domains" }, cb, "Protect");
+}
+
+function renderDomains() {
+  const domains = domainsInView();
+  domainsDesc.textContent = selection ? "Domains in the selection." : "Domains in the sessions on screen.";
+  domainsEl.replaceChildren(domains.length > 0
+    ? domains.map(domain =>
+      el("div", { class: "side-row" },
+        el("div", { class: "side-row-head" },
+          el("span", { class: "domain-name", text: domain, title: domain }),
+          makeDomainContextSelect(domain),
+          makeProtectToggle(domain)
+        )
+      ))
+    : el("p", { class: "muted", text: "No domains." }));
+}
+
+async function loadPrefs() {
+  const [prefsRes, settingsRes] = await Promise.all([
+    sendMsg({ type: "GET_DOMAIN_PREFS" }),
+    sendMsg({ type: "GET_SETTINGS" }),
+  ]);
+  domainPrefs      = prefsRes?.prefs || {};
+  contexts         = prefsRes?.contexts || [];
+  urlRules         = settingsRes?.settings?.urlNormalization || DEFAULT_URL_NORMALIZATION;
+}
+
+// ── Time insights ──────────────────────────────────────────────────────────
+let insightsPeriod = "week";
+let insights       = null;   // report from GET_INSIGHTS
+let insightsToken  = 0;
+
+const INSIGHT_SECTIONS = [
+  { key: "contexts",   label: "Context" },
+  { key: "categories", label: "Category" },
+  { key: "domains",    label: "Domain" },
+];
+
+/** "2 h 05 min", "12 min" or "< 1 min". */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60_000);
+  if (minutes < 1)  return "< 1 min";
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+}
+
+function makeTrend(trend) {
+  if (trend == null) return el("span", { class: "trend new", text: "new" });
+  const pct = Math.round(trend * 100);
+  if (pct === 0) return el("span", { class: "trend", text: "±0%" });
+  return el("span", { class: `trend ${pct > 0 ? "up" : "down"}`, text: `${pct > 0 ? "▲" : "▼"} ${Math.abs(pct)}%` });
+}
+
+/** Work / off-hours split as a two-colour bar. */
+function makeSplitBar(row, max) {
+  return el("div", {
+    class: "split-bar",
+    style: { width: `${max ? row.ms / max * 100 : 0}%` },
+    title: `Work hours ${formatDuration(row.workMs)} · off hours ${formatDuration(row.offMs)}`,
+  },
+  el("div", { class: "split-work", style: { width: `${row.ms ? row.workMs / row.ms * 100 : 0}%` } }),
+  el("div", { class: "split-off" }));
+}
+
+function makeInsightTable(label, rows) {
+  const max = Math.max(0, ...rows.map(r => r.ms));
+  return el("table", { class: "insight-table" },
+    el("thead", null,
+      el("tr", null,
+        el("th", { text: label }), el("th", { text: "Time" }), el("th", { class: "bar-cell" }),
+        el("th", { text: "Work hours" }), el("th", { text: "Off hours" }), el("th", { text: "vs before" })
+      )
+    ),
+    el("tbody", null, rows.map(r =>
+      el("tr", null,
+        el("td", { class: "insight-name", text: r.label, title: r.label }),
+        el("td", { text: formatDuration(r.ms) }),
+        el("td", { class: "bar-cell" }, makeSplitBar(r, max)),
+        el("td", { class: "muted", text: formatDuration(r.workMs) }),
+        el("td", { class: "muted", text: formatDuration(r.offMs) }),
+        el("td", null, makeTrend(r.trend))
+      )
+    ))
+  );
+}
+
+function renderInsights() {
+  periodButtons.forEach(btn => btn.classList.toggle("active", btn.dataset.period === insightsPeriod));
+  btnExportCsv.disabled  = !insights;
+  btnExportJson.disabled = !insights;
+  if (!insights) return;
+  if (insights.total.ms === 0) {
+    insightsEl.replaceChildren(el("p", { class: "muted", text: "No browsing recorded in this period." }));
+    return;
+  }
+  const { total } = insights;
+  insightsEl.replaceChildren(
+    el("div", { class: "insight-totals" },
+      el("strong", { text: formatDuration(total.ms) }),
+      el("span", { class: "muted", text: `${insights.label.toLowerCase()} · work hours ${formatDuration(total.workMs)} · off hours ${formatDuration(total.offMs)}` }),
+      makeTrend(insights.trend),
+      el("span", { class: "muted", text: `vs the ${insights.period === "day" ? "day" : "period"} before (${formatDuration(insights.previousTotal.ms)})` })
+    ),
+    insights.truncated
+      ? el("p", { class: "muted", text: "⚠ Too many pages to count them all — only the most recently visited " +
+          "ones in each period are included, so times are lower than they really were." })
+      : null,
+    INSIGHT_SECTIONS.map(({ key, label }) => (insights[key].length > 0 ? makeInsightTable(label, insights[key]) : null))
+  );
+}
+
+async function loadInsights() {
+  const token = ++insightsToken;
+  insights = null;
+  renderInsights();
+  insightsEl.replaceChildren(el("p", { class: "muted", text: "Adding up visits…" }));
+  try {
+    const res = await sendMsg({ type: "GET_INSIGHTS", period: insightsPeriod });
+    if (token !== insightsToken) return;
+    if (!res?.report) throw new Error(res?.error || "No report");
+    insights = res.report;
+    renderInsights();
+  } catch (err) {
+    if (token === insightsToken) insightsEl.replaceChildren(el("p", { class: "muted", text: "⚠ " + (err?.message || String(err)) }));
+  }
+}
+
+function exportInsights(format) {
+  if (!insights) return;
+  const name = `history-insights-${insights.period}-${new Date(insights.generatedAt).toISOString().slice(0, 10)}`;
+  if (format === "csv") downloadText(`${name}.csv`, "text/csv", insightsToCsv(insights));
+  else                  downloadText(`${name}.json`, "application/json", JSON.stringify(insights, null, 2));
+}
+
+// ── Event listeners ────────────────────────────────────────────────────────
+zoomButtons.forEach(btn => btn.addEventListener("click", () => {
+  const v = calendarView((view.start + view.end) / 2, Number(btn.dataset.days));
+  setView(v.start, v.end);
+}));
+btnPrev.addEventListener("click",  () => panView(-1));
+btnNext.addEventListener("click",  () => panView(1));
+btnToday.addEventListener("click", () => {
+  const end = nextMidnight(Date.now());
+  setView(end - (view.end - view.start), end);
+});
+btnOpenSettings.addEventListener("click",   () => api.runtime.openOptionsPage());
+btnDeleteRange.addEventListener("click",    () => deleteChecked("range"));
+btnDeleteAll.addEventListener("click",      () => deleteChecked("all"));
+btnClearSelection.addEventListener("click", clearSelection);
+btnExportCsv.addEventListener("click",      () => exportInsights("csv"));
+btnExportJson.addEventListener("click",     () => exportInsights("json"));
+periodButtons.forEach(btn => btn.addEventListener("click", () => {
+  insightsPeriod = btn.dataset.period;
+  loadInsights();
+}));
+
+// Wheel zooms around the pointer; a sideways scroll pans
+timelineEl.addEventListener("wheel", (e) => {
+  e.preventDefault();
+  const rect = trackEl.getBoundingClientRect();
+  if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+    panView(e.deltaX / rect.width);
+    return;
+  }
+  zoomView(e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, clamp((e.clientX - rect.left) / rect.width, 0, 1));
+}, { passive: false });
+
+// Dragging across the track brushes a range; session bars handle their own clicks
+trackEl.addEventListener("mousedown", (e) => {
+  if (e.button !== 0 || e.target.closest(".session-bar")) return;
+  e.preventDefault();
+  brushFrom = timeAt(e.clientX);
+  drawBrush(brushFrom, brushFrom);
+});
+window.addEventListener("mousemove", (e) => {
+  if (brushFrom !== null) drawBrush(brushFrom, timeAt(e.clientX));
+});
+window.addEventListener("mouseup", (e) => {
+  if (brushFrom === null) return;
+  const from = brushFrom;
+  const to   = timeAt(e.clientX);
+  brushFrom  = null;
+  const px   = Math.abs(to - from) / (view.end - view.start) * trackEl.getBoundingClientRect().width;
+  if (px < MIN_BRUSH_PX) {
+    renderBrush();
+    return;
+  }
+  selectRange({ start: Math.round(Math.min(from, to)), end: Math.round(Math.max(from, to)) });
+});
+
+// Sensitivity and work schedule changes on the options page change every score and the work-hours split
+api.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.settings) loadPrefs().then(refreshAll).catch(() => {});
+});
+
+// ── Init ───────────────────────────────────────────────────────────────────
+connectJobs(renderJobStatus);
+setView(view.start, view.end);
+loadPrefs().catch(() => {}).then(() => { renderDomains(); loadSuggestions(); });
+loadInsights();
@@ -0,0 +1,164 @@
+/**
+ * site_categories.js
+ * Bundled catalogue of well-known sites and the personal-browsing category
+ * each belongs to. Used by the site catalogue layer of the detection engine;
+ * nothing is looked up over the network.
+ *
+ * Keys are hostnames without "www."; a key also covers its subdomains, and
+ * the longest matching key wins ("news.google.com" over "google.com").
+ * Sites that are mostly used for work, or for both (google.com, github.com,
+ * linkedin.com), are deliberately left out.
+ *
+ * Bump SITE_CATALOGUE_VERSION whenever entries change so backtest reports
+ * can say which catalogue they ran against.
+ */
+
+export const SITE_CATALOGUE_VERSION = 1;
+
+export const SITE_CATEGORIES = {
+  // ── Entertainment ──────────────────────────────────────────────────────────
+  "netflix.com":             "entertainment",
+  "youtube.com":             "entertainment",
+  "youtu.be":                "entertainment",
+  "twitch.tv":               "entertainment",
+  "hulu.com":                "entertainment",
+  "disneyplus.com":          "entertainment",
+  "primevideo.com":          "entertainment",
+  "max.com":                 "entertainment",
+  "hbomax.com":              "entertainment",
+  "paramountplus.com":       "entertainment",
+  "peacocktv.com":           "entertainment",
+  "crunchyroll.com":         "entertainment",
+  "tv.apple.com":            "entertainment",
+  "vimeo.com":               "entertainment",
+  "dailymotion.com":         "entertainment",
+  "spotify.com":             "entertainment",
+  "soundcloud.com":          "entertainment",
+  "music.apple.com":         "entertainment",
+  "music.youtube.com":       "entertainment",
+  "deezer.com":              "entertainment",
+  "imdb.com":                "entertainment",
+  "rottentomatoes.com":      "entertainment",
+  "letterboxd.com":          "entertainment",
+  "9gag.com":                "entertainment",
+  "imgur.com":               "entertainment",
+  "giphy.com":               "entertainment",
+  "bilibili.com":            "entertainment",
+
+  // ── Social ─────────────────────────────────────────────────────────────────
+  "facebook.com":            "social",
+  "instagram.com":           "social",
+  "tiktok.com":              "social",
+  "twitter.com":             "social",
+  "x.com":                   "social",
+  "reddit.com":              "social",
+  "snapchat.com":            "social",
+  "pinterest.com":           "social",
+  "tumblr.com":              "social",
+  "threads.net":             "social",
+  "bsky.app":                "social",
+  "mastodon.social":         "social",
+  "discord.com":             "social",
+  "web.whatsapp.com":        "social",
+  "web.telegram.org":        "social",
+  "quora.com":               "social",
+  "vk.com":                  "social",
+  "weibo.com":               "social",
+
+  // ── Shopping ───────────────────────────────────────────────────────────────
+  "amazon.com":              "shopping",
+  "amazon.co.uk":            "shopping",
+  "amazon.de":               "shopping",
+  "amazon.fr":               "shopping",
+  "amazon.ca":               "shopping",
+  "ebay.com":                "shopping",
+  "ebay.co.uk":              "shopping",
+  "etsy.com":                "shopping",
+  "walmart.com":             "shopping",
+  "target.com":              "shopping",
+  "bestbuy.com":             "shopping",
+  "aliexpress.com":          "shopping",
+  "temu.com":                "shopping",
+  "shein.com":               "shopping",
+  "wayfair.com":             "shopping",
+  "ikea.com":                "shopping",
+  "zalando.com":             "shopping",
+  "asos.com":                "shopping",
+  "costco.com":              "shopping",
+  "homedepot.com":           "shopping",
+  "newegg.com":              "shopping",
+  "rakuten.com":             "shopping",
+  "mercadolibre.com":        "shopping",
+
+  // ── News ───────────────────────────────────────────────────────────────────
+  "news.google.com":         "news",
+  "news.yahoo.com":          "news",
+  "cnn.com":                 "news",
+  "bbc.com":                 "news",
+  "bbc.co.uk":               "news",
+  "nytimes.com":             "news",
+  "theguardian.com":         "news",
+  "washingtonpost.com":      "news",
+  "foxnews.com":             "news",
+  "nbcnews.com":             "news",
+  "apnews.com":              "news",
+  "reuters.com":             "news",
+  "aljazeera.com":           "news",
+  "npr.org":                 "news",
+  "usatoday.com":            "news",
+  "dailymail.co.uk":         "news",
+  "huffpost.com":            "news",
+  "buzzfeed.com":            "news",
+  "vox.com":                 "news",
+  "theverge.com":            "news",
+  "news.ycombinator.com":    "news",
+  "espn.com":                "news",
+  "theathletic.com":         "news",
+
+  // ── Gaming ─────────────────────────────────────────────────────────────────
+  "store.steampowered.com":  "gaming",
+  "steamcommunity.com":      "gaming",
+  "epicgames.com":           "gaming",
+  "gog.com":                 "gaming",
+  "itch.io":                 "gaming",
+  "roblox.com":              "gaming",
+  "minecraft.net":           "gaming",
+  "ea.com":                  "gaming",
+  "playstation.com":         "gaming",
+  "xbox.com":                "gaming",
+  "nintendo.com":            "gaming",
+  "chess.com":               "gaming",
+  "lichess.org":             "gaming",
+  "ign.com":                 "gaming",
+  "gamespot.com":            "gaming",
+  "kotaku.com":              "gaming",
+  "polygon.com":             "gaming",
+  "pcgamer.com":             "gaming",
+  "poki.com":                "gaming",
+  "miniclip.com":            "gaming",
+
+  // ── Finance ────────────────────────────────────────────────────────────────
+  "paypal.com":              "finance",
+  "venmo.com":               "finance",
+  "chase.com":               "finance",
+  "bankofamerica.com":       "finance",
+  "wellsfargo.com":          "finance",
+  "citi.com":                "finance",
+  "capitalone.com":          "finance",
+  "americanexpress.com":     "finance",
+  "discover.com":            "finance",
+  "revolut.com":             "finance",
+  "monzo.com":               "finance",
+  "wise.com":                "finance",
+  "robinhood.com":           "finance",
+  "coinbase.com":            "finance",
+  "binance.com":             "finance",
+  "kraken.com":              "finance",
+  "etrade.com":              "finance",
+  "schwab.com":              "finance",
+  "fidelity.com":            "finance",
+  "vanguard.com":            "finance",
+  "creditkarma.com":         "finance",
+  "mint.intuit.com":         "finance",
+  "finance.yahoo.com":       "finance",
+};
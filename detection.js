@@ -0,0 +1,760 @@
+/**
+ * detection.js
+ * Mixed-session detection engine. Pure: no browser APIs, so the background
+ * worker and the Node backtest runner (backtest/run.js) share the same code.
+ *
+ * Detection model layers (all contribute to a score):
+ *   1. URL Intent Detection   — path/host/query signals (/watch, /cart, /adsmanager);
+ *                               every matching rule adds up, user rules take precedence
+ *   2. Domain Variety         — many unrelated domains = personal browsing
+ *   3. Rapid Navigation       — navigations/min spike = non-work browsing
+ *   4. Time Pattern           — share of the session inside the user's work schedule
+ *   5. User Override          — the context a domain is assigned to (contexts.js) adjusts
+ *                               score by its work/personal polarity
+ *   6. Adaptive Memory        — repeated ignores auto-elevate a domain to "work";
+ *                               they fade over time and deletes count against them
+ *   7. Learned Model          — naive Bayes over hosts, path words and titles (classifier.js),
+ *                               trained from Ignore, review deletes and Work/Personal tags
+ *   8. Site Catalogue         — bundled host → category list (data/site_categories.js),
+ *                               one signal per known site in the session
+ *
+ * Input is a time-ordered list of visits:
+ *   { url, title, visitTime, visitId, referringVisitId, transition }
+ * Sessions are clustered from individual visits, not from each URL's
+ * lastVisitTime, so a URL can belong to several sessions.
+ *
+ * A suggestion is only surfaced when score >= ctx.confidenceThreshold.
+ */
+
+import { getDomain, getRootDomain } from "./domains.js";
+import { DEFAULT_WORK_SCHEDULE, workTimeShare } from "./schedule.js";
+import { predictPage } from "./classifier.js";
+import { SITE_CATEGORIES } from "./data/site_categories.js";
+import { BUILTIN_CONTEXTS, findDomainContext } from "./contexts.js";
+
+// Tunables the user can change on the options page (stored via settings.js)
+export const DETECTION_DEFAULTS = {
+  confidenceThreshold:    4,     // minimum session score to surface a suggestion
+  autoWorkIgnoreCount:    3,     // ignores before a domain is auto-treated as work
+  ignoreHalfLifeDays:     30,    // days after which an ignore counts half as much
+  sessionGapMinutes:      30,    // idle gap that starts a new session
+  minSessionPages:        5,     // sessions with fewer distinct pages are skipped
+  suggestionLookbackDays: 7,     // how far back suggestions look
+  maxSuggestions:         5,     // most suggestions shown at once
+  workSignalWeight:       0.6,   // how strongly work signals cancel personal ones
+  learnedModelWeight:     2,     // most the learned model can add or subtract
+  siteCatalogueWeight:    1,     // points per catalogued site in a session; 0 turns it off
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layer 1: URL Intent Rules
+// Each rule provides a score signal. Positive = personal, Negative = work.
+// A single path match can flip an otherwise borderline session.
+// Rules without a type match whole path segments, so singular and plural
+// forms ("/product", "/products") are listed as separate rules.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const URL_INTENT_RULES = [
+  // ── Entertainment ──────────────────────────────────────────────────────────
+  { match: "/watch",          score:  2, category: "entertainment", label: "Video" },
+  { match: "/shorts",         score:  2, category: "entertainment", label: "Video" },
+  { match: "/clip",           score:  1, category: "entertainment", label: "Video" },
+  { match: "/clips",          score:  1, category: "entertainment", label: "Video" },
+  { match: "/video",          score:  1, category: "entertainment", label: "Video" },
+  { match: "/videos",         score:  1, category: "entertainment", label: "Video" },
+  { match: "/stream",         score:  1, category: "entertainment", label: "Video" },
+  { match: "/streams",        score:  1, category: "entertainment", label: "Video" },
+  { match: "/live",           score:  1, category: "entertainment", label: "Video" },
+  // ── Social ─────────────────────────────────────────────────────────────────
+  { match: "/reels",          score:  2, category: "social",        label: "Social" },
+  { match: "/reel",           score:  2, category: "social",        label: "Social" },
+  { match: "/story",          score:  1, category: "social",        label: "Social" },
+  { match: "/stories",        score:  1, category: "social",        label: "Social" },
+  { match: "/post",           score:  1, category: "social",        label: "Social" },
+  { match: "/posts",          score:  1, category: "social",        label: "Social" },
+  { match: "/feed",           score:  1, category: "social",        label: "Social" },
+  { match: "/profile",        score:  1, category: "social",        label: "Social" },
+  { match: "/explore",        score:  1, category: "social",        label: "Social" },
+  { match: "/trending",       score:  1, category: "social",        label: "Social" },
+  // ── Shopping ───────────────────────────────────────────────────────────────
+  { match: "/cart",           score:  2, category: "shopping",      label: "Shopping" },
+  { match: "/checkout",       score:  3, category: "shopping",      label: "Shopping" },
+  { match: "/wishlist",       score:  1, category: "shopping",      label: "Shopping" },
+  { match: "/product",        score:  1, category: "shopping",      label: "Shopping" },
+  { match: "/products",       score:  1, category: "shopping",      label: "Shopping" },
+  { match: "/item/",          score:  1, category: "shopping",      label: "Shopping" },
+  { match: "/items/",         score:  1, category: "shopping",      label: "Shopping" },
+  { match: "/dp/",            score:  1, category: "shopping",      label: "Shopping" }, // Amazon
+  { match: "/buy",            score:  2, category: "shopping",      label: "Shopping" },
+  { match: "/order",          score:  1, category: "shopping",      label: "Shopping" },
+  { match: "/orders",         score:  1, category: "shopping",      label: "Shopping" },
+  // ── Work signals (negative — suppress flagging) ────────────────────────────
+  { match: "/adsmanager",     score: -5, category: "work",          label: "Ads Manager" },
+  { match: "/business",       score: -4, category: "work",          label: "Business" },
+  { match: "/analytics",      score: -4, category: "work",          label: "Analytics" },
+  { match: "/dashboard",      score: -4, category: "work",          label: "Dashboard" },
+  { match: "/admin",          score: -3, category: "work",          label: "Admin" },
+  { match: "/studio",         score: -3, category: "work",          label: "Studio" },
+  { match: "/manage",         score: -3, category: "work",          label: "Manage" },
+  { match: "/creator",        score: -2, category: "work",          label: "Creator Tools" },
+  { match: "/report",         score: -2, category: "work",          label: "Reports" },
+  { match: "/reports",        score: -2, category: "work",          label: "Reports" },
+  { match: "/docs",           score: -2, category: "work",          label: "Docs" },
+  { match: "/api",            score: -2, category: "work",          label: "API" },
+  { match: "/settings",       score: -1, category: "work",          label: "Settings" },
+  { match: "/campaigns",      score: -3, category: "work",          label: "Campaigns" },
+  { match: "/insights",       score: -2, category: "work",          label: "Insights" },
+];
+
+export const CATEGORY_META = {
+  entertainment: { label: "Video & Entertainment", icon: "🎬" },
+  social:        { label: "Social Media",          icon: "📱" },
+  shopping:      { label: "Online Shopping",        icon: "🛍" },
+  news:          { label: "News",                   icon: "📰" },
+  gaming:        { label: "Gaming",                 icon: "🎮" },
+  finance:       { label: "Personal Finance",       icon: "💳" },
+  work:          { label: "Work Activity",          icon: "💼" },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// User intent rules
+// Stored in storage.local as `intentRules` — an ordered array of
+// { id, type, match, score, category, label, enabled }. Enabled user rules
+// are checked before the built-in list, so a user rule with the same type and
+// pattern as a built-in one replaces it (see the matching engine below).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RULE_SCORE_MIN   = -10;
+const RULE_SCORE_MAX   = 10;
+const RULE_MATCH_MAX   = 100;
+const RULE_LABEL_MAX   = 40;
+const RULE_CATEGORY_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+const RULE_HOST_RE     = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+const RULE_QUERY_RE    = /^[^=&\s]+(=[^&\s]*)?$/;
+
+/**
+ * Validates and normalises a user rule list.
+ * Errors are reported per rule index so the popup can show them inline.
+ * @param {any} rules
+ * @returns {{ rules: object[], errors: Array<{ index: number, field: string, message: string }> }}
+ */
+export function validateIntentRules(rules) {
+  const errors = [];
+  if (!Array.isArray(rules)) {
+    return { rules: [], errors: [{ index: -1, field: "rules", message: "Rules must be a list." }] };
+  }
+
+  const seen       = new Set();
+  const normalised = rules.map((raw, index) => {
+    const rule  = raw || {};
+    const type  = rule.type || "segment";
+    const text  = String(rule.match || "").trim();
+    const match = type === "regex" ? text : text.toLowerCase(); // regexes match case-insensitively
+    const score = Number(rule.score);
+    const cat   = String(rule.category || "").trim().toLowerCase();
+    const label = String(rule.label || "").trim();
+
+    const matchError = RULE_TYPES.includes(type) ? validateRulePattern(type, match) : null;
+    if (!RULE_TYPES.includes(type)) {
+      errors.push({ index, field: "type", message: `Match type must be one of: ${RULE_TYPES.join(", ")}.` });
+    } else if (matchError) {
+      errors.push({ index, field: "match", message: matchError });
+    } else if (seen.has(`${type}:${match}`)) {
+      errors.push({ index, field: "match", message: "Another rule already uses this pattern." });
+    }
+    seen.add(`${type}:${match}`);
+
+    if (!Number.isInteger(score) || score < RULE_SCORE_MIN || score > RULE_SCORE_MAX) {
+      errors.push({ index, field: "score", message: `Score must be a whole number from ${RULE_SCORE_MIN} to ${RULE_SCORE_MAX}.` });
+    }
+    if (!RULE_CATEGORY_RE.test(cat)) {
+      errors.push({ index, field: "category", message: "Category must be a short lowercase name." });
+    }
+    if (!label) {
+      errors.push({ index, field: "label", message: "Label is required." });
+    } else if (label.length > RULE_LABEL_MAX) {
+      errors.push({ index, field: "label", message: `Label must be at most ${RULE_LABEL_MAX} characters.` });
+    }
+
+    return {
+      id:       typeof rule.id === "string" && rule.id ? rule.id : `rule_${Date.now().toString(36)}_${index}`,
+      type,
+      match,
+      score,
+      category: cat,
+      label,
+      enabled:  rule.enabled !== false,
+    };
+  });
+
+  return { rules: normalised, errors };
+}
+
+/**
+ * Checks a pattern against the syntax its match type expects.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateRulePattern(type, match) {
+  if (!match) return "Pattern is required.";
+  if (match.length > RULE_MATCH_MAX) return `Pattern must be at most ${RULE_MATCH_MAX} characters.`;
+  switch (type) {
+    case "segment":
+    case "prefix":
+      if (!match.startsWith("/"))              return "Path patterns must start with \"/\".";
+      if (patternSegments(match).length === 0) return "Path patterns need at least one segment.";
+      return null;
+    case "host":
+      return RULE_HOST_RE.test(match) ? null : "Enter a hostname such as example.com.";
+    case "query":
+      return RULE_QUERY_RE.test(match) ? null : "Enter a parameter name, or name=value.";
+    case "regex":
+      return getRuleRegex(match) ? null : "This is not a valid regular expression.";
+  }
+  return null;
+}
+
+/** Enabled user rules first (in the user's order), then the built-ins. */
+export function mergeIntentRules(userRules) {
+  return [...(userRules || []).filter(r => r.enabled !== false), ...URL_INTENT_RULES];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layer 1 matching engine
+// A rule's `type` says how its `match` pattern is read (default "segment"):
+//   segment — whole path segments anywhere in the path ("/api" ≠ "/apiary")
+//   prefix  — whole path segments at the start of the path
+//   host    — the hostname or any subdomain of it
+//   query   — a query parameter name, or name=value
+//   regex   — case-insensitive regex against host + path + query
+//
+// Every rule that matches fires. A rule with the same type and pattern as an
+// earlier rule is shadowed, which is how user rules replace built-ins. The
+// rest all add up, except that two rules of one category matching the same
+// part of the URL tie: only the most specific of them counts, list order
+// breaking equal specificity. Parts are the host, each query parameter and
+// each path segment; a regex covers the whole URL, so it only counts when no
+// other rule of its category fired.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const RULE_TYPES = ["segment", "prefix", "host", "query", "regex"];
+
+// Higher = more specific. Within a type, longer patterns are more specific.
+const RULE_TYPE_SPECIFICITY = { regex: 1, host: 2, segment: 3, prefix: 4, query: 5 };
+
+const ruleRegexCache = new Map();
+
+function getRuleRegex(source) {
+  if (!ruleRegexCache.has(source)) {
+    let re = null;
+    try { re = new RegExp(source, "i"); } catch (_) { /* invalid pattern */ }
+    ruleRegexCache.set(source, re);
+  }
+  return ruleRegexCache.get(source);
+}
+
+function patternSegments(pattern) {
+  return pattern.split("/").filter(Boolean);
+}
+
+function ruleSpecificity(rule) {
+  const type = rule.type || "segment";
+  let size = 1;
+  if (type === "segment" || type === "prefix") size = patternSegments(rule.match).length;
+  else if (type === "host")                    size = rule.match.split(".").length;
+  else if (type === "query")                   size = rule.match.includes("=") ? 2 : 1;
+  return RULE_TYPE_SPECIFICITY[type] * 100 + size;
+}
+
+/** Splits a URL into the parts rules are matched against. */
+function parseRuleTarget(url) {
+  try {
+    const u      = new URL(url);
+    const params = new Map();
+    for (const [k, v] of u.searchParams) {
+      const key = k.toLowerCase();
+      if (!params.has(key)) params.set(key, []);
+      params.get(key).push(v.toLowerCase());
+    }
+    return {
+      host:     u.hostname.toLowerCase(),
+      segments: u.pathname.toLowerCase().split("/").filter(Boolean),
+      params,
+      text:     (u.hostname + u.pathname + u.search).toLowerCase(),
+    };
+  } catch (_) { return null; }
+}
+
+/**
+ * The parts of the URL a rule matched, or null when it doesn't fire.
+ * @returns {string[]|null} "host", "query:<name>", "path:<index>" or "url" (all of it)
+ */
+function ruleMatch(rule, target) {
+  const pattern = rule.match;
+  switch (rule.type || "segment") {
+    case "host":
+      return target.host === pattern || target.host.endsWith("." + pattern) ? ["host"] : null;
+    case "query": {
+      const eq    = pattern.indexOf("=");
+      const name  = eq === -1 ? pattern : pattern.slice(0, eq);
+      const value = eq === -1 ? null    : pattern.slice(eq + 1);
+      const vals  = target.params.get(name);
+      return vals && (value === null || vals.includes(value)) ? [`query:${name}`] : null;
+    }
+    case "regex": {
+      const re = getRuleRegex(pattern);
+      return re && re.test(target.text) ? ["url"] : null;
+    }
+    case "prefix": {
+      const segs = patternSegments(pattern);
+      return segs.every((seg, i) => target.segments[i] === seg) ? segs.map((_, i) => `path:${i}`) : null;
+    }
+    default: {
+      const segs = patternSegments(pattern);
+      const path = target.segments;
+      for (let i = 0; i + segs.length <= path.length; i++) {
+        if (segs.every((seg, j) => path[i + j] === seg)) return segs.map((_, j) => `path:${i + j}`);
+      }
+      return null;
+    }
+  }
+}
+
+function partsOverlap(a, b) {
+  return a.includes("url") || b.includes("url") || a.some(part => b.includes(part));
+}
+
+/**
+ * Runs every rule against a URL.
+ * @param {string} url
+ * @param {object[]} [rules]
+ * @returns {{ score: number, counted: object[], matches: Array<{ rule: object, counted: boolean, reason: string|null }> }|null}
+ *   `counted` are the rules whose scores were summed; `matches` is every rule
+ *   that fired, with the reason it didn't count ("shadowed" | "less specific":
+ *   a more specific rule of its category matched the same part of the URL).
+ *   null when nothing fired.
+ */
+export function classifyUrl(url, rules = URL_INTENT_RULES) {
+  const target = parseRuleTarget(url);
+  if (!target) return null;
+
+  const fired = [];
+  const keys  = new Set();
+  for (const rule of rules) {
+    const key      = `${rule.type || "segment"}:${rule.match}`;
+    const shadowed = keys.has(key);
+    keys.add(key);
+    const parts = ruleMatch(rule, target);
+    if (parts) fired.push({ rule, parts, shadowed });
+  }
+  if (fired.length === 0) return null;
+
+  // Most specific first (sort is stable, so earlier rules win equal specificity);
+  // a rule is dropped when one already counted in its category matched the same part
+  const taken   = [];
+  const counted = new Set();
+  const ranked  = fired.filter(f => !f.shadowed).sort((a, b) => ruleSpecificity(b.rule) - ruleSpecificity(a.rule));
+  for (const { rule, parts } of ranked) {
+    if (taken.some(t => t.category === rule.category && partsOverlap(t.parts, parts))) continue;
+    taken.push({ category: rule.category, parts });
+    counted.add(rule);
+  }
+
+  const matches = fired.map(({ rule, shadowed }) => ({
+    rule,
+    counted: counted.has(rule),
+    reason:  shadowed ? "shadowed" : counted.has(rule) ? null : "less specific",
+  }));
+  const countedRules = matches.filter(m => m.counted).map(m => m.rule);
+
+  return {
+    score:   countedRules.reduce((sum, r) => sum + r.score, 0),
+    counted: countedRules,
+    matches,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layer 8: Site catalogue
+// Known hosts are a personal signal even when no path rule matches
+// (netflix.com/, reddit.com/r/…). Each site counts once per session.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * The catalogue entry covering a hostname; the longest matching key wins.
+ * @param {string|null} hostname
+ * @returns {{ host: string, category: string }|null}
+ */
+export function lookupSiteCategory(hostname) {
+  if (!hostname) return null;
+  const labels = hostname.toLowerCase().replace(/^www\./, "").split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    const host = labels.slice(i).join(".");
+    if (Object.hasOwn(SITE_CATEGORIES, host)) return { host, category: SITE_CATEGORIES[host] };
+  }
+  return null;
+}
+
+export function getConfidence(score) {
+  if (score >= 9) return "high";
+  if (score >= 6) return "medium";
+  return "low"; // still above threshold, just less certain
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layer 2–5: Multi-signal Session Scorer
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Everything the scorer reads besides the visits themselves: the user's
+ * domain prefs and merged context list, decayed ignore weights (adaptive.js),
+ * merged rule list, work schedule and learned model (null = layer off), plus
+ * the DETECTION_DEFAULTS tunables.
+ * @typedef {{ domainPrefs: object, contexts: object[], ignoreWeights: object, rules: object[],
+ *   workSchedule: object, model: object|null } & typeof DETECTION_DEFAULTS} DetectionContext
+ */
+
+/**
+ * Defaults for callers that only care about some of the context.
+ * @param {Partial<DetectionContext>} [overrides]
+ * @returns {DetectionContext}
+ */
+export function makeDetectionContext(overrides = {}) {
+  return {
+    domainPrefs:   {},
+    contexts:      BUILTIN_CONTEXTS,
+    ignoreWeights: {},
+    rules:         URL_INTENT_RULES,
+    workSchedule:  DEFAULT_WORK_SCHEDULE,
+    model:         null,
+    ...DETECTION_DEFAULTS,
+    ...overrides,
+  };
+}
+
+/**
+ * How each rule that fired on a URL was treated, for the "Why was this
+ * flagged?" panel. `reason` is null for rules that counted.
+ * @param {ReturnType<typeof classifyUrl>} result
+ * @param {string|null} overriddenBy - Set when a domain override skipped rule scoring.
+ */
+function describeRuleMatches(result, overriddenBy) {
+  return (result?.matches || []).map(({ rule, counted, reason }) => ({
+    type:     rule.type || "segment",
+    match:    rule.match,
+    label:    rule.label,
+    category: rule.category,
+    score:    rule.score,
+    custom:   !!rule.id,
+    counted:  counted && !overriddenBy && rule.score !== 0,
+    reason:   overriddenBy || reason || (rule.score === 0 ? "neutral" : null),
+  }));
+}
+
+/**
+ * Scores one session of visits (see buildVisitTimeline for the visit shape).
+ * URL intent is scored once per distinct URL; navigation rate and timing use
+ * every visit.
+ * @param {object[]} session
+ * @param {DetectionContext} ctx
+ */
+export function scoreSession(session, ctx) {
+  const { domainPrefs, ignoreWeights, rules } = ctx;
+  let urlIntentScore    = 0;
+  let workSignalScore   = 0;
+  const categoryHits    = new Map();  // category → { count, label, icon, urls }
+  const domains         = new Set();
+  const seenUrls        = new Set();
+  const urlDetails      = [];         // per-URL attribution, see describeRuleMatches
+  const learnedVotes    = [];         // −1 (work) … +1 (personal) per page the model knows
+  const sitesCounted    = new Set();  // catalogue hosts that already scored
+  const contextPages    = new Map();  // context id → { id, name, color, polarity, pages }
+  let siteScore         = 0;
+
+  const addCategoryHit = (category, url) => {
+    const meta = CATEGORY_META[category] || { label: category, icon: "🔗" };
+    if (!categoryHits.has(category)) {
+      categoryHits.set(category, { category, label: meta.label, icon: meta.icon, count: 0, urls: [] });
+    }
+    const entry = categoryHits.get(category);
+    if (entry.urls.includes(url)) return;
+    entry.count++;
+    entry.urls.push(url);
+  };
+
+  for (const item of session) {
+    if (seenUrls.has(item.url)) continue;
+    seenUrls.add(item.url);
+
+    const domain     = getDomain(item.url);
+    const rootDomain = domain ? getRootDomain(domain) : null;
+    const result     = classifyUrl(item.url, rules);
+    const site       = ctx.siteCatalogueWeight > 0 ? lookupSiteCategory(domain) : null;
+    const detail     = { url: item.url, title: item.title || "", domain, override: null, rules: [], learned: null, site: null };
+    urlDetails.push(detail);
+
+    if (domain) domains.add(domain);
+
+    // ── User override: the domain's context ─────────────────────────────────
+    const context = findDomainContext(domainPrefs, ctx.contexts, domain, rootDomain);
+    const pref    = context?.polarity || null;
+    if (context) {
+      const entry = contextPages.get(context.id) ||
+        { id: context.id, name: context.name, color: context.color, polarity: pref, pages: 0 };
+      entry.pages++;
+      contextPages.set(context.id, entry);
+    }
+    if (pref === "work") {
+      workSignalScore += 3;
+      detail.override = { kind: "pref", pref, context: context.name, workPoints: 3 };
+      detail.rules    = describeRuleMatches(result, "marked work");
+      if (site) detail.site = { ...site, points: 0, reason: "marked work" };
+      continue; // Skip URL-intent check — user marked this domain as work
+    }
+    if (pref === "personal") {
+      urlIntentScore += 1; // Boost personal signal
+      detail.override = { kind: "pref", pref, context: context.name, points: 1 };
+    }
+
+    // ── Adaptive: auto-work if repeatedly ignored ────────────────────────────
+    const ignoreWeight = (ignoreWeights[rootDomain] || 0);
+    if (ignoreWeight >= ctx.autoWorkIgnoreCount) {
+      workSignalScore += 2;
+      detail.override = { kind: "ignores", weight: ignoreWeight, workPoints: 2 };
+      detail.rules    = describeRuleMatches(result, "often ignored");
+      if (site) detail.site = { ...site, points: 0, reason: "often ignored" };
+      continue;
+    }
+
+    // ── Learned model ─────────────────────────────────────────────────────────
+    const prediction = ctx.model ? predictPage(ctx.model, item.url, item.title) : null;
+    if (prediction) {
+      learnedVotes.push(prediction.personal * 2 - 1);
+      detail.learned = {
+        personal: prediction.personal,
+        tokens:   prediction.tokens.slice(0, 3).map(t => t.token),
+      };
+    }
+
+    // ── URL Intent scoring ────────────────────────────────────────────────────
+    // Every counted rule contributes; score 0 = user-neutralised pattern.
+    detail.rules = describeRuleMatches(result, null);
+    const counted = result?.counted || [];
+
+    for (const rule of counted) {
+      if (rule.score < 0) {
+        workSignalScore += Math.abs(rule.score);
+        continue;
+      }
+      if (rule.score === 0) continue;
+
+      urlIntentScore += rule.score;
+      addCategoryHit(rule.category, item.url);
+    }
+
+    // ── Site catalogue ────────────────────────────────────────────────────────
+    // A work path on a catalogued site (YouTube Studio, Ads Manager) cancels it.
+    // Later pages of an already-counted site still join its category so they
+    // are deleted with the suggestion.
+    if (!site) continue;
+    if (counted.some(r => r.score < 0)) {
+      detail.site = { ...site, points: 0, reason: "work path" };
+      continue;
+    }
+    detail.site = sitesCounted.has(site.host)
+      ? { ...site, points: 0, reason: "already counted" }
+      : { ...site, points: ctx.siteCatalogueWeight, reason: null };
+    sitesCounted.add(site.host);
+    siteScore += detail.site.points;
+    addCategoryHit(site.category, item.url);
+  }
+
+  // ── Layer 2: Domain variety ───────────────────────────────────────────────
+  // Many unrelated domains = personal. Work tends to cluster on few domains.
+  const domainVariety = Math.min(domains.size / 5, 2.0);
+
+  // ── Layer 3: Rapid navigation ─────────────────────────────────────────────
+  // High pages/min is a personal signal (clicking though feeds, videos).
+  // Reloads and subframe loads aren't navigations and don't count.
+  let rapidScore = 0;
+  let ppm        = null;
+  const navigations = session.filter(v => !NON_NAVIGATION_TRANSITIONS.has(v.transition));
+  if (navigations.length >= 3) {
+    const durationMin = (navigations[navigations.length - 1].visitTime - navigations[0].visitTime) / 60_000;
+    if (durationMin > 0) {
+      ppm = navigations.length / durationMin;
+      if (ppm > 3) rapidScore = 1;
+      if (ppm > 8) rapidScore = 2;
+    }
+  }
+
+  // ── Layer 4: Timing ───────────────────────────────────────────────────────
+  // Personal browsing during work time is more notable than at 11pm. Scores
+  // the share of the session's visits inside the user's schedule (0–1), so a
+  // session running past the end of the day counts partially.
+  const timingScore = workTimeShare(session.map(v => v.visitTime), ctx.workSchedule);
+
+  // ── Layer 7: Learned model ────────────────────────────────────────────────
+  // Mean of the model's per-page votes, so it can move a session by at most
+  // learnedModelWeight in either direction however long the session is.
+  const learnedScore = learnedVotes.length > 0
+    ? learnedVotes.reduce((a, b) => a + b, 0) / learnedVotes.length * ctx.learnedModelWeight
+    : 0;
+
+  // ── Final score ───────────────────────────────────────────────────────────
+  // Work signals subtract with a partial weight (0.6 by default) so a single
+  // work path doesn't fully cancel out a session, but multiple work signals do.
+  const total = urlIntentScore + siteScore + domainVariety + rapidScore + timingScore + learnedScore
+              - (workSignalScore * ctx.workSignalWeight);
+
+  const categories = [...categoryHits.values()].sort((a, b) => b.count - a.count);
+
+  return {
+    score:         Math.max(0, total),
+    categories,
+    domains:       [...domains],
+    contexts:      [...contextPages.values()].sort((a, b) => b.pages - a.pages),
+    pageCount:     seenUrls.size,
+    breakdown: {
+      urlIntent:    urlIntentScore,
+      sites:        siteScore,
+      domainVariety,
+      rapid:        rapidScore,
+      timing:       timingScore,
+      workSignals:  workSignalScore,
+      learned:      learnedScore,
+    },
+    urlDetails,
+    navPerMinute:  ppm,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Session clustering
+// ─────────────────────────────────────────────────────────────────────────────
+
+// A visit reached by following a link from the current session stays in it
+// across a longer gap than the session gap setting (e.g. coming back to a
+// tab opened earlier).
+const REFERRER_CONTINUATION_MS = 2 * 60 * 60 * 1000;
+
+// Transitions that aren't the user navigating somewhere new
+const NON_NAVIGATION_TRANSITIONS = new Set(["reload", "auto_subframe", "manual_subframe"]);
+
+/**
+ * Splits a visit timeline into time-contiguous sessions.
+ * @param {object[]} visits - Time-ordered output of buildVisitTimeline.
+ * @param {number} gapMs - Idle time that ends a session.
+ * @returns {Array<object[]>}
+ */
+export function clusterSessions(visits, gapMs) {
+  const sessions = [];
+  let current    = [];
+  let currentIds = new Set();
+
+  for (const visit of visits) {
+    const last = current[current.length - 1];
+    const gap  = last ? visit.visitTime - last.visitTime : 0;
+    const referredFromSession = visit.referringVisitId && currentIds.has(visit.referringVisitId);
+
+    if (last && gap > gapMs && !(referredFromSession && gap <= REFERRER_CONTINUATION_MS)) {
+      sessions.push(current);
+      current    = [];
+      currentIds = new Set();
+    }
+    current.push(visit);
+    if (visit.visitId) currentIds.add(visit.visitId);
+  }
+  if (current.length > 0) sessions.push(current);
+
+  return sessions;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main Detection: Clustering + Scoring
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Visits with a time and URL, clustered into sessions in time order. */
+function sessionsOf(visits, ctx) {
+  const sorted = (visits || [])
+    .filter(v => v.visitTime && v.url)
+    .sort((a, b) => a.visitTime - b.visitTime);
+  return clusterSessions(sorted, ctx.sessionGapMinutes * 60 * 1000);
+}
+
+/** Whether a scored session is worth a suggestion. */
+function isSuggestable(scored, ctx) {
+  // Only surface when confidence is meaningful
+  return scored.pageCount >= ctx.minSessionPages &&
+    scored.score >= ctx.confidenceThreshold &&
+    scored.categories.length > 0;
+}
+
+/**
+ * @param {object[]} visits - Output of buildVisitTimeline.
+ * @param {DetectionContext} ctx
+ * @returns {object[]} every suggestion, best first. `breakdown` holds the layer
+ *   scores and `explanation` the threshold and per-URL rule/override attribution.
+ */
+export function detectMixedSessions(visits, ctx) {
+  const suggestions = [];
+
+  for (const session of sessionsOf(visits, ctx)) {
+    const scored = scoreSession(session, ctx);
+    if (!isSuggestable(scored, ctx)) continue;
+
+    const sessionStart = session[0].visitTime;
+    const sessionEnd   = session[session.length - 1].visitTime;
+
+    suggestions.push({
+      id:          `session_${sessionStart}`,
+      sessionStart,
+      sessionEnd,
+      totalItems:  scored.pageCount,
+      totalVisits: session.length,
+      score:       scored.score,
+      confidence:  getConfidence(scored.score),
+      categories:  scored.categories,
+      domains:     scored.domains,
+      contexts:    scored.contexts,
+      allUrls:     scored.categories.flatMap(c => c.urls),
+      breakdown:   scored.breakdown,
+      explanation: {
+        threshold:        ctx.confidenceThreshold,
+        workSignalWeight: ctx.workSignalWeight,
+        navPerMinute:     scored.navPerMinute,
+        urls:             scored.urlDetails,
+      },
+    });
+  }
+
+  // Highest-score first (most confident), then most recent
+  return suggestions.sort((a, b) => b.score - a.score || b.sessionStart - a.sessionStart);
+}
+
+/**
+ * Every session in the visits, scored, in time order — flagged or not. For
+ * charting sessions rather than listing suggestions; `flagged` says whether
+ * detectMixedSessions would suggest it, and `id` matches the suggestion's.
+ * @param {object[]} visits - Output of buildVisitTimeline.
+ * @param {DetectionContext} ctx
+ * @returns {Array<{ id: string, sessionStart: number, sessionEnd: number, pageCount: number, visitCount: number,
+ *   score: number, confidence: string, flagged: boolean, domains: string[],
+ *   categories: Array<{ label: string, icon: string, count: number }> }>}
+ */
+export function scoreTimeline(visits, ctx) {
+  return sessionsOf(visits, ctx).map((session) => {
+    const scored = scoreSession(session, ctx);
+    return {
+      id:           `session_${session[0].visitTime}`,
+      sessionStart: session[0].visitTime,
+      sessionEnd:   session[session.length - 1].visitTime,
+      pageCount:    scored.pageCount,
+      visitCount:   session.length,
+      score:        scored.score,
+      confidence:   getConfidence(scored.score),
+      flagged:      isSuggestable(scored, ctx),
+      domains:      scored.domains,
+      categories:   scored.categories.map(({ label, icon, count }) => ({ label, icon, count })),
+    };
+  });
+}
@@ -0,0 +1,51 @@
+/**
+ * dom.js
+ * Safe DOM builder and download helper shared by the extension pages
+ * (popup, options, dashboard).
+ *
+ * Uses the DOM API exclusively — NO innerHTML — to satisfy Firefox AMO
+ * validation (unsafe assignment to innerHTML warning).
+ */
+
+/**
+ * Creates a DOM element without innerHTML.
+ * @param {string} tag
+ * @param {{ class?:string, text?:string, [attr:string]: any }|null} attrs
+ * @param {...(Node|string|Array|null)} children
+ */
+export function el(tag, attrs, ...children) {
+  const node = document.createElement(tag);
+  if (attrs) {
+    for (const [k, v] of Object.entries(attrs)) {
+      if (v == null) continue;
+      if (k === "class")                        node.className = v;
+      else if (k === "text")                    node.textContent = v;
+      else if (k === "style" && typeof v === "object") Object.assign(node.style, v);
+      else                                      node.setAttribute(k, v);
+    }
+  }
+  (function mount(kids) {
+    for (const child of kids) {
+      if (child == null) continue;
+      if (Array.isArray(child)) { mount(child); continue; }
+      node.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    }
+  })(children);
+  return node;
+}
+
+/**
+ * Saves text as a file through a temporary blob link, so no downloads
+ * permission is needed.
+ * @param {string} filename
+ * @param {string} mime
+ * @param {string} text
+ */
+export function downloadText(filename, mime, text) {
+  const url  = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = el("a", { href: url, download: filename });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
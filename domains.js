@@ -0,0 +1,90 @@
+/**
+ * domains.js
+ * Hostname helpers shared by the background worker and the popup.
+ *
+ * Root domains are resolved against the bundled Public Suffix List, so
+ * "news.bbc.co.uk" → "bbc.co.uk" rather than "co.uk".
+ */
+
+import { PUBLIC_SUFFIX_RULES } from "./data/public_suffix_list.js";
+
+const suffixes   = new Set();
+const wildcards  = new Set();   // "*.ck"   stored as "ck"
+const exceptions = new Set();   // "!www.ck" stored as "www.ck"
+
+for (const rule of PUBLIC_SUFFIX_RULES) {
+  if (rule.startsWith("!"))       exceptions.add(rule.slice(1));
+  else if (rule.startsWith("*.")) wildcards.add(rule.slice(2));
+  else                            suffixes.add(rule);
+}
+
+const IPV4_RE = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+function normaliseHost(hostname) {
+  return String(hostname || "").trim().toLowerCase().replace(/\.+$/, "");
+}
+
+/**
+ * Number of trailing labels that form the public suffix of `labels`.
+ * Falls back to the implicit "*" rule (the TLD alone) when nothing matches.
+ */
+function publicSuffixLength(labels) {
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join(".");
+    if (exceptions.has(candidate)) return labels.length - i - 1;
+    if (suffixes.has(candidate))   return labels.length - i;
+    if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join("."))) return labels.length - i;
+  }
+  return 1;
+}
+
+/**
+ * Hostname of a URL, or null when the URL can't be parsed.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function getDomain(url) {
+  try { return new URL(url).hostname; } catch (_) { return null; }
+}
+
+/**
+ * Registrable ("root") domain of a hostname: the public suffix plus one label.
+ * IP addresses, single-label hosts and bare public suffixes are returned as-is.
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getRootDomain(hostname) {
+  const host = normaliseHost(hostname);
+  if (!host || IPV4_RE.test(host) || host.includes(":")) return host;
+
+  const labels = host.split(".");
+  const keep   = publicSuffixLength(labels) + 1;
+  return labels.length > keep ? labels.slice(-keep).join(".") : host;
+}
+
+/**
+ * True when the hostname is itself a public suffix (e.g. "co.uk", "github.io"),
+ * i.e. not something a user could own or mark as work/personal.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isPublicSuffix(hostname) {
+  const host = normaliseHost(hostname);
+  if (!host || IPV4_RE.test(host)) return false;
+  const labels = host.split(".");
+  if (labels.length === 1) return suffixes.has(host); // "localhost" only matches the implicit rule
+  return publicSuffixLength(labels) >= labels.length;
+}
+
+/**
+ * True when the hostname, or the root domain it belongs to, is protected.
+ * Protected domains are never deleted from by bulk or automatic cleanup.
+ * @param {Object<string, string|object>} domainPrefs - `domainPrefs` from storage (see contexts.js).
+ * @param {string|null} hostname
+ * @returns {boolean}
+ */
+export function isProtectedHost(domainPrefs, hostname) {
+  const host = normaliseHost(hostname);
+  if (!host || !domainPrefs) return false;
+  return domainPrefs[host]?.protected === true || domainPrefs[getRootDomain(host)]?.protected === true;
+}
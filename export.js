@@ -0,0 +1,154 @@
+/**
+ * export.js
+ * Serializes history for download: CSV, JSON or a self-contained HTML report.
+ *
+ * An export is a list of groups (the popup's result groups, or one
+ * suggestion), each holding pages with their title, URL, visit count, last
+ * visit and the context the page's domain is assigned to. Collapsed URL
+ * variants are written out one URL per line. The HTML report carries its
+ * own styles and no scripts or remote resources, so it opens anywhere.
+ * Pure module: no browser APIs.
+ */
+
+import { expandVariants } from "./grouping.js";
+
+export const EXPORT_FORMATS = {
+  csv:  { label: "CSV",         extension: "csv",  mime: "text/csv",         description: "One row per page, for spreadsheets" },
+  json: { label: "JSON",        extension: "json", mime: "application/json", description: "Grouped like the list, for scripts" },
+  html: { label: "HTML report", extension: "html", mime: "text/html",        description: "A readable page that opens in any browser" },
+};
+
+export const EXPORT_VERSION = 1;
+
+const PAGE_COLUMNS = ["group", "title", "url", "visit_count", "last_visit", "pref"];
+
+/**
+ * One CSV field. Text that a spreadsheet would run as a formula is prefixed
+ * with an apostrophe.
+ */
+function csvCell(value) {
+  let s = value == null ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+/**
+ * @param {string[]} columns - Header line.
+ * @param {any[][]} rows
+ * @returns {string} CRLF-separated, as RFC 4180 asks
+ */
+export function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function isoTime(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+/**
+ * Builds the document every format is written from.
+ * @param {object} source
+ * @param {string} source.title - What was exported, e.g. the search query.
+ * @param {Array<{ label: string, items: object[] }>} source.groups - History items, collapsed or not.
+ * @param {(url: string) => { name: string, polarity: string }|null} source.prefOf - The page's domain context.
+ * @param {number} [now]
+ * @returns {{ version: number, title: string, exportedAt: string, pageCount: number,
+ *   groups: Array<{ label: string, pages: Array<{ title: string, url: string, visitCount: number,
+ *   lastVisit: string, pref: string|null, prefPolarity: string|null }> }> }}
+ */
+export function buildExport({ title, groups, prefOf }, now = Date.now()) {
+  const exported = groups.map(group => ({
+    label: group.label,
+    pages: expandVariants(group.items).map((item) => {
+      const pref = prefOf(item.url);
+      return {
+        title:        item.title || "",
+        url:          item.url,
+        visitCount:   item.visitCount || 0,
+        lastVisit:    isoTime(item.lastVisitTime),
+        pref:         pref?.name || null,
+        prefPolarity: pref?.polarity || null,
+      };
+    }),
+  }));
+  return {
+    version:    EXPORT_VERSION,
+    title,
+    exportedAt: isoTime(now),
+    pageCount:  exported.reduce((n, g) => n + g.pages.length, 0),
+    groups:     exported,
+  };
+}
+
+function exportToCsv(doc) {
+  return toCsv(PAGE_COLUMNS, doc.groups.flatMap(group =>
+    group.pages.map(p => [group.label, p.title, p.url, p.visitCount, p.lastVisit, p.pref || ""])
+  ));
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;",
+  })[c]);
+}
+
+const REPORT_STYLE = `
+  body { font: 13px/1.5 system-ui, sans-serif; color: #222; max-width: 1100px; margin: 32px auto; padding: 0 20px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin: 24px 0 6px; }
+  .meta { color: #666; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { font-size: 11px; text-transform: uppercase; letter-spacing: .5px; color: #666; }
+  td { overflow-wrap: anywhere; }
+  .num { width: 70px; text-align: right; }
+  .when { width: 170px; }
+  .pref { width: 110px; }
+`;
+
+function exportToHtml(doc) {
+  const sections = doc.groups.map(group => `
+  <h2>${escapeHtml(group.label)} <span class="meta">(${group.pages.length})</span></h2>
+  <table>
+    <thead><tr><th>Title</th><th>URL</th><th class="num">Visits</th><th class="when">Last visit</th><th class="pref">Context</th></tr></thead>
+    <tbody>
+${group.pages.map(p => `      <tr><td>${escapeHtml(p.title)}</td><td>${escapeHtml(p.url)}</td><td class="num">${p.visitCount}</td>` +
+  `<td class="when">${escapeHtml(p.lastVisit)}</td><td class="pref">${escapeHtml(p.pref || "")}</td></tr>`).join("\n")}
+    </tbody>
+  </table>`).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'" />
+  <title>${escapeHtml(doc.title)}</title>
+  <style>${REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>${escapeHtml(doc.title)}</h1>
+  <p class="meta">Exported ${escapeHtml(doc.exportedAt)} from Smart History Manager · ${doc.pageCount} page${doc.pageCount !== 1 ? "s" : ""}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+const WRITERS = {
+  csv:  exportToCsv,
+  json: doc => JSON.stringify(doc, null, 2),
+  html: exportToHtml,
+};
+
+/**
+ * Writes an export document in the given format.
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {object} doc - From buildExport.
+ * @param {string} [baseName] - File name without extension.
+ * @returns {{ filename: string, mime: string, text: string }}
+ */
+export function serializeExport(format, doc, baseName = "history-export") {
+  const key = Object.hasOwn(WRITERS, format) ? format : "json";
+  const { extension, mime } = EXPORT_FORMATS[key];
+  return { filename: `${baseName}-${doc.exportedAt.slice(0, 10)}.${extension}`, mime, text: WRITERS[key](doc) };
+}
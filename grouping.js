@@ -1,41 +1,351 @@
 /**
  * grouping.js
- * Groups flat history results by domain (hostname).
+ * Groups flat history results by domain, path prefix, session, day or
+ * category (see GROUPINGS), collapsing URL variants of the same page into
+ * one item.
+ *
+ * Two URLs are variants when they only differ in what the normalization
+ * rules ignore. The rules are the `urlNormalization` setting:
+ *   {
+ *     enabled:       boolean,
+ *     stripParams:   ["utm_*", "fbclid", …],   // query parameters to drop; "x*" = any name starting with x
+ *     stripFragment: boolean,                  // ignore #fragments
+ *     ignoreScheme:  boolean,                  // http:// and https:// are the same page
+ *     hostPrefixes:  ["www.", "m.", …],        // leading host labels to fold away
+ *   }
+ *
+ * A collapsed item is the newest variant with the visit counts summed and
+ * `variants` listing every original item, newest first; deleting it means
+ * deleting every variant's URL (itemUrls). Pure module: no browser APIs.
  */
 
+import { clusterSessions } from "./detection.js";
+
+export const DEFAULT_URL_NORMALIZATION = {
+  enabled:       true,
+  stripParams:   [
+    "utm_*", "fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "yclid", "twclid", "igshid",
+    "mc_cid", "mc_eid", "_hsenc", "_hsmi", "mkt_tok", "ref_src", "ref_url",
+  ],
+  stripFragment: true,
+  ignoreScheme:  true,
+  hostPrefixes:  ["www.", "m.", "mobile."],
+};
+
+const MAX_STRIP_PARAMS  = 100;
+const MAX_HOST_PREFIXES = 10;
+const PARAM_RE          = /^[A-Za-z0-9_.\-[\]]+\*?$/;
+const HOST_PREFIX_RE    = /^[a-z0-9-]+\.$/;
+const BOOLEAN_FIELDS    = { enabled: "Collapse duplicates", stripFragment: "Ignore fragments", ignoreScheme: "Ignore http/https" };
+
 /**
- * Groups history items by their domain.
+ * Validates normalization rules; missing fields take their defaults.
+ * @param {any} input
+ * @returns {{ rules: typeof DEFAULT_URL_NORMALIZATION, errors: Array<{ field: string, message: string }> }}
+ */
+export function validateUrlNormalization(input) {
+  const errors = [];
+  const fail   = (message) => errors.push({ field: "urlNormalization", message });
+  if (input == null || typeof input !== "object" || Array.isArray(input)) {
+    fail("URL normalization rules must be an object.");
+    return { rules: DEFAULT_URL_NORMALIZATION, errors };
+  }
+  const rules = { ...DEFAULT_URL_NORMALIZATION };
+
+  for (const [field, label] of Object.entries(BOOLEAN_FIELDS)) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== "boolean") fail(`${label} must be on or off.`);
+    else rules[field] = input[field];
+  }
+
+  if (input.stripParams !== undefined) {
+    if (!Array.isArray(input.stripParams)) {
+      fail("Tracking parameters must be a list.");
+    } else if (input.stripParams.length > MAX_STRIP_PARAMS) {
+      fail(`At most ${MAX_STRIP_PARAMS} tracking parameters.`);
+    } else {
+      const params = [...new Set(input.stripParams.map(p => String(p).trim()).filter(Boolean))];
+      const bad    = params.find(p => !PARAM_RE.test(p));
+      if (bad) fail(`"${bad}" is not a parameter name. Use letters, digits, _ - . [ ] and an optional trailing *.`);
+      else     rules.stripParams = params;
+    }
+  }
+
+  if (input.hostPrefixes !== undefined) {
+    if (!Array.isArray(input.hostPrefixes)) {
+      fail("Host prefixes must be a list.");
+    } else if (input.hostPrefixes.length > MAX_HOST_PREFIXES) {
+      fail(`At most ${MAX_HOST_PREFIXES} host prefixes.`);
+    } else {
+      const prefixes = [...new Set(input.hostPrefixes
+        .map(p => String(p).trim().toLowerCase())
+        .filter(Boolean)
+        .map(p => (p.endsWith(".") ? p : `${p}.`)))];
+      const bad = prefixes.find(p => !HOST_PREFIX_RE.test(p));
+      if (bad) fail(`"${bad}" is not a host prefix like www. or m.`);
+      else     rules.hostPrefixes = prefixes;
+    }
+  }
+
+  return { rules, errors };
+}
+
+/** The hostname with the rules' prefixes folded away, keeping at least a two-label name. */
+function foldHost(hostname, rules) {
+  let host = hostname.toLowerCase();
+  for (let folded = true; folded;) {
+    folded = false;
+    for (const prefix of rules.hostPrefixes) {
+      if (host.startsWith(prefix) && host.indexOf(".", prefix.length) !== -1) {
+        host   = host.slice(prefix.length);
+        folded = true;
+      }
+    }
+  }
+  return host;
+}
+
+function isStrippedParam(name, rules) {
+  return rules.stripParams.some(p => (p.endsWith("*") ? name.startsWith(p.slice(0, -1)) : name === p));
+}
+
+/**
+ * The key URL variants share. Unparseable URLs are their own key.
+ * @param {string} url
+ * @param {typeof DEFAULT_URL_NORMALIZATION} [rules]
+ * @returns {string}
+ */
+export function normalizeUrl(url, rules = DEFAULT_URL_NORMALIZATION) {
+  let parsed;
+  try { parsed = new URL(url); } catch (_) { return url; }
+  const web = parsed.protocol === "http:" || parsed.protocol === "https:";
+  if (!web) return url;
+
+  const params = [...parsed.searchParams].filter(([name]) => !isStrippedParam(name, rules));
+  const search = params.length > 0 ? `?${new URLSearchParams(params)}` : "";
+  const scheme = rules.ignoreScheme ? "" : parsed.protocol;
+  const port   = parsed.port ? `:${parsed.port}` : "";
+  const hash   = rules.stripFragment ? "" : parsed.hash;
+  return `${scheme}//${foldHost(parsed.hostname, rules)}${port}${parsed.pathname}${search}${hash}`;
+}
+
+/** Every URL behind an item: its variants' when collapsed, otherwise its own. */
+export function itemUrls(item) {
+  return item.variants ? item.variants.map(v => v.url) : [item.url];
+}
+
+/** Undoes collapsing, for regrouping a list that may hold collapsed items. */
+export function expandVariants(items) {
+  return items.flatMap(item => item.variants || [item]);
+}
+
+/** The items with variants collapsed when the rules are on, else a copy. */
+function collapse(items, rules) {
+  return rules?.enabled ? collapseVariants(items, rules) : items.slice();
+}
+
+/**
+ * Merges items whose URLs normalize to the same key.
  * @param {chrome.history.HistoryItem[]} items
- * @returns {Array<{ domain: string, items: chrome.history.HistoryItem[], totalVisits: number }>}
+ * @param {typeof DEFAULT_URL_NORMALIZATION} rules
+ * @returns {object[]} Single items unchanged; collapsed ones carry `variants`.
  */
-export function groupByDomain(items) {
+function collapseVariants(items, rules) {
+  const byKey = new Map();
+  for (const item of items) {
+    const key = normalizeUrl(item.url, rules);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(item);
+  }
+
+  return Array.from(byKey.values(), (variants) => {
+    if (variants.length === 1) return variants[0];
+    variants.sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0));
+    return {
+      ...variants[0],
+      title:      variants.find(v => v.title)?.title || "",
+      visitCount: variants.reduce((n, v) => n + (v.visitCount || 0), 0),
+      typedCount: variants.reduce((n, v) => n + (v.typedCount || 0), 0),
+      variants,
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Groupings
+// Every mode turns a flat item list into groups of this shape:
+//   { key, kind, label, items, totalVisits,
+//     domain?,        // "domain" and "path" groups
+//     start?, end?,   // "session" and "day" groups: the time span they cover
+//     category?,      // "category" groups; "uncategorized" for pages in none
+//     children? }     // "domain-path": the domain's path groups, whose items are the domain's
+// `key` is unique within one result. Items are sorted newest first.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const UNCATEGORIZED = "uncategorized";
+const DAY_MS        = 24 * 60 * 60 * 1000;
+
+const byRecency = (a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0);
+const byVisits  = (a, b) => b.totalVisits - a.totalVisits;
+
+function newGroup(key, kind, extra = {}) {
+  return { key, kind, label: key, items: [], totalVisits: 0, ...extra };
+}
+
+function addToGroup(map, key, item, create) {
+  if (!map.has(key)) map.set(key, create());
+  const group = map.get(key);
+  group.items.push(item);
+  group.totalVisits += item.visitCount || 0;
+}
+
+function hostOf(url, rules) {
+  try {
+    const { hostname } = new URL(url);
+    return (rules?.enabled ? foldHost(hostname, rules) : hostname) || "(unknown)";
+  } catch (_) {
+    return "(unknown)";   // malformed URL
+  }
+}
+
+/** The first path segment ("/watch"), or "/" for a site's root pages. */
+function pathPrefix(url) {
+  try {
+    const segment = new URL(url).pathname.split("/").find(Boolean);
+    return segment ? `/${segment}` : "/";
+  } catch (_) {
+    return "/";
+  }
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+function finish(groups, order) {
+  for (const group of groups) group.items.sort(byRecency);
+  return groups.sort(order);
+}
+
+/**
+ * Groups history items by their domain.
+ * @param {chrome.history.HistoryItem[]} items - Plain history items (see expandVariants).
+ * @param {typeof DEFAULT_URL_NORMALIZATION|null} [rules] - Collapse URL variants; null keeps every URL apart.
+ * @returns {Array<{ key: string, kind: "domain", label: string, domain: string, items: object[], totalVisits: number }>}
+ */
+export function groupByDomain(items, rules = null) {
   const map = new Map();
+  for (const item of collapse(items, rules)) {
+    const domain = hostOf(item.url, rules);
+    addToGroup(map, domain, item, () => newGroup(domain, "domain", { domain }));
+  }
+  // Most-visited domains first
+  return finish(Array.from(map.values()), byVisits);
+}
 
-  for (const item of items) {
-    let domain = "(unknown)";
-    try {
-      domain = new URL(item.url).hostname || "(unknown)";
-    } catch (_) {
-      // malformed URL
+/** Path-prefix groups ("example.com/watch"), most-visited first. */
+export function groupByPath(items, rules = null) {
+  const map = new Map();
+  for (const item of collapse(items, rules)) {
+    const domain = hostOf(item.url, rules);
+    const key    = `${domain}${pathPrefix(item.url)}`;
+    addToGroup(map, key, item, () => newGroup(key, "path", { domain }));
+  }
+  return finish(Array.from(map.values()), byVisits);
+}
+
+/** Domain groups, each with its path-prefix groups as `children`. */
+export function groupByDomainPath(items, rules = null) {
+  return groupByDomain(items, rules).map((group) => {
+    const paths = new Map();
+    for (const item of group.items) {
+      const key = `${group.domain}${pathPrefix(item.url)}`;
+      addToGroup(paths, key, item, () => newGroup(key, "path", { domain: group.domain }));
     }
+    return { ...group, children: finish(Array.from(paths.values()), byVisits) };
+  });
+}
 
-    if (!map.has(domain)) {
-      map.set(domain, { domain, items: [], totalVisits: 0 });
+/**
+ * Sessions split with the detection engine's gap logic (clusterSessions),
+ * newest first. Only each page's last visit is known here, so a page lands
+ * in the session of its most recent visit.
+ * @param {object[]} items
+ * @param {number} gapMinutes - The sessionGapMinutes setting.
+ */
+export function groupBySession(items, rules = null, gapMinutes = 30) {
+  const timeline = collapse(items, rules)
+    .map(item => ({ visitTime: item.lastVisitTime || 0, item }))
+    .sort((a, b) => a.visitTime - b.visitTime);
+
+  const groups = clusterSessions(timeline, gapMinutes * 60 * 1000).map((session) => {
+    const start = session[0].visitTime;
+    const group = newGroup(`session_${start}`, "session", { start, end: session[session.length - 1].visitTime });
+    for (const { item } of session) {
+      group.items.push(item);
+      group.totalVisits += item.visitCount || 0;
     }
+    return group;
+  });
+  return finish(groups, (a, b) => b.start - a.start);
+}
 
-    const group = map.get(domain);
-    group.items.push(item);
-    group.totalVisits += item.visitCount || 0;
+/** Calendar days in local time, newest first; `end` is the next midnight. */
+export function groupByDay(items, rules = null) {
+  const map = new Map();
+  for (const item of collapse(items, rules)) {
+    const start = startOfDay(item.lastVisitTime || 0);
+    addToGroup(map, `day_${start}`, item, () =>
+      newGroup(`day_${start}`, "day", { start, end: startOfDay(start + DAY_MS * 1.5) }));
   }
+  return finish(Array.from(map.values()), (a, b) => b.start - a.start);
+}
 
-  // Sort groups by total visit count descending
-  const groups = Array.from(map.values());
-  groups.sort((a, b) => b.totalVisits - a.totalVisits);
-
-  // Sort items within each group by last visit time descending
-  for (const group of groups) {
-    group.items.sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0));
+/**
+ * Intent categories, most-visited first with uncategorized pages last. A page
+ * in several categories is in each of their groups.
+ * @param {object[]} items
+ * @param {(item: object) => string[]} categoriesOf
+ */
+export function groupByCategory(items, rules = null, categoriesOf = item => item.categories || []) {
+  const map = new Map();
+  for (const item of collapse(items, rules)) {
+    const categories = item.variants
+      ? [...new Set(item.variants.flatMap(categoriesOf))]
+      : categoriesOf(item);
+    for (const category of categories.length > 0 ? categories : [UNCATEGORIZED]) {
+      addToGroup(map, `category_${category}`, item, () => newGroup(`category_${category}`, "category", { label: category, category }));
+    }
   }
+  return finish(Array.from(map.values()), (a, b) =>
+    (a.category === UNCATEGORIZED) - (b.category === UNCATEGORIZED) || byVisits(a, b));
+}
 
-  return groups;
+/**
+ * The grouping modes, in switcher order. New modes only need an entry here.
+ * `group(items, options)` takes `{ rules, sessionGapMinutes, categoriesOf }`.
+ */
+export const GROUPINGS = {
+  "domain":      { label: "Domain",        group: (items, o) => groupByDomain(items, o.rules) },
+  "domain-path": { label: "Domain › path", group: (items, o) => groupByDomainPath(items, o.rules) },
+  "path":        { label: "Path prefix",   group: (items, o) => groupByPath(items, o.rules) },
+  "session":     { label: "Session",       group: (items, o) => groupBySession(items, o.rules, o.sessionGapMinutes) },
+  "day":         { label: "Day",           group: (items, o) => groupByDay(items, o.rules) },
+  "category":    { label: "Category",      group: (items, o) => groupByCategory(items, o.rules, o.categoriesOf) },
+};
+
+/**
+ * Groups items with the named mode, falling back to domains for an unknown one.
+ * @param {object[]} items - Plain history items.
+ * @param {string} mode - A GROUPINGS key.
+ * @param {{ rules?: object|null, sessionGapMinutes?: number, categoriesOf?: (item: object) => string[] }} [options]
+ * @returns {object[]}
+ */
+export function groupItems(items, mode, options = {}) {
+  return (GROUPINGS[mode] || GROUPINGS.domain).group(items, {
+    rules:             options.rules ?? null,
+    sessionGapMinutes: options.sessionGapMinutes ?? 30,
+    categoriesOf:      options.categoriesOf,
+  });
 }
@@ -6,28 +6,107 @@
 
 const api = typeof browser !== "undefined" ? browser : chrome;
 
+const DAY_MS            = 24 * 60 * 60 * 1000;
+const HISTORY_PAGE_SIZE = 1000;
+
 /**
- * Search browser history.
+ * Search browser history, paging past the history API's per-call result cap.
  * @param {string} query  - Keyword or URL fragment to search for.
  * @param {number} [days] - How many days back to search (default: 90).
+ * @param {number} [maxResults] - Stop after this many results (default: 1000, one
+ *   history.search call's worth); pass Infinity to page through the whole window.
  * @returns {Promise<chrome.history.HistoryItem[]>}
  */
-export function searchHistory(query, days = 90) {
+export async function searchHistory(query, days = 90, maxResults = HISTORY_PAGE_SIZE) {
+  const items = [];
+  for await (const page of pageHistory({ text: query, startTime: Date.now() - days * DAY_MS })) {
+    items.push(...page);
+    if (items.length >= maxResults) break;
+  }
+  return items.slice(0, maxResults);
+}
+
+/**
+ * Walks a time window newest first, one history.search call per page,
+ * moving endTime back to the oldest visit seen so far. Items repeated at a
+ * page boundary are dropped, so every URL is yielded once.
+ * @param {{ text: string, startTime: number, endTime?: number|null, pageSize?: number }} query
+ * @returns {AsyncGenerator<chrome.history.HistoryItem[]>}
+ */
+export async function* pageHistory({ text, startTime, endTime = null, pageSize = HISTORY_PAGE_SIZE }) {
+  const seen = new Set();
+  let end    = endTime ?? Date.now();
+
+  while (end > startTime) {
+    const page  = await queryHistory({ text, startTime, endTime: end, maxResults: pageSize });
+    const fresh = page.filter(item => !seen.has(item.url));
+    for (const item of fresh) seen.add(item.url);
+    if (fresh.length > 0) yield fresh;
+    if (page.length < pageSize) return;
+
+    const oldest = page.reduce((min, item) => Math.min(min, item.lastVisitTime ?? end), end);
+    if (oldest >= end && fresh.length === 0) return;   // no older visit to move back to
+    end = oldest < end ? oldest : end - 1;
+  }
+}
+
+/**
+ * Search browser history within an explicit time window.
+ * @param {{ text: string, startTime: number, endTime?: number|null, maxResults?: number }} query
+ * @returns {Promise<chrome.history.HistoryItem[]>}
+ */
+export function queryHistory({ text, startTime, endTime = null, maxResults = 1000 }) {
+  const query = { text, startTime, maxResults };
+  if (endTime != null) query.endTime = endTime;
   return new Promise((resolve, reject) => {
-    api.history.search(
-      {
-        text: query,
-        startTime: Date.now() - days * 24 * 60 * 60 * 1000,
-        maxResults: 1000,
-      },
-      (results) => {
-        if (api.runtime.lastError) {
-          reject(api.runtime.lastError);
-        } else {
-          resolve(results || []);
-        }
+    api.history.search(query, (results) => {
+      if (api.runtime.lastError) {
+        reject(api.runtime.lastError);
+      } else {
+        resolve(results || []);
       }
-    );
+    });
+  });
+}
+
+/**
+ * Every recorded visit to a URL, oldest first.
+ * @param {string} url
+ * @returns {Promise<chrome.history.VisitItem[]>}
+ */
+export function getVisits(url) {
+  return new Promise((resolve, reject) => {
+    api.history.getVisits({ url }, (visits) => {
+      if (api.runtime.lastError) {
+        reject(api.runtime.lastError);
+      } else {
+        resolve(visits || []);
+      }
+    });
+  });
+}
+
+/**
+ * Add a visit to history. Firefox honours `title`, `visitTime` and
+ * `transition`; Chrome only accepts `url` and records the visit as "now".
+ * @param {{ url: string, title?: string, visitTime?: number, transition?: string }} details
+ * @returns {Promise<boolean>} true when the visit was added with its own time
+ */
+export function addUrl(details) {
+  return new Promise((resolve, reject) => {
+    const done = (precise) => () => {
+      if (api.runtime.lastError) {
+        reject(api.runtime.lastError);
+      } else {
+        resolve(precise);
+      }
+    };
+    try {
+      api.history.addUrl(details, done(true));
+    } catch (_) {
+      // Chrome rejects the extra properties synchronously
+      api.history.addUrl({ url: details.url }, done(false));
+    }
   });
 }
 
@@ -49,12 +128,20 @@ export function deleteUrl(url) {
 }
 
 /**
- * Delete multiple URLs from history.
- * @param {string[]} urls
+ * Delete every visit in [startTime, endTime). A URL is only removed entirely
+ * when all of its visits fall inside the range.
+ * @param {number} startTime - ms since epoch, inclusive.
+ * @param {number} endTime   - ms since epoch, exclusive.
  * @returns {Promise<void>}
  */
-export async function deleteItems(urls) {
-  for (const url of urls) {
-    await deleteUrl(url);
-  }
+export function deleteRange(startTime, endTime) {
+  return new Promise((resolve, reject) => {
+    api.history.deleteRange({ startTime, endTime }, () => {
+      if (api.runtime.lastError) {
+        reject(api.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
 }
@@ -0,0 +1,190 @@
+/**
+ * insights.js
+ * Time insights: roughly how long was spent per domain, category and context.
+ *
+ * The history API records when pages were opened, not how long they stayed
+ * open, so time is estimated from the gaps between visits: each visit is
+ * credited with the time until the next one, up to IDLE_CAP. A longer gap
+ * means the browser sat idle (or the session ended), and the visit gets
+ * END_DWELL instead. Every visit's time is split into work hours and off
+ * hours by the work schedule at the moment of the visit.
+ *
+ * A report covers the last day, week or month and compares each total with
+ * the period before it. Category and context lookups are passed in, so this
+ * stays a pure module: no browser APIs.
+ */
+
+import { getDomain } from "./domains.js";
+import { toCsv } from "./export.js";
+import { isWorkTime } from "./schedule.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS    = 24 * 60 * MINUTE_MS;
+
+export const INSIGHT_PERIODS = {
+  day:   { label: "Last 24 hours", days: 1 },
+  week:  { label: "Last 7 days",   days: 7 },
+  month: { label: "Last 30 days",  days: 30 },
+};
+
+export const IDLE_CAP  = 10 * MINUTE_MS;  // longest gap still counted as time on the page
+export const END_DWELL = 1 * MINUTE_MS;   // credited to the last visit before a longer gap
+
+const TOP_ROWS      = 25;                 // domains kept per report; categories and contexts are few
+const UNCATEGORIZED = "uncategorized";
+const NO_CONTEXT    = "none";
+
+/**
+ * Visits with the time credited to each, oldest first.
+ * @param {Array<{ url: string, visitTime: number }>} visits
+ * @returns {Array<{ url: string, visitTime: number, ms: number }>}
+ */
+export function estimateDwell(visits) {
+  const sorted = visits.filter(v => v.url && v.visitTime).sort((a, b) => a.visitTime - b.visitTime);
+  return sorted.map((v, i) => {
+    const gap = i + 1 < sorted.length ? sorted[i + 1].visitTime - v.visitTime : Infinity;
+    return { ...v, ms: gap <= IDLE_CAP ? gap : END_DWELL };
+  });
+}
+
+function emptyTotals() {
+  return { ms: 0, workMs: 0, offMs: 0, visits: 0 };
+}
+
+function addTo(totals, ms, work, visits = 1) {
+  totals.ms     += ms;
+  totals.visits += visits;
+  if (work) totals.workMs += ms;
+  else      totals.offMs  += ms;
+}
+
+/**
+ * Adds up one period's dwell times by domain, category and context.
+ * @returns {{ total: object, domains: Map, categories: Map, contexts: Map }}
+ */
+function tally(dwells, { schedule, categoriesOf, contextOf }) {
+  const total      = emptyTotals();
+  const domains    = new Map();
+  const categories = new Map();
+  const contexts   = new Map();
+  const bucket     = (map, key) => map.get(key) || map.set(key, emptyTotals()).get(key);
+
+  for (const v of dwells) {
+    const work   = isWorkTime(v.visitTime, schedule);
+    const domain = getDomain(v.url)?.replace(/^www\./, "");
+    addTo(total, v.ms, work);
+    if (domain) addTo(bucket(domains, domain), v.ms, work);
+
+    // A page in several categories splits its time between them
+    const cats = [...categoriesOf(v.url)];
+    if (cats.length === 0) cats.push(UNCATEGORIZED);
+    for (const c of cats) addTo(bucket(categories, c), v.ms / cats.length, work, 1 / cats.length);
+
+    addTo(bucket(contexts, (domain && contextOf(domain)) || NO_CONTEXT), v.ms, work);
+  }
+  return { total, domains, categories, contexts };
+}
+
+/** Change against the previous period as a fraction, or null when there was none before. */
+function trend(ms, previousMs) {
+  return previousMs > 0 ? (ms - previousMs) / previousMs : null;
+}
+
+/** Rows for one breakdown, most time first, each with its previous-period time and trend. */
+function toRows(current, previous, label, limit = Infinity) {
+  const rows = [...current.entries()].map(([key, t]) => {
+    const previousMs = previous.get(key)?.ms || 0;
+    return {
+      key,
+      label:  label(key),
+      ms:     Math.round(t.ms),
+      workMs: Math.round(t.workMs),
+      offMs:  Math.round(t.offMs),
+      visits: Math.round(t.visits),
+      previousMs: Math.round(previousMs),
+      trend:  trend(t.ms, previousMs),
+    };
+  });
+  return rows.sort((a, b) => b.ms - a.ms).slice(0, limit);
+}
+
+/**
+ * Builds a time report for the period ending now.
+ * @param {Array<{ url: string, visitTime: number }>} visits - Since at least two periods ago.
+ * @param {object} options
+ * @param {"day"|"week"|"month"} options.period
+ * @param {object} options.schedule - Work schedule (schedule.js).
+ * @param {(url: string) => Iterable<string>} options.categoriesOf - Category ids a page counts towards.
+ * @param {(domain: string) => string|null} options.contextOf - Context id a domain is assigned to.
+ * @param {Object<string, { label: string, icon: string }>} [options.categoryMeta]
+ * @param {Array<{ id: string, name: string }>} [options.contexts]
+ * @param {number} [options.now]
+ * @param {boolean} [options.truncated] - Some pages were left out of `visits`, so totals are low.
+ * @returns {{ period: string, label: string, start: number, end: number, previousStart: number,
+ *   total: object, previousTotal: object, trend: number|null,
+ *   domains: object[], categories: object[], contexts: object[], truncated: boolean, generatedAt: number }}
+ *   Times are in ms; `total` and every row carry ms, workMs, offMs and visits.
+ */
+export function buildInsightsReport(visits, {
+  period, schedule, categoriesOf, contextOf, categoryMeta = {}, contexts = [], now = Date.now(), truncated = false,
+}) {
+  const { label, days } = INSIGHT_PERIODS[period] || INSIGHT_PERIODS.week;
+  const end           = now;
+  const start         = end - days * DAY_MS;
+  const previousStart = start - days * DAY_MS;
+
+  // Dwell is estimated over the whole stretch, so a visit just before a boundary still gets its gap
+  const dwells   = estimateDwell(visits.filter(v => v.visitTime >= previousStart && v.visitTime < end));
+  const lookups  = { schedule, categoriesOf, contextOf };
+  const current  = tally(dwells.filter(v => v.visitTime >= start), lookups);
+  const previous = tally(dwells.filter(v => v.visitTime < start), lookups);
+
+  const categoryLabel = key => (key === UNCATEGORIZED ? "Uncategorized" : categoryMeta[key]?.label || key);
+  const contextLabel  = key => (key === NO_CONTEXT ? "No context" : contexts.find(c => c.id === key)?.name || key);
+
+  return {
+    period:        INSIGHT_PERIODS[period] ? period : "week",
+    label,
+    start,
+    end,
+    previousStart,
+    total:         { ...current.total, visits: Math.round(current.total.visits) },
+    previousTotal: { ...previous.total, visits: Math.round(previous.total.visits) },
+    trend:         trend(current.total.ms, previous.total.ms),
+    domains:       toRows(current.domains, previous.domains, key => key, TOP_ROWS),
+    categories:    toRows(current.categories, previous.categories, categoryLabel),
+    contexts:      toRows(current.contexts, previous.contexts, contextLabel),
+    truncated:     !!truncated,
+    generatedAt:   now,
+  };
+}
+
+// ── Export ──────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = ["breakdown", "name", "minutes", "work_minutes", "off_minutes", "visits", "previous_minutes", "trend_percent"];
+
+function minutes(ms) {
+  return (ms / MINUTE_MS).toFixed(1);
+}
+
+/**
+ * The report as CSV, one line per row of every breakdown plus a total line.
+ * @param {object} report - From buildInsightsReport.
+ * @returns {string}
+ */
+export function insightsToCsv(report) {
+  const line = (breakdown, r) => [
+    breakdown, r.label, minutes(r.ms), minutes(r.workMs), minutes(r.offMs), r.visits,
+    minutes(r.previousMs), r.trend == null ? "" : Math.round(r.trend * 100),
+  ];
+
+  const total = {
+    ...report.total, label: report.label, previousMs: report.previousTotal.ms, trend: report.trend,
+  };
+  return toCsv(CSV_COLUMNS, [
+    line("total", total),
+    ...report.domains.map(r => line("domain", r)),
+    ...report.categories.map(r => line("category", r)),
+    ...report.contexts.map(r => line("context", r)),
+  ]);
+}
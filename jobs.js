@@ -0,0 +1,151 @@
+/**
+ * jobs.js
+ * Background deletion jobs: the job record and its bookkeeping.
+ *
+ * Jobs are stored in storage.local under `deleteJobs`, oldest first:
+ *   {
+ *     id, status: "queued" | "running" | "done", createdAt, finishedAt,
+ *     source: "manual" | "session" | "policy",
+ *     range:  { start, end } | null,      // only visits in this window
+ *     policyRun: { policyId, at } | null, // the cleanup policy run that queued it
+ *     learn:  boolean,                    // train the learned model when done
+ *     titles: { [url]: title },
+ *     items:  [{ url, status: "pending" | "deleted" | "skipped" | "failed" | "protected",
+ *                visitsDeleted?, visitsKept?, collidesWith?, error? }],
+ *     trashId: string | null,             // the job's one trash batch, once it has one
+ *     seen:   boolean,                    // the popup has shown the result
+ *   }
+ *
+ * The background worker deletes a job's pending items a chunk at a time and
+ * saves the outcomes after every chunk, so a job cut short by a worker
+ * restart carries on from the first pending item. "skipped" means a session
+ * delete removed no visits in the window. visitsKept counts visits in the
+ * window that were left because another page (collidesWith) was visited in
+ * the same millisecond. Pure module: no browser APIs.
+ */
+
+export const JOB_ITEM_STATUSES = ["pending", "deleted", "skipped", "failed", "protected"];
+
+const JOBS_KEPT = 10;   // finished jobs kept once the popup has shown them
+
+/**
+ * @param {string[]} urls - URLs to delete.
+ * @param {string[]} protectedUrls - URLs refused because their domain is protected.
+ * @param {{ range?: { start: number, end: number }|null, titles?: Object<string, string>, learn?: boolean,
+ *   source?: string, policyRun?: { policyId: string, at: number }|null }} [options]
+ *   `source` defaults to "session" with a range and "manual" without.
+ * @returns {object}
+ */
+export function createDeleteJob(urls, protectedUrls, options = {}, now = Date.now()) {
+  const { range = null, titles = {}, learn = false, source = null, policyRun = null } = options;
+  const items = [
+    ...urls.map(url => ({ url, status: "pending" })),
+    ...protectedUrls.map(url => ({ url, status: "protected" })),
+  ];
+  const keep = new Set(urls);
+  return {
+    id:         `job_${now.toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+    status:     urls.length > 0 ? "queued" : "done",
+    createdAt:  now,
+    finishedAt: urls.length > 0 ? null : now,
+    source:     source || (range ? "session" : "manual"),
+    range,
+    policyRun,
+    learn:      !!learn,
+    titles:     Object.fromEntries(Object.entries(titles || {}).filter(([url]) => keep.has(url))),
+    items,
+    trashId:    null,
+    seen:       false,
+  };
+}
+
+/**
+ * The id of the job's trash batch. It is named after the job rather than
+ * saved with it first, so a chunk run again after the worker stopped between
+ * trashing and saving its outcomes adds to the same batch.
+ */
+export function jobTrashId(job) {
+  return job.trashId || `trash_${job.id}`;
+}
+
+/** The next `limit` URLs still to delete. */
+export function pendingUrls(job, limit) {
+  const urls = [];
+  for (const item of job.items) {
+    if (item.status !== "pending") continue;
+    urls.push(item.url);
+    if (urls.length >= limit) break;
+  }
+  return urls;
+}
+
+/**
+ * Copy of the job with a chunk's outcomes filled in; marks it done when
+ * nothing is left pending.
+ * @param {object} job
+ * @param {Array<{ url: string, status: string, visitsDeleted?: number, visitsKept?: number,
+ *   collidesWith?: string[], error?: string }>} outcomes
+ * @param {string|null} trashId
+ * @returns {object}
+ */
+export function recordOutcomes(job, outcomes, trashId, now = Date.now()) {
+  const byUrl = new Map(outcomes.map(o => [o.url, o]));
+  const items = job.items.map(item => {
+    const outcome = item.status === "pending" ? byUrl.get(item.url) : null;
+    if (!outcome) return item;
+    const next = { url: item.url, status: outcome.status };
+    if (outcome.visitsDeleted != null) next.visitsDeleted = outcome.visitsDeleted;
+    if (outcome.visitsKept) Object.assign(next, { visitsKept: outcome.visitsKept, collidesWith: outcome.collidesWith });
+    if (outcome.error) next.error = outcome.error;
+    return next;
+  });
+  const done = !items.some(i => i.status === "pending");
+  return {
+    ...job,
+    items,
+    trashId,
+    status:     done ? "done" : "running",
+    finishedAt: done ? now : null,
+  };
+}
+
+/**
+ * Counts for progress and result display; leaves out titles and items.
+ * @returns {{ id: string, status: string, createdAt: number, finishedAt: number|null, range: object|null,
+ *   total: number, processed: number, deleted: number, skipped: number, failed: number, protected: number,
+ *   visitsDeleted: number, visitsKept: number, trashId: string|null, seen: boolean }}
+ */
+export function summarizeJob(job) {
+  const counts = Object.fromEntries(JOB_ITEM_STATUSES.map(s => [s, 0]));
+  let visitsDeleted = 0;
+  let visitsKept    = 0;
+  for (const item of job.items) {
+    counts[item.status]++;
+    visitsDeleted += item.visitsDeleted || 0;
+    visitsKept    += item.visitsKept || 0;
+  }
+  return {
+    id:         job.id,
+    status:     job.status,
+    createdAt:  job.createdAt,
+    finishedAt: job.finishedAt,
+    range:      job.range,
+    total:      job.items.length - counts.protected,
+    processed:  job.items.length - counts.protected - counts.pending,
+    deleted:    counts.deleted,
+    skipped:    counts.skipped,
+    failed:     counts.failed,
+    protected:  counts.protected,
+    visitsDeleted,
+    visitsKept,
+    trashId:    job.trashId,
+    seen:       job.seen,
+  };
+}
+
+/** Keeps unfinished and unseen jobs, plus the newest finished ones. */
+export function pruneJobs(jobs) {
+  const finished = jobs.filter(j => j.status === "done" && j.seen);
+  const drop     = new Set(finished.slice(0, Math.max(0, finished.length - JOBS_KEPT)));
+  return jobs.filter(j => !drop.has(j));
+}
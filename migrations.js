@@ -0,0 +1,98 @@
+/**
+ * migrations.js
+ * Versioned upgrades for the extension's storage.local state.
+ *
+ * `schemaVersion` records which migrations have run. Each migration is a pure
+ * function from the old state object to the new one, so the same pipeline can
+ * upgrade live storage and older exported documents alike.
+ */
+
+import { getRootDomain, isPublicSuffix } from "./domains.js";
+import { makeDomainPref, prefContextId } from "./contexts.js";
+
+/**
+ * Re-keys a domain map with the Public Suffix List resolver. Keys that are
+ * themselves public suffixes ("co.uk") came from the old last-two-labels
+ * logic and can't be traced back to the site the user meant, so they are
+ * dropped rather than applied to every site under that suffix.
+ * @param {Object<string, any>} map
+ * @param {(a: any, b: any) => any} combine - Merges two values that land on the same key.
+ */
+function rekeyDomainMap(map, combine) {
+  const out = {};
+  for (const [key, value] of Object.entries(map || {})) {
+    if (isPublicSuffix(key)) continue;
+    const root = getRootDomain(key);
+    out[root]  = root in out ? combine(out[root], value) : value;
+  }
+  return out;
+}
+
+/** Ordered list; `version` is the schemaVersion the state has after `migrate`. */
+export const MIGRATIONS = [
+  {
+    version:     1,
+    description: "Resolve domain keys with the Public Suffix List",
+    migrate(state) {
+      return {
+        ...state,
+        domainPrefs:        rekeyDomainMap(state.domainPrefs, (kept) => kept),
+        domainIgnoreCounts: rekeyDomainMap(state.domainIgnoreCounts, (a, b) => (a || 0) + (b || 0)),
+      };
+    },
+  },
+  {
+    version:     2,
+    description: "Turn domain ignore counts into timestamped events",
+    // When the ignores happened was never stored, so they all start fading from the
+    // upgrade; the first day at full weight (adaptive.js) keeps the domain's status through it.
+    migrate(state, now) {
+      const { domainIgnoreCounts = {}, ...rest } = state;
+      const domainEvents = { ...(state.domainEvents || {}) };
+      for (const [domain, count] of Object.entries(domainIgnoreCounts)) {
+        const n = Math.min(Math.floor(Number(count) || 0), 50);
+        if (n <= 0) continue;
+        const events = Array.from({ length: n }, () => ({ kind: "ignore", at: now }));
+        domainEvents[domain] = [...(domainEvents[domain] || []), ...events];
+      }
+      return { ...rest, domainEvents };
+    },
+  },
+  {
+    version:     3,
+    description: "Store domain protection with the domain prefs",
+    // A protected subdomain now protects its whole root domain, as new protections do
+    migrate(state) {
+      const { protectedDomains = {}, ...rest } = state;
+      const domainPrefs = { ...(state.domainPrefs || {}) };
+      for (const domain of Object.keys(rekeyDomainMap(protectedDomains, (kept) => kept))) {
+        domainPrefs[domain] = makeDomainPref(prefContextId(domainPrefs[domain]), true);
+      }
+      return { ...rest, domainPrefs };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Applies every migration newer than the state's schemaVersion.
+ * State without a version is treated as version 0 (pre-versioning).
+ * Keys a migration drops are absent from the returned state.
+ * @param {object} state
+ * @param {number} [now] - Stamped on anything a migration has to date.
+ * @returns {{ state: object, applied: string[] }}
+ */
+export function migrateState(state, now = Date.now()) {
+  let current   = { ...state };
+  const from    = current.schemaVersion || 0;
+  const applied = [];
+
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue;
+    current = step.migrate(current, now);
+    current.schemaVersion = step.version;
+    applied.push(step.description);
+  }
+  return { state: current, applied };
+}
@@ -0,0 +1,572 @@
+/**
+ * options.js – Smart History Manager settings page
+ *
+ * Edits the `settings` object through the background worker (GET_SETTINGS /
+ * SAVE_SETTINGS), which owns validation; errors it returns are shown inline.
+ * Backups are made and restored by the worker too (EXPORT_STATE,
+ * PREVIEW_IMPORT, APPLY_IMPORT); this page only reads the file and shows
+ * the preview.
+ * Built with the shared el() helper (dom.js) — no innerHTML.
+ */
+
+import { el, downloadText } from "../dom.js";
+import { WEEKDAY_NAMES } from "../schedule.js";
+import { DEFAULT_SETTINGS, DETECTION_SETTING_KEYS, NUMBER_LIMITS } from "../settings.js";
+
+const api = typeof browser !== "undefined" ? browser : chrome;
+
+// ── DOM refs ───────────────────────────────────────────────────────────────
+const detectionFieldsEl   = document.getElementById("detection-fields");
+const btnRestoreDetection = document.getElementById("btn-restore-detection");
+const scheduleDaysEl      = document.getElementById("schedule-days");
+const scheduleBreaksEl    = document.getElementById("schedule-breaks");
+const scheduleHolidaysEl  = document.getElementById("schedule-holidays");
+const holidayInput        = document.getElementById("holiday-date");
+const btnAddBreak         = document.getElementById("btn-add-break");
+const btnAddHoliday       = document.getElementById("btn-add-holiday");
+const btnSave             = document.getElementById("btn-save");
+const normalizationEl     = document.getElementById("normalization-fields");
+const btnRestoreNormal    = document.getElementById("btn-restore-normalization");
+const modelStatusEl       = document.getElementById("model-status");
+const modelPersonalEl     = document.getElementById("model-personal");
+const modelWorkEl         = document.getElementById("model-work");
+const btnResetModel       = document.getElementById("btn-reset-model");
+const contextListEl       = document.getElementById("context-list");
+const btnAddContext       = document.getElementById("btn-add-context");
+const btnSaveContexts     = document.getElementById("btn-save-contexts");
+const btnExportState      = document.getElementById("btn-export-state");
+const btnChooseImport     = document.getElementById("btn-choose-import");
+const importFileInput     = document.getElementById("import-file");
+const importPreviewEl     = document.getElementById("import-preview");
+const errorsEl            = document.getElementById("errors");
+const statusEl            = document.getElementById("status");
+
+// ── State ──────────────────────────────────────────────────────────────────
+let draft        = null;                                    // settings being edited; written back on Save
+let contextDraft = [];                                      // custom contexts; written back on Save contexts
+let contextMeta  = { builtins: [], colors: [], usage: {} }; // from GET_CONTEXTS
+let pendingImport = null;                                   // { name, backup } from the chosen file, until applied
+
+// Units and explanations for the detection settings (limits come from settings.js)
+const DETECTION_FIELD_HELP = {
+  confidenceThreshold:    { unit: "points",  help: "Minimum session score before a suggestion is shown." },
+  autoWorkIgnoreCount:    { unit: "ignores", help: "Ignoring a domain this many times treats it as work. Deleting its pages counts against it." },
+  ignoreHalfLifeDays:     { unit: "days",    help: "After this long an ignore counts half as much." },
+  sessionGapMinutes:      { unit: "min",     help: "Idle time that ends one session and starts the next." },
+  minSessionPages:        { unit: "pages",   help: "Sessions with fewer distinct pages are never flagged." },
+  suggestionLookbackDays: { unit: "days",    help: "How far back suggestions look." },
+  maxSuggestions:         { unit: "cards",   help: "Most suggestions shown in the popup at once." },
+  workSignalWeight:       { unit: "×",       help: "How strongly work pages cancel out personal ones." },
+  learnedModelWeight:     { unit: "points",  help: "Most the learned model can add or subtract. 0 turns it off." },
+  siteCatalogueWeight:    { unit: "points",  help: "Added once per known entertainment, social, shopping, news, gaming or finance site in a session. 0 turns it off." },
+};
+
+// ── Message helpers ────────────────────────────────────────────────────────
+function sendMsg(payload) {
+  return new Promise((resolve, reject) => {
+    api.runtime.sendMessage(payload, (res) => {
+      if (api.runtime.lastError) reject(api.runtime.lastError);
+      else resolve(res);
+    });
+  });
+}
+
+function setStatus(text) {
+  statusEl.textContent = text;
+  clearTimeout(statusEl._t);
+  if (text) statusEl._t = setTimeout(() => { statusEl.textContent = ""; }, 2800);
+}
+
+function renderErrors(errors) {
+  errorsEl.replaceChildren(...errors.map(e => el("div", { class: "field-error", text: e.message })));
+  const invalid = new Set(errors.map(e => e.field));
+  document.querySelectorAll("[data-field]").forEach(input => {
+    input.classList.toggle("invalid", invalid.has(input.dataset.field));
+  });
+}
+
+// ── Detection sensitivity ──────────────────────────────────────────────────
+function makeDetectionField(field) {
+  const limits = NUMBER_LIMITS[field];
+  const { unit, help } = DETECTION_FIELD_HELP[field];
+  const input = el("input", {
+    class:        "field-input",
+    type:         "number",
+    id:           `field-${field}`,
+    min:          limits.min,
+    max:          limits.max,
+    step:         limits.integer ? 1 : 0.1,
+    value:        draft[field],
+    "data-field": field,
+  });
+  input.addEventListener("input", () => { draft[field] = input.value === "" ? "" : Number(input.value); });
+
+  return [
+    el("label", { class: "field-label", for: `field-${field}` },
+      limits.label,
+      el("span", { class: "field-help", text: `${help} Default ${DEFAULT_SETTINGS[field]}, ${limits.min}–${limits.max}.` })
+    ),
+    el("span", { class: "field-control" }, input, el("span", { class: "muted", text: unit })),
+  ];
+}
+
+function renderDetection() {
+  detectionFieldsEl.replaceChildren(...DETECTION_SETTING_KEYS.flatMap(makeDetectionField));
+}
+
+btnRestoreDetection.addEventListener("click", async () => {
+  btnRestoreDetection.disabled = true;
+  try {
+    const res = await sendMsg({ type: "RESET_SETTINGS", fields: DETECTION_SETTING_KEYS });
+    for (const field of DETECTION_SETTING_KEYS) draft[field] = res.settings[field];
+    renderErrors([]);
+    renderDetection();
+    setStatus("Defaults restored ✓");
+  } catch (e) {
+    renderErrors([{ message: "Restore failed: " + (e.message || e) }]);
+  } finally {
+    btnRestoreDetection.disabled = false;
+  }
+});
+
+// ── Duplicate pages ────────────────────────────────────────────────────────
+const NORMALIZATION_TOGGLES = [
+  { field: "enabled",       label: "Collapse duplicates", help: "Show the variants of a page as one search result." },
+  { field: "stripFragment", label: "Ignore fragments",    help: "page#intro and page#comments are the same page." },
+  { field: "ignoreScheme",  label: "Ignore http/https",   help: "http:// and https:// addresses are the same page." },
+];
+
+/** Splits a whitespace- or comma-separated list typed into a text field. */
+function splitList(text) {
+  return text.split(/[\s,]+/).filter(Boolean);
+}
+
+function makeNormalizationToggle({ field, label, help }) {
+  const rules = draft.urlNormalization;
+  const input = el("input", { type: "checkbox", id: `norm-${field}`, "data-field": "urlNormalization" });
+  input.checked = rules[field];
+  input.addEventListener("change", () => { rules[field] = input.checked; });
+  return [
+    el("label", { class: "field-label", for: `norm-${field}` }, label, el("span", { class: "field-help", text: help })),
+    el("span", { class: "field-control" }, input),
+  ];
+}
+
+function renderNormalization() {
+  const rules    = draft.urlNormalization;
+  const prefixes = el("input", { class: "field-input", type: "text", id: "norm-prefixes",
+    value: rules.hostPrefixes.join(" "), "data-field": "urlNormalization" });
+  const params   = el("textarea", { class: "field-input", id: "norm-params", rows: 4, "data-field": "urlNormalization" });
+  params.value = rules.stripParams.join(" ");
+  prefixes.addEventListener("input", () => { rules.hostPrefixes = splitList(prefixes.value); });
+  params.addEventListener("input",   () => { rules.stripParams  = splitList(params.value); });
+
+  normalizationEl.replaceChildren(
+    ...NORMALIZATION_TOGGLES.flatMap(makeNormalizationToggle),
+    el("div", { class: "field-wide" },
+      el("label", { class: "field-label", for: "norm-prefixes" }, "Host prefixes",
+        el("span", { class: "field-help", text: "Leading parts of the host name to ignore, e.g. www. m. mobile." })),
+      prefixes
+    ),
+    el("div", { class: "field-wide" },
+      el("label", { class: "field-label", for: "norm-params" }, "Tracking parameters",
+        el("span", { class: "field-help", text: "Query parameters to ignore. End a name with * to match every parameter starting with it, e.g. utm_*." })),
+      params
+    )
+  );
+}
+
+btnRestoreNormal.addEventListener("click", async () => {
+  btnRestoreNormal.disabled = true;
+  try {
+    const res = await sendMsg({ type: "RESET_SETTINGS", fields: ["urlNormalization"] });
+    draft.urlNormalization = structuredClone(res.settings.urlNormalization);
+    renderErrors([]);
+    renderNormalization();
+    setStatus("Defaults restored ✓");
+  } catch (e) {
+    renderErrors([{ message: "Restore failed: " + (e.message || e) }]);
+  } finally {
+    btnRestoreNormal.disabled = false;
+  }
+});
+
+// ── Learned model ──────────────────────────────────────────────────────────
+const TOKEN_KINDS = { host: "site", sub: "subdomain", path: "path", title: "title" };
+
+async function forgetModelToken(token) {
+  try {
+    const res = await sendMsg({ type: "RESET_LEARNED_MODEL", token });
+    renderModel(res.summary);
+  } catch (e) {
+    renderErrors([{ message: "Could not update the model: " + (e.message || e) }]);
+  }
+}
+
+function makeTokenChip(entry) {
+  const [kind, ...rest] = entry.token.split(":");
+  const removeBtn = el("button", { class: "btn-icon", text: "✕", title: "Forget", "aria-label": `Forget ${entry.token}` });
+  removeBtn.addEventListener("click", () => forgetModelToken(entry.token));
+  return el("span", { class: "chip", title: `Seen on ${entry.personal} personal and ${entry.work} work page(s)` },
+    el("span", { class: "chip-kind", text: TOKEN_KINDS[kind] || kind }),
+    rest.join(":"),
+    removeBtn
+  );
+}
+
+function renderModel(summary) {
+  const { docs, ready, minDocs, updatedAt, vocabulary } = summary;
+  const learned = `Learned from ${docs.personal} personal and ${docs.work} work page${docs.work !== 1 ? "s" : ""}`;
+  modelStatusEl.textContent = !ready
+    ? `${learned}. It starts scoring once it has seen at least ${minDocs} of each.`
+    : `${learned} · ${vocabulary} signals · updated ${new Date(updatedAt).toLocaleString()}.`;
+
+  const empty = () => el("span", { class: "muted", text: "Nothing yet." });
+  modelPersonalEl.replaceChildren(...(summary.personal.length ? summary.personal.map(makeTokenChip) : [empty()]));
+  modelWorkEl.replaceChildren(...(summary.work.length ? summary.work.map(makeTokenChip) : [empty()]));
+}
+
+btnResetModel.addEventListener("click", async () => {
+  if (!confirm("Forget everything the learned model has picked up?")) return;
+  btnResetModel.disabled = true;
+  try {
+    const res = await sendMsg({ type: "RESET_LEARNED_MODEL" });
+    renderModel(res.summary);
+    setStatus("Model reset ✓");
+  } catch (e) {
+    renderErrors([{ message: "Reset failed: " + (e.message || e) }]);
+  } finally {
+    btnResetModel.disabled = false;
+  }
+});
+
+// ── Contexts ───────────────────────────────────────────────────────────────
+function describeUsage(id) {
+  const n = contextMeta.usage[id] || 0;
+  return `${n} domain${n !== 1 ? "s" : ""}`;
+}
+
+function makeContextRow(context, index) {
+  const colorIn   = el("input", { class: "field-input context-color", type: "color", value: context.color,
+    "data-field": `context-${index}-color`, "aria-label": "Colour" });
+  const nameIn    = el("input", { class: "field-input", type: "text", value: context.name, placeholder: "e.g. Client A",
+    maxlength: 30, "data-field": `context-${index}-name`, "aria-label": "Name" });
+  const polarity  = el("select", { class: "field-input", "data-field": `context-${index}-polarity`, "aria-label": "Counts as" },
+    el("option", { value: "work",     text: "Counts as work" }),
+    el("option", { value: "personal", text: "Counts as personal" })
+  );
+  const removeBtn = el("button", { class: "btn-icon", text: "✕", title: "Delete", "aria-label": `Delete ${context.name || "context"}` });
+  polarity.value = context.polarity;
+
+  colorIn.addEventListener("input",  () => { context.color    = colorIn.value; });
+  nameIn.addEventListener("input",   () => { context.name     = nameIn.value; });
+  polarity.addEventListener("change", () => { context.polarity = polarity.value; });
+  removeBtn.addEventListener("click", () => {
+    contextDraft.splice(index, 1);
+    renderContexts();
+  });
+
+  return el("div", { class: "context-row" }, colorIn, nameIn, polarity,
+    el("span", { class: "muted", text: describeUsage(context.id) }), removeBtn);
+}
+
+function makeBuiltinContextRow(context) {
+  return el("div", { class: "context-row" },
+    el("span", { class: "context-swatch", style: { background: context.color } }),
+    el("span", { class: "context-name", text: context.name }),
+    el("span", { class: "muted", text: `Built in · counts as ${context.polarity}` }),
+    el("span", { class: "muted", text: describeUsage(context.id) })
+  );
+}
+
+function renderContexts() {
+  contextListEl.replaceChildren(
+    ...contextMeta.builtins.map(makeBuiltinContextRow),
+    ...contextDraft.map(makeContextRow)
+  );
+}
+
+btnAddContext.addEventListener("click", () => {
+  const { colors } = contextMeta;
+  contextDraft.push({ name: "", color: colors[contextDraft.length % colors.length] || "#8e9aaf", polarity: "work" });
+  renderContexts();
+  contextListEl.querySelector(".context-row:last-child input[type=text]")?.focus();
+});
+
+btnSaveContexts.addEventListener("click", async () => {
+  btnSaveContexts.disabled = true;
+  try {
+    const res = await sendMsg({ type: "SAVE_CONTEXTS", contexts: contextDraft });
+    if (!res?.ok) {
+      renderErrors((res?.errors || []).map(e => ({
+        field:   `context-${e.index}-${e.field}`,
+        message: e.index >= 0 ? `Context ${e.index + 1}: ${e.message}` : e.message,
+      })));
+      return;
+    }
+    await loadContexts();
+    renderErrors([]);
+    setStatus("Contexts saved ✓");
+  } catch (e) {
+    renderErrors([{ message: "Save failed: " + (e.message || e) }]);
+  } finally {
+    btnSaveContexts.disabled = false;
+  }
+});
+
+async function loadContexts() {
+  const res = await sendMsg({ type: "GET_CONTEXTS" });
+  contextDraft = structuredClone(res.contexts || []);
+  contextMeta  = { builtins: res.builtins || [], colors: res.colors || [], usage: res.usage || {} };
+  renderContexts();
+}
+
+// ── Backup & restore ───────────────────────────────────────────────────────
+const DIFF_SAMPLE = 5;  // entries listed per kind of change; the rest are counted
+
+function importStrategy() {
+  return document.querySelector("input[name=import-strategy]:checked").value;
+}
+
+function clearImport() {
+  pendingImport = null;
+  importPreviewEl.hidden = true;
+  importPreviewEl.replaceChildren();
+}
+
+function makeDiffEntries(labels, sign, cls) {
+  const shown = labels.slice(0, DIFF_SAMPLE).map(label => el("li", { class: cls, text: `${sign} ${label}` }));
+  if (labels.length > DIFF_SAMPLE) shown.push(el("li", { text: `…and ${labels.length - DIFF_SAMPLE} more` }));
+  return shown;
+}
+
+function makeDiffSection(section) {
+  const counts = [
+    section.added.length   && `${section.added.length} new`,
+    section.changed.length && `${section.changed.length} changed`,
+    section.removed.length && `${section.removed.length} removed`,
+  ].filter(Boolean).join(" · ");
+  return el("div", { class: "diff-section" },
+    el("strong", { text: section.label }),
+    el("span", { class: "diff-counts", text: counts }),
+    el("ul", { class: "diff-entries" },
+      makeDiffEntries(section.added, "+", "diff-added"),
+      makeDiffEntries(section.changed, "~", ""),
+      makeDiffEntries(section.removed, "−", "diff-removed")
+    )
+  );
+}
+
+function renderImportPreview({ diff, applied }) {
+  const changes  = diff.filter(d => d.added.length + d.changed.length + d.removed.length > 0);
+  const cancel   = el("button", { class: "btn btn-ghost btn-sm",   text: "Cancel" });
+  const applyBtn = el("button", { class: "btn btn-primary btn-sm", text: importStrategy() === "replace" ? "Replace" : "Merge" });
+  applyBtn.disabled = changes.length === 0;
+  cancel.addEventListener("click", clearImport);
+  applyBtn.addEventListener("click", () => applyImport(applyBtn));
+
+  importPreviewEl.replaceChildren(
+    el("p", { class: "muted", text: `${pendingImport.name}: ${changes.length === 0 ? "nothing would change." : "these changes would be made."}` }),
+    applied.length > 0
+      ? el("p", { class: "muted", text: `Made by an older version — upgraded: ${applied.join("; ")}.` })
+      : null,
+    changes.map(makeDiffSection),
+    el("div", { class: "import-actions" }, cancel, applyBtn)
+  );
+  importPreviewEl.hidden = false;
+}
+
+async function previewImport() {
+  try {
+    const res = await sendMsg({ type: "PREVIEW_IMPORT", backup: pendingImport.backup, strategy: importStrategy() });
+    if (!res?.ok) {
+      clearImport();
+      renderErrors(res?.errors || [{ message: "Could not read the backup." }]);
+      return;
+    }
+    renderErrors([]);
+    renderImportPreview(res);
+  } catch (e) {
+    clearImport();
+    renderErrors([{ message: "Could not read the backup: " + (e.message || e) }]);
+  }
+}
+
+async function applyImport(applyBtn) {
+  const replace = importStrategy() === "replace";
+  if (replace && !confirm("Replace all settings and everything learned with this backup?")) return;
+  applyBtn.disabled = true;
+  try {
+    const res = await sendMsg({ type: "APPLY_IMPORT", backup: pendingImport.backup, strategy: importStrategy() });
+    if (!res?.ok) {
+      renderErrors(res?.errors || [{ message: "Could not import the backup." }]);
+      applyBtn.disabled = false;
+      return;
+    }
+    clearImport();
+    await init();
+    setStatus(replace ? "Backup restored ✓" : "Backup merged ✓");
+  } catch (e) {
+    renderErrors([{ message: "Import failed: " + (e.message || e) }]);
+    applyBtn.disabled = false;
+  }
+}
+
+btnExportState.addEventListener("click", async () => {
+  btnExportState.disabled = true;
+  try {
+    const res = await sendMsg({ type: "EXPORT_STATE" });
+    if (!res?.backup) throw new Error(res?.error || "no backup returned");
+    const date = res.backup.exportedAt.slice(0, 10);
+    downloadText(`smart-history-manager-backup-${date}.json`, "application/json", JSON.stringify(res.backup, null, 2));
+    setStatus("Backup saved ✓");
+  } catch (e) {
+    renderErrors([{ message: "Export failed: " + (e.message || e) }]);
+  } finally {
+    btnExportState.disabled = false;
+  }
+});
+
+btnChooseImport.addEventListener("click", () => importFileInput.click());
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = "";
+  if (!file) return;
+  try {
+    pendingImport = { name: file.name, backup: JSON.parse(await file.text()) };
+  } catch (_) {
+    clearImport();
+    renderErrors([{ message: `${file.name} is not a JSON file.` }]);
+    return;
+  }
+  previewImport();
+});
+
+document.querySelectorAll("input[name=import-strategy]").forEach((radio) => {
+  radio.addEventListener("change", () => { if (pendingImport) previewImport(); });
+});
+
+// ── Work schedule ──────────────────────────────────────────────────────────
+/**
+ * Two time inputs bound to `range` plus a remove button.
+ * @param {{ start: string, end: string }} range
+ * @param {() => void} onRemove
+ */
+function makeRangeRow(range, onRemove) {
+  const startIn   = el("input", { class: "field-input", type: "time", value: range.start });
+  const endIn     = el("input", { class: "field-input", type: "time", value: range.end });
+  const removeBtn = el("button", { class: "btn-icon", text: "✕", title: "Remove", "aria-label": "Remove range" });
+
+  startIn.addEventListener("input", () => { range.start = startIn.value; });
+  endIn.addEventListener("input",   () => { range.end   = endIn.value; });
+  removeBtn.addEventListener("click", onRemove);
+
+  return el("span", { class: "range" }, startIn, "–", endIn, removeBtn);
+}
+
+function makeDayRow(day) {
+  const ranges = draft.workSchedule.days[day];
+  const addBtn = el("button", { class: "btn btn-ghost btn-sm", text: "+ Range" });
+  addBtn.addEventListener("click", () => {
+    ranges.push({ start: "09:00", end: "17:00" });
+    renderSchedule();
+  });
+
+  return el("div", { class: "day-row" },
+    el("span", { class: "day-name", text: WEEKDAY_NAMES[day] }),
+    el("div", { class: "day-ranges" },
+      ranges.length === 0
+        ? el("span", { class: "muted", text: "Day off" })
+        : ranges.map((r, i) => makeRangeRow(r, () => { ranges.splice(i, 1); renderSchedule(); })),
+      addBtn
+    )
+  );
+}
+
+function makeHolidayChip(date) {
+  const removeBtn = el("button", { class: "btn-icon", text: "✕", title: "Remove", "aria-label": `Remove ${date}` });
+  removeBtn.addEventListener("click", () => {
+    draft.workSchedule.holidays = draft.workSchedule.holidays.filter(d => d !== date);
+    renderSchedule();
+  });
+  const label = new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+  return el("span", { class: "chip" }, label, removeBtn);
+}
+
+function renderSchedule() {
+  const { breaks, holidays } = draft.workSchedule;
+
+  scheduleDaysEl.replaceChildren(...WEEKDAY_NAMES.map((_, day) => makeDayRow(day)));
+
+  scheduleBreaksEl.replaceChildren(
+    ...(breaks.length === 0
+      ? [el("span", { class: "muted", text: "No breaks." })]
+      : breaks.map((r, i) => makeRangeRow(r, () => { breaks.splice(i, 1); renderSchedule(); })))
+  );
+
+  scheduleHolidaysEl.replaceChildren(
+    ...(holidays.length === 0
+      ? [el("span", { class: "muted", text: "No holidays." })]
+      : holidays.map(makeHolidayChip))
+  );
+}
+
+btnAddBreak.addEventListener("click", () => {
+  draft.workSchedule.breaks.push({ start: "12:00", end: "13:00" });
+  renderSchedule();
+});
+
+btnAddHoliday.addEventListener("click", () => {
+  const date = holidayInput.value;
+  if (!date) return;
+  const { holidays } = draft.workSchedule;
+  if (!holidays.includes(date)) holidays.push(date);
+  holidays.sort();
+  holidayInput.value = "";
+  renderSchedule();
+});
+
+// ── Save / load ────────────────────────────────────────────────────────────
+btnSave.addEventListener("click", async () => {
+  btnSave.disabled = true;
+  try {
+    const update = { workSchedule: draft.workSchedule, urlNormalization: draft.urlNormalization };
+    for (const field of DETECTION_SETTING_KEYS) update[field] = draft[field];
+    const res = await sendMsg({ type: "SAVE_SETTINGS", settings: update });
+    if (!res?.ok) {
+      renderErrors(res?.errors || [{ message: "Could not save settings." }]);
+      return;
+    }
+    draft = structuredClone(res.settings);
+    renderErrors([]);
+    renderDetection();
+    renderSchedule();
+    renderNormalization();
+    setStatus("Saved ✓");
+  } catch (e) {
+    renderErrors([{ message: "Save failed: " + (e.message || e) }]);
+  } finally {
+    btnSave.disabled = false;
+  }
+});
+
+async function init() {
+  try {
+    const [{ settings, error }, { summary }] = await Promise.all([
+      sendMsg({ type: "GET_SETTINGS" }),
+      sendMsg({ type: "GET_LEARNED_MODEL" }),
+    ]);
+    if (!settings) throw new Error(error || "no settings returned");
+    draft = structuredClone(settings);
+    renderDetection();
+    renderSchedule();
+    renderNormalization();
+    renderModel(summary);
+    await loadContexts();
+  } catch (e) {
+    renderErrors([{ message: "Could not load settings: " + (e.message || e) }]);
+  }
+}
+
+init();
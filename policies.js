@@ -0,0 +1,128 @@
+/**
+ * policies.js
+ * Automatic cleanup policies: validation and schedule maths.
+ *
+ * A policy is stored in storage.local under `cleanupPolicies`:
+ *   {
+ *     id, name, enabled, createdAt,
+ *     target:        { kind: "pref",       value: "work" | "personal" }
+ *                  | { kind: "category",   value: "<CATEGORY_META key>" }
+ *                  | { kind: "confidence", value: "low" | "medium" | "high" },
+ *     olderThanDays: number,   // only visits at least this old (pref/category targets)
+ *     schedule:      { kind: "interval", everyHours }
+ *                  | { kind: "weekly", weekday: 0-6, time: "HH:MM" },
+ *   }
+ *
+ * Running a policy happens in the background worker, which owns the
+ * detection engine; this module has no browser dependencies.
+ */
+
+export const POLICY_TARGET_KINDS = ["pref", "category", "confidence"];
+
+export const POLICY_PREF_VALUES = ["work", "personal"];
+
+// A confidence target matches suggestions at or above the given level
+export const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+const HOUR_MS   = 60 * 60 * 1000;
+const TIME_RE   = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const NAME_MAX  = 60;
+
+// Missed runs (browser closed at the scheduled time) run shortly after start-up
+const CATCH_UP_DELAY_MS = 60 * 1000;
+
+/**
+ * Validates and normalises a policy.
+ * @param {object} input
+ * @param {string[]} categories - Category keys a category target may use.
+ * @returns {{ policy: object, errors: Array<{ field: string, message: string }> }}
+ */
+export function validatePolicy(input, categories) {
+  const raw      = input || {};
+  const errors   = [];
+  const name     = String(raw.name || "").trim();
+  const target   = raw.target   || {};
+  const schedule = raw.schedule || {};
+
+  if (!name) errors.push({ field: "name", message: "Name is required." });
+  else if (name.length > NAME_MAX) errors.push({ field: "name", message: `Name must be at most ${NAME_MAX} characters.` });
+
+  if (!POLICY_TARGET_KINDS.includes(target.kind)) {
+    errors.push({ field: "target", message: "Choose what the policy cleans up." });
+  } else if (target.kind === "pref" && !POLICY_PREF_VALUES.includes(target.value)) {
+    errors.push({ field: "target", message: "Choose Work or Personal domains." });
+  } else if (target.kind === "category" && !categories.includes(target.value)) {
+    errors.push({ field: "target", message: "Choose a known category." });
+  } else if (target.kind === "confidence" && !(target.value in CONFIDENCE_RANK)) {
+    errors.push({ field: "target", message: "Choose a confidence level." });
+  }
+
+  const olderThanDays = Number(raw.olderThanDays ?? 0);
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0 || olderThanDays > 365) {
+    errors.push({ field: "olderThanDays", message: "Age must be a whole number of days from 0 to 365." });
+  }
+
+  let normalSchedule = null;
+  if (schedule.kind === "interval") {
+    const everyHours = Number(schedule.everyHours);
+    if (!Number.isInteger(everyHours) || everyHours < 1 || everyHours > 720) {
+      errors.push({ field: "schedule", message: "Interval must be 1 to 720 hours." });
+    }
+    normalSchedule = { kind: "interval", everyHours };
+  } else if (schedule.kind === "weekly") {
+    const weekday = Number(schedule.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      errors.push({ field: "schedule", message: "Choose a day of the week." });
+    }
+    if (!TIME_RE.test(schedule.time || "")) {
+      errors.push({ field: "schedule", message: "Time must be HH:MM (24-hour)." });
+    }
+    normalSchedule = { kind: "weekly", weekday, time: schedule.time };
+  } else {
+    errors.push({ field: "schedule", message: "Choose a schedule." });
+  }
+
+  return {
+    policy: {
+      id:        typeof raw.id === "string" && raw.id ? raw.id : `policy_${Date.now().toString(36)}`,
+      name,
+      enabled:   raw.enabled !== false,
+      createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+      target:    { kind: target.kind, value: target.value },
+      olderThanDays,
+      schedule:  normalSchedule,
+    },
+    errors,
+  };
+}
+
+/**
+ * When a policy should next run.
+ * @param {object} policy
+ * @param {number|null} lastRunAt - Time of the last real (non-dry) run.
+ * @param {number} [now]
+ * @returns {number} ms since epoch
+ */
+export function nextRunTime(policy, lastRunAt, now = Date.now()) {
+  const { schedule } = policy;
+
+  if (schedule.kind === "interval") {
+    const base = lastRunAt || policy.createdAt || now;
+    return Math.max(base + schedule.everyHours * HOUR_MS, now + CATCH_UP_DELAY_MS);
+  }
+
+  // weekly — next local weekday/time strictly after now
+  const [hours, minutes] = schedule.time.split(":").map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+  if (+next <= now) next.setDate(next.getDate() + 7);
+
+  // A weekly slot missed since the last run (or creation) is caught up now.
+  // Stepped back by calendar days: a week with a clock change isn't 7 × 24 h.
+  const since    = lastRunAt || policy.createdAt;
+  const previous = new Date(next);
+  previous.setDate(previous.getDate() - 7);
+  if (since && +previous > since) return now + CATCH_UP_DELAY_MS;
+  return +next;
+}
@@ -5,11 +5,20 @@
  * Uses the DOM API exclusively — NO innerHTML — to satisfy Firefox AMO
  * validation (unsafe assignment to innerHTML warning).
  *
- * All element construction goes through the lightweight el() helper, which
- * accepts a tag name, an attribute object, and spread children (Node|string|Array).
+ * All element construction goes through the lightweight el() helper (dom.js),
+ * which accepts a tag name, an attribute object, and spread children (Node|string|Array).
  */
 
-import { groupByDomain } from "../grouping.js";
+import { groupItems, GROUPINGS, itemUrls, DEFAULT_URL_NORMALIZATION } from "../grouping.js";
+import { CATEGORY_META } from "../detection.js";
+import { getRootDomain, isProtectedHost } from "../domains.js";
+import { prefContextId } from "../contexts.js";
+import { buildExport, serializeExport, EXPORT_FORMATS } from "../export.js";
+import { el, downloadText } from "../dom.js";
+import {
+  sendMsg, showToast, undoDelete, titlesFor, makeContextSelect,
+  connectJobs, jobs, waitForJob, ackJob, jobFailed, describeJob, makeJobProgress,
+} from "../ui.js";
 
 const api = typeof browser !== "undefined" ? browser : chrome;
 
@@ -17,57 +26,43 @@ const api = typeof browser !== "undefined" ? browser : chrome;
 const searchInput        = document.getElementById("search");
 const btnSearch          = document.getElementById("btn-search");
 const btnDeleteSel       = document.getElementById("btn-delete-selected");
+const btnExport          = document.getElementById("btn-export");
 const btnClear           = document.getElementById("btn-clear");
 const btnClearSearch     = document.getElementById("btn-clear-search");
 const toolbar            = document.getElementById("toolbar");
 const resultSummary      = document.getElementById("result-summary");
 const resultsEl          = document.getElementById("results");
-const toast              = document.getElementById("toast");
 const suggestionsSection = document.getElementById("suggestions-section");
 const suggestionsList    = document.getElementById("suggestions-list");
 const suggestionsCount   = document.getElementById("suggestions-count");
+const btnOpenRules       = document.getElementById("btn-open-rules");
+const btnOpenTrash       = document.getElementById("btn-open-trash");
+const btnOpenPolicies    = document.getElementById("btn-open-policies");
+const btnOpenMemory      = document.getElementById("btn-open-memory");
+const btnOpenSettings    = document.getElementById("btn-open-settings");
+const btnOpenDashboard   = document.getElementById("btn-open-dashboard");
+const contextFilterSel   = document.getElementById("context-filter");
+const groupModeSel       = document.getElementById("group-mode");
+const queryErrorsEl      = document.getElementById("query-errors");
+const btnCancelSearch    = document.getElementById("btn-cancel-search");
+const scrollArea         = document.querySelector(".scroll-area");
+const jobStatus          = document.getElementById("job-status");
 
 // ── State ──────────────────────────────────────────────────────────────────
 let allGroups   = [];
+let resultItems = [];      // flat search / review results behind allGroups
+let groupMode   = "domain"; // GROUPINGS key chosen in the toolbar
 let lastQuery   = "";
-let domainPrefs = {};
-
-// ── Safe DOM builder (replaces all innerHTML usage) ────────────────────────
-/**
- * Creates a DOM element without innerHTML.
- * @param {string} tag
- * @param {{ class?:string, text?:string, [attr:string]: any }|null} attrs
- * @param {...(Node|string|Array|null)} children
- */
-function el(tag, attrs, ...children) {
-  const node = document.createElement(tag);
-  if (attrs) {
-    for (const [k, v] of Object.entries(attrs)) {
-      if (v == null) continue;
-      if (k === "class")                        node.className = v;
-      else if (k === "text")                    node.textContent = v;
-      else if (k === "style" && typeof v === "object") Object.assign(node.style, v);
-      else                                      node.setAttribute(k, v);
-    }
-  }
-  (function mount(kids) {
-    for (const child of kids) {
-      if (child == null) continue;
-      if (Array.isArray(child)) { mount(child); continue; }
-      node.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
-    }
-  })(children);
-  return node;
-}
+let domainPrefs = {};   // from GET_DOMAIN_PREFS; entries also record protection
+let contexts    = [];      // built-in + custom contexts, from GET_DOMAIN_PREFS
+let contextFilter = "";    // search results filter: "" = all, "none" = unassigned, or a context id
+let activeScreen = null;   // name of the open management screen, or null
+let reviewSession = null;  // { start, end } of the suggestion being reviewed, or null
+let searchPort   = null;   // "search" port while results are streaming in
+let urlRules     = DEFAULT_URL_NORMALIZATION; // duplicate-URL collapsing, from GET_SETTINGS
+let sessionGapMinutes = 30;                   // session grouping gap, from GET_SETTINGS
 
 // ── Utilities ──────────────────────────────────────────────────────────────
-function showToast(msg, type = "") {
-  toast.textContent = msg;
-  toast.className   = "show" + (type ? " " + type : "");
-  clearTimeout(toast._t);
-  toast._t = setTimeout(() => { toast.className = ""; }, 2800);
-}
-
 function formatDate(ms) {
   if (!ms) return "";
   const d = new Date(ms);
@@ -75,32 +70,31 @@ function formatDate(ms) {
     " " + d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
 }
 
-function formatSessionTime(startMs, endMs) {
-  const start = new Date(startMs);
-  const end   = new Date(endMs);
+/** "Today", "Yesterday" or a short date. */
+function formatDay(ms) {
+  const start = new Date(ms);
   const now   = new Date();
   const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   const yest  = new Date(+today - 86_400_000);
   const sDay  = new Date(start.getFullYear(), start.getMonth(), start.getDate());
-  let dayLabel;
-  if (+sDay === +today)     dayLabel = "Today";
-  else if (+sDay === +yest) dayLabel = "Yesterday";
-  else dayLabel = start.toLocaleDateString(undefined, { month: "short", day: "numeric" });
-  const tf = { hour: "numeric", minute: "2-digit" };
-  return `${dayLabel} ${start.toLocaleTimeString(undefined, tf)} – ${end.toLocaleTimeString(undefined, tf)}`;
+  if (+sDay === +today) return "Today";
+  if (+sDay === +yest)  return "Yesterday";
+  return start.toLocaleDateString(undefined, { month: "short", day: "numeric" });
 }
 
-function getRootDomain(domain) {
-  const parts = domain.split(".");
-  return parts.length > 2 ? parts.slice(-2).join(".") : domain;
+function formatSessionTime(startMs, endMs) {
+  const tf = { hour: "numeric", minute: "2-digit" };
+  return `${formatDay(startMs)} ${new Date(startMs).toLocaleTimeString(undefined, tf)} – ${new Date(endMs).toLocaleTimeString(undefined, tf)}`;
 }
 
 function capitalize(str) {
   return str ? str[0].toUpperCase() + str.slice(1) : "";
 }
 
+/** Every URL behind the selected rows, including a collapsed row's variants. */
 function getCheckedUrls() {
-  return [...document.querySelectorAll(".item-check:checked")].map(cb => cb.dataset.url);
+  const urls = shownGroups.flatMap(g => g.items).filter(i => selectedUrls.has(i.url)).flatMap(itemUrls);
+  return [...new Set(urls)];   // a page can be in several category groups
 }
 
 function updateDeleteBtn() {
@@ -109,25 +103,79 @@ function updateDeleteBtn() {
   btnDeleteSel.textContent = count > 0 ? `Delete selected (${count})` : "Delete selected";
 }
 
-// ── Message helpers ────────────────────────────────────────────────────────
-function sendMsg(payload) {
-  return new Promise((resolve, reject) => {
-    api.runtime.sendMessage(payload, (res) => {
-      if (api.runtime.lastError) reject(api.runtime.lastError);
-      else resolve(res);
-    });
-  });
-}
-
-// ── Domain pref helpers ────────────────────────────────────────────────────
+// ── Domain context helpers ─────────────────────────────────────────────────
+/**
+ * @param {string} domain
+ * @param {string|null} pref - Context id, or null to clear.
+ */
 async function setDomainPref(domain, pref) {
   const root = getRootDomain(domain);
   const res  = await sendMsg({ type: "SET_DOMAIN_PREF", domain: root, pref });
-  if (res?.prefs) domainPrefs = res.prefs;
+  if (!res?.ok) throw new Error(res?.error || "Could not save");
+  domainPrefs = res.prefs;
+}
+
+/**
+ * @param {string} domain
+ * @param {boolean} value - Whether bulk and automatic deletes should skip the domain.
+ */
+async function setDomainProtected(domain, value) {
+  const res = await sendMsg({ type: "SET_DOMAIN_PROTECTED", domain, protected: value });
+  if (!res?.ok) throw new Error(res?.error || "Could not save");
+  domainPrefs = res.prefs;
+}
+
+function isProtectedUrl(url) {
+  try { return isProtectedHost(domainPrefs, new URL(url).hostname); } catch (_) { return false; }
 }
 
-function getDomainPref(domain) {
-  return domainPrefs[getRootDomain(domain)] || null;
+function getDomainContext(domain) {
+  const id = prefContextId(domainPrefs[getRootDomain(domain)]);
+  return id ? contexts.find(c => c.id === id) || null : null;
+}
+
+/** Assigns the select's domain to the chosen context, then refreshes via `onDone`. */
+async function assignContext(select, onDone) {
+  const domain  = select.dataset.domain;
+  const context = contexts.find(c => c.id === select.value) || null;
+  select.disabled = true;
+  try {
+    await setDomainPref(domain, context ? context.id : null);
+    showToast(context ? `✓ ${domain} assigned to ${context.name}` : `✓ ${domain} context cleared`, "success");
+    await onDone();
+  } catch (err) {
+    select.disabled = false;
+    showToast("⚠ " + (err?.message || err), "error");
+  }
+}
+
+function renderContextFilter() {
+  contextFilterSel.replaceChildren(
+    el("option", { value: "",     text: "All contexts" }),
+    el("option", { value: "none", text: "No context" }),
+    contexts.map(c => el("option", { value: c.id, text: c.name }))
+  );
+  if (contextFilter && contextFilter !== "none" && !contexts.some(c => c.id === contextFilter)) contextFilter = "";
+  contextFilterSel.value = contextFilter;
+}
+
+function matchesContextFilter(domain) {
+  if (!contextFilter) return true;
+  const context = getDomainContext(domain);
+  return contextFilter === "none" ? !context : context?.id === contextFilter;
+}
+
+/** Groups narrowed to the context filter: domain groups as a whole, the others page by page. */
+function filterGroupsByContext(groups) {
+  if (!contextFilter) return groups;
+  return groups.flatMap((group) => {
+    if (group.domain) return matchesContextFilter(group.domain) ? [group] : [];
+    const items = group.items.filter((item) => {
+      try { return matchesContextFilter(new URL(item.url).hostname); } catch (_) { return false; }
+    });
+    if (items.length === 0) return [];
+    return [{ ...group, items, totalVisits: items.reduce((n, i) => n + (i.visitCount || 0), 0) }];
+  });
 }
 
 // ── Reusable element factories ─────────────────────────────────────────────
@@ -157,23 +205,34 @@ function makeStateBox(icon, title, desc) {
   return box;
 }
 
-/** Creates a Work / Personal tag button. */
-function makePrefTagBtn(pref, domain, activePref) {
-  return el("button", {
-    class: `btn-tag btn-tag-${pref}${activePref === pref ? " active" : ""}`,
-    "data-pref":   pref,
-    "data-domain": domain,
-    text: pref === "work" ? "🏢 Work" : "👤 Personal",
+/** Coloured name of a context. */
+function makeContextBadge(context, extra = "") {
+  return el("span", {
+    class: "context-badge",
+    style: { color: context.color, borderColor: context.color },
+    title: `${context.name} counts as ${context.polarity}`,
+    text:  context.name + extra,
   });
 }
 
 // ── Result summary (uses DOM nodes, not innerHTML) ─────────────────────────
-function setResultSummary(items, groups) {
+function setResultSummary(items, groups, stopped = false) {
+  const [one, many] = GROUP_NOUNS[groupMode] || GROUP_NOUNS.domain;
   resultSummary.replaceChildren(
-    el("strong", { text: String(items) }),
+    el("strong", { text: items.toLocaleString() }),
     ` result${items !== 1 ? "s" : ""} across `,
-    el("strong", { text: String(groups) }),
-    ` domain${groups !== 1 ? "s" : ""}`,
+    el("strong", { text: groups.toLocaleString() }),
+    ` ${groups !== 1 ? many : one}`,
+    stopped ? " · search stopped" : "",
+  );
+}
+
+function setSearchProgress(found) {
+  resultSummary.replaceChildren(
+    el("span", { class: "spinner spinner-sm" }),
+    " Searching… ",
+    el("strong", { text: found.toLocaleString() }),
+    " found",
   );
 }
 
@@ -211,96 +270,556 @@ function renderError(msg) {
   resultsEl.replaceChildren(makeStateBox("⚠️", "Something went wrong", msg));
 }
 
+// ── Virtualized results ────────────────────────────────────────────────────
+// A broad search can find tens of thousands of pages, so results are
+// flattened into fixed-height rows — one per group (and path subgroup), one
+// per page, one per variant of an expanded duplicate — and only the rows near
+// the viewport are in the DOM. Selection lives in selectedUrls (keyed by each
+// row's URL) rather than in checkboxes, since rows come and go while scrolling.
+const ROW_HEIGHTS  = { domain: 84, group: 84, subgroup: 40, item: 64, variant: 40 };
+const GROUP_GAP    = 10;   // space above every top-level group row but the first
+const ROW_OVERSCAN = 6;
+
+let shownGroups   = [];     // groups passing the context filter
+let resultRows    = [];     // { kind: "domain" | "group" | "subgroup", group, last? } | { kind: "item", item, last }
+                            // | { kind: "variant", variant, last }
+let groupsByKey   = new Map(); // every shown group and subgroup, for the select-all boxes
+let rowTops       = [];     // top of each row; one extra entry for the total height
+let virtualList   = null;
+let renderedRange = "";     // "first:last" of the rows in the DOM
+let rowFrame      = 0;
+const selectedUrls     = new Set();
+const collapsedGroups  = new Set();   // keys of groups showing only their header
+const expandedItems    = new Set();   // URLs of collapsed duplicates showing their variants
+
+/** The group's rows that bulk deletes may remove. */
+function deletableItems(group) {
+  return group.items.filter(i => !isProtectedUrl(i.url));
+}
+
+/** Index of the last row starting at or above `y`. */
+function rowAt(y) {
+  let lo = 0;
+  let hi = resultRows.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (rowTops[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+function renderVisibleRows() {
+  rowFrame = 0;
+  if (!virtualList?.isConnected) return;
+  const top   = scrollArea.scrollTop - virtualList.offsetTop;
+  const first = Math.max(0, rowAt(top) - ROW_OVERSCAN);
+  const last  = Math.min(resultRows.length, rowAt(top + scrollArea.clientHeight) + ROW_OVERSCAN + 1);
+  const range = `${first}:${last}`;
+  if (range === renderedRange) return;
+  renderedRange = range;
+
+  const rows = [];
+  for (let i = first; i < last; i++) {
+    const row  = resultRows[i];
+    const node = row.kind === "domain"   ? makeDomainRow(row.group)
+               : row.kind === "group"    ? makeGroupRow(row.group)
+               : row.kind === "subgroup" ? makeSubgroupRow(row.group, row.last)
+               : row.kind === "variant"  ? makeVariantRow(row.variant, row.last)
+               : makeHistoryItem(row.item, row.last);
+    node.classList.add("vrow");
+    node.style.top    = `${rowTops[i]}px`;
+    node.style.height = `${ROW_HEIGHTS[row.kind]}px`;
+    rows.push(node);
+  }
+  virtualList.replaceChildren(...rows);
+}
+
+function scheduleRowRender() {
+  if (!rowFrame) rowFrame = requestAnimationFrame(renderVisibleRows);
+}
+
+/** Redraws the rows on screen. */
+function refreshRows() {
+  renderedRange = "";
+  renderVisibleRows();
+}
+
+/** Brings the checkboxes on screen in line with selectedUrls. */
+function syncSelection() {
+  if (!virtualList) return;
+  for (const cb of virtualList.querySelectorAll(".item-check")) {
+    cb.checked = selectedUrls.has(cb.dataset.url);
+    cb.closest(".history-item").classList.toggle("selected", cb.checked);
+  }
+  for (const cb of virtualList.querySelectorAll(".select-all-check")) {
+    const group = groupsByKey.get(cb.dataset.group);
+    const items = group ? deletableItems(group) : [];
+    cb.checked  = items.length > 0 && items.every(i => selectedUrls.has(i.url));
+  }
+}
+
 // ── History item row ───────────────────────────────────────────────────────
-function makeHistoryItem(item) {
-  const cb   = el("input", { type: "checkbox", class: "item-check", "data-url": item.url });
-  const link = el("a", { class: "item-url", href: item.url, target: "_blank", text: item.url });
-  link.title = item.url;
+function makeHistoryItem(item, last = false) {
+  const locked = isProtectedUrl(item.url);
+  const cb     = el("input", { type: "checkbox", class: "item-check", "data-url": item.url });
+  const link   = el("a", { class: "item-url", href: item.url, target: "_blank", text: item.url });
+  cb.disabled = locked;
+  cb.checked  = selectedUrls.has(item.url);
+  link.title  = item.url;
 
+  const variantsBtn = item.variants
+    ? el("button", { class: "variants-toggle", title: "The same page under other URLs; deleting this row deletes them all",
+        text: `${item.variants.length} variants ${expandedItems.has(item.url) ? "▴" : "▾"}` })
+    : null;
   const info = el("div", { class: "item-info" },
     el("p", { class: "item-title", text: item.title || "(No title)" }),
     link,
-    el("p", { class: "item-meta",
-      text: `${formatDate(item.lastVisitTime)} · ${item.visitCount || 0} visit${item.visitCount !== 1 ? "s" : ""}` })
+    el("p", { class: "item-meta" },
+      `${formatDate(item.lastVisitTime)} · ${item.visitCount || 0} visit${item.visitCount !== 1 ? "s" : ""}`,
+      variantsBtn ? " · " : null,
+      variantsBtn
+    )
   );
-  const li = el("li", { class: "history-item", "data-url": item.url }, cb, info);
+  const classes = ["history-item", locked && "protected", cb.checked && "selected", last && "last"].filter(Boolean);
+  const row     = el("div", { class: classes.join(" "), "data-url": item.url }, cb, info);
+  if (locked) row.title = "On a protected domain — bulk deletes skip this page";
 
   cb.addEventListener("change", () => {
-    li.classList.toggle("selected", cb.checked);
+    if (cb.checked) selectedUrls.add(item.url);
+    else            selectedUrls.delete(item.url);
+    syncSelection();
     updateDeleteBtn();
   });
-  return li;
+  variantsBtn?.addEventListener("click", () => {
+    if (expandedItems.has(item.url)) expandedItems.delete(item.url);
+    else                             expandedItems.add(item.url);
+    renderGroups(allGroups);
+  });
+  return row;
 }
 
-// ── Domain card (search results) ───────────────────────────────────────────
-function makeDomainCard(group) {
-  const pref = getDomainPref(group.domain);
-  const root = getRootDomain(group.domain);
-  const card = el("div", { class: "domain-card", "data-domain": group.domain });
+/** One URL behind a collapsed duplicate; selected and deleted with its row. */
+function makeVariantRow(variant, last = false) {
+  const link = el("a", { class: "item-url", href: variant.url, target: "_blank", text: variant.url });
+  link.title = variant.url;
+  return el("div", { class: ["history-item", "variant-item", last && "last"].filter(Boolean).join(" ") },
+    el("div", { class: "item-info" },
+      link,
+      el("p", { class: "item-meta",
+        text: `${formatDate(variant.lastVisitTime)} · ${variant.visitCount || 0} visit${variant.visitCount !== 1 ? "s" : ""}` })
+    )
+  );
+}
 
-  // ── Header ─────────────────────────
-  const prefBadge = pref
-    ? el("span", { class: `domain-pref-badge ${pref}`, text: pref === "work" ? "🏢 Work" : "👤 Personal" })
-    : null;
+// ── Group rows (search results) ────────────────────────────────────────────
+const GROUP_ICONS = { session: "🕐", day: "📅", path: "📁", category: "🏷" };
+
+// How a summary counts groups in each mode: [one, many]
+const GROUP_NOUNS = {
+  "domain":      ["domain", "domains"],
+  "domain-path": ["domain", "domains"],
+  "path":        ["path", "paths"],
+  "session":     ["session", "sessions"],
+  "day":         ["day", "days"],
+  "category":    ["category", "categories"],
+};
+
+function groupLabel(group) {
+  switch (group.kind) {
+    case "session":  return formatSessionTime(group.start, group.end);
+    case "day":      return formatDay(group.start);
+    case "category": return CATEGORY_META[group.category]?.label || capitalize(group.category);
+    default:         return group.label;
+  }
+}
+
+function groupIcon(group) {
+  return group.kind === "category" ? CATEGORY_META[group.category]?.icon || GROUP_ICONS.category : GROUP_ICONS[group.kind];
+}
+
+function describeGroupSize(group) {
+  const pages = group.items.length;
+  return `${pages} page${pages !== 1 ? "s" : ""} · ${group.totalVisits} visit${group.totalVisits !== 1 ? "s" : ""}`;
+}
+
+/** The time window a group's "Delete all" can be limited to, if it covers one. */
+function groupWindow(group) {
+  if (group.kind === "session") return { start: group.start, end: group.end, label: "This session only" };
+  if (group.kind === "day")     return { start: group.start, end: group.end, label: "This day only" };
+  return null;
+}
+
+function toggleGroup(group) {
+  if (collapsedGroups.has(group.key)) collapsedGroups.delete(group.key);
+  else                                collapsedGroups.add(group.key);
+  renderGroups(allGroups);
+}
 
+/**
+ * "Select all", "Delete all" and export for any group; select and delete skip protected pages.
+ * @returns {{ selectAllCb: HTMLInputElement, deleteBtn: HTMLButtonElement, exportBtn: HTMLButtonElement }}
+ */
+function makeGroupActions(group, deleteText = "Delete all") {
+  const deletable   = deletableItems(group);
+  const selectAllCb = el("input", { type: "checkbox", class: "select-all-check", "data-group": group.key });
+  const deleteBtn   = el("button", { class: "btn btn-danger btn-sm", text: deleteText });
+  const exportBtn   = el("button", { class: "btn btn-ghost btn-sm btn-export", title: "Export these pages", text: "⤓" });
+  selectAllCb.disabled = deletable.length === 0;
+  selectAllCb.checked  = deletable.length > 0 && deletable.every(i => selectedUrls.has(i.url));
+  deleteBtn.disabled   = deletable.length === 0;
+
+  selectAllCb.addEventListener("change", () => {
+    for (const { url } of deletable) {
+      if (selectAllCb.checked) selectedUrls.add(url);
+      else                     selectedUrls.delete(url);
+    }
+    syncSelection();
+    updateDeleteBtn();
+  });
+  deleteBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const urls = [...new Set(deletable.flatMap(itemUrls))];
+    doDelete(urls, reviewSession || groupWindow(group));
+  });
+  exportBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exportGroups([group], `${groupLabel(group)} — ${resultsTitle()}`);
+  });
+  return { selectAllCb, deleteBtn, exportBtn };
+}
+
+function makeDomainRow(group) {
+  const context   = getDomainContext(group.domain);
+  const root      = getRootDomain(group.domain);
+  const locked    = isProtectedHost(domainPrefs, group.domain);
+  const collapsed = collapsedGroups.has(group.key);
+  const classes   = ["domain-card", locked && "protected", collapsed && "collapsed"].filter(Boolean);
+  const card      = el("div", { class: classes.join(" "), "data-group": group.key });
+
+  // ── Header ─────────────────────────
   const header = el("div", { class: "domain-header" },
     makeFavicon(group.domain),
     el("span", { class: "domain-name", text: group.domain }),
-    prefBadge,
-    el("span", { class: "domain-meta",
-      text: `${group.items.length} page${group.items.length !== 1 ? "s" : ""} · ${group.totalVisits} visit${group.totalVisits !== 1 ? "s" : ""}` }),
+    context ? makeContextBadge(context) : null,
+    locked
+      ? el("span", { class: "protected-badge", title: "Bulk and automatic deletes skip this domain", text: "🔒 Protected" })
+      : null,
+    el("span", { class: "domain-meta", text: describeGroupSize(group) }),
     el("span", { class: "domain-chevron", text: "▾" })
   );
 
-  // ── Body ─────────────────────────────
-  const selectAllCb    = el("input", { type: "checkbox", class: "select-all-check", "data-domain": group.domain });
-  const selectAllLabel = el("label", { class: "select-all-label" }, selectAllCb, " Select all");
-  const workBtn        = makePrefTagBtn("work",     root, pref);
-  const personalBtn    = makePrefTagBtn("personal", root, pref);
-  const deleteGrpBtn   = el("button", { class: "btn btn-danger btn-sm", text: "Delete all" });
+  // ── Actions ──────────────────────────
+  const { selectAllCb, deleteBtn, exportBtn } = makeGroupActions(group);
+  const contextSel = makeContextSelect(root, contexts, context);
+  const protectBtn = el("button", { class: "btn btn-ghost btn-sm btn-protect",
+    title: locked ? `Let bulk deletes remove ${root} again` : `Never bulk-delete history from ${root}`,
+    text:  locked ? "🔓 Unprotect" : "🔒 Protect" });
 
   const actionsRow = el("div", { class: "domain-actions" },
-    selectAllLabel, workBtn, personalBtn, deleteGrpBtn
+    el("label", { class: "select-all-label" }, selectAllCb, " Select all"), contextSel, protectBtn, exportBtn, deleteBtn
   );
-
-  const itemList = el("ul", { class: "item-list" });
-  group.items.forEach(item => itemList.appendChild(makeHistoryItem(item)));
-
-  const body = el("div", { class: "domain-body" }, actionsRow, itemList);
-  card.append(header, body);
+  card.append(header, actionsRow);
 
   // ── Events ──────────────────────────
   header.addEventListener("click", (e) => {
-    if (e.target.closest(".btn-tag, .domain-pref-badge")) return;
-    card.classList.toggle("collapsed");
-    body.style.display = card.classList.contains("collapsed") ? "none" : "";
+    if (e.target.closest(".context-badge")) return;
+    toggleGroup(group);
   });
 
-  selectAllCb.addEventListener("change", () => {
-    card.querySelectorAll(".item-check").forEach(cb => { cb.checked = selectAllCb.checked; });
-    card.querySelectorAll(".history-item").forEach(row => row.classList.toggle("selected", selectAllCb.checked));
-    updateDeleteBtn();
-  });
+  contextSel.addEventListener("change", () => assignContext(contextSel, () => renderGroups(allGroups)));
 
-  [workBtn, personalBtn].forEach(btn => {
-    btn.addEventListener("click", async (e) => {
-      e.stopPropagation();
-      const newPref = btn.classList.contains("active") ? null : btn.dataset.pref;
-      btn.disabled  = true;
-      try {
-        await setDomainPref(root, newPref);
-        showToast(newPref ? `✓ ${root} marked as ${newPref}` : `✓ ${root} preference cleared`, "success");
-        renderGroups(allGroups);
-      } catch (_) { btn.disabled = false; }
-    });
+  protectBtn.addEventListener("click", async () => {
+    protectBtn.disabled = true;
+    try {
+      await setDomainProtected(root, !locked);
+      if (!locked) group.items.forEach(i => { if (isProtectedUrl(i.url)) selectedUrls.delete(i.url); });
+      showToast(locked ? `✓ ${root} is no longer protected` : `🔒 ${root} is protected from bulk deletes`, "success");
+      renderGroups(allGroups);
+      updateDeleteBtn();
+    } catch (err) {
+      protectBtn.disabled = false;
+      showToast("⚠ " + (err?.message || err), "error");
+    }
   });
 
-  deleteGrpBtn.addEventListener("click", () => doDelete(group.items.map(i => i.url)));
   return card;
 }
 
+/** Session, day, category and path groups: no domain to assign or protect. */
+function makeGroupRow(group) {
+  const collapsed = collapsedGroups.has(group.key);
+  const card      = el("div", { class: ["domain-card", "group-card", collapsed && "collapsed"].filter(Boolean).join(" "),
+    "data-group": group.key });
+
+  const header = el("div", { class: "domain-header" },
+    el("span", { class: "group-icon", text: groupIcon(group) }),
+    el("span", { class: "domain-name", text: groupLabel(group) }),
+    el("span", { class: "domain-meta", text: describeGroupSize(group) }),
+    el("span", { class: "domain-chevron", text: "▾" })
+  );
+  const { selectAllCb, deleteBtn, exportBtn } = makeGroupActions(group);
+  card.append(header, el("div", { class: "domain-actions" },
+    el("label", { class: "select-all-label" }, selectAllCb, " Select all"), exportBtn, deleteBtn
+  ));
+
+  header.addEventListener("click", () => toggleGroup(group));
+  return card;
+}
+
+/** A path prefix inside a domain (Domain › path mode). */
+function makeSubgroupRow(group, last = false) {
+  const collapsed = collapsedGroups.has(group.key);
+  const { selectAllCb, deleteBtn } = makeGroupActions(group, "Delete");
+  const path = group.key.slice(group.domain.length);
+  const row  = el("div", { class: ["subgroup-row", collapsed && "collapsed", last && "last"].filter(Boolean).join(" "),
+    "data-group": group.key },
+    selectAllCb,
+    el("span", { class: "subgroup-name", text: path, title: group.key }),
+    el("span", { class: "domain-meta", text: describeGroupSize(group) }),
+    el("span", { class: "domain-chevron", text: "▾" }),
+    deleteBtn
+  );
+  selectAllCb.title = `Select every page under ${path}`;
+
+  row.addEventListener("click", (e) => {
+    if (e.target.closest("input, button")) return;
+    toggleGroup(group);
+  });
+  return row;
+}
+
+/** Groups items with the mode picked in the toolbar. */
+function regroup(items) {
+  return groupItems(items, groupMode, { rules: urlRules, sessionGapMinutes });
+}
+
+function renderGroupModes() {
+  groupModeSel.replaceChildren(
+    ...Object.entries(GROUPINGS).map(([mode, { label }]) => el("option", { value: mode, text: label }))
+  );
+  groupModeSel.value = groupMode;
+}
+
+/** Lays out the result rows for `groups` and draws the ones in view. */
 function renderGroups(groups) {
-  resultsEl.replaceChildren(...groups.map(g => makeDomainCard(g)));
+  shownGroups = filterGroupsByContext(groups);
+  if (shownGroups.length === 0 && groups.length > 0) {
+    virtualList = null;
+    resultsEl.replaceChildren(makeStateBox("🏷", "Nothing in this context", "Pick another context above to see the rest."));
+    return;
+  }
+
+  const pushItems = (items) => {
+    for (const item of items) {
+      resultRows.push({ kind: "item", item, last: false });
+      if (item.variants && expandedItems.has(item.url)) {
+        for (const variant of item.variants) resultRows.push({ kind: "variant", variant, last: false });
+      }
+    }
+  };
+
+  resultRows  = [];
+  groupsByKey = new Map();
+  for (const group of shownGroups) {
+    groupsByKey.set(group.key, group);
+    resultRows.push({ kind: group.kind === "domain" ? "domain" : "group", group });
+    if (collapsedGroups.has(group.key)) continue;
+    if (group.children) {
+      for (const child of group.children) {
+        groupsByKey.set(child.key, child);
+        resultRows.push({ kind: "subgroup", group: child, last: false });
+        if (!collapsedGroups.has(child.key)) pushItems(child.items);
+      }
+    } else {
+      pushItems(group.items);
+    }
+    resultRows[resultRows.length - 1].last = true;
+  }
+  rowTops = [];
+  let y = 0;
+  for (const row of resultRows) {
+    if ((row.kind === "domain" || row.kind === "group") && rowTops.length > 0) y += GROUP_GAP;
+    rowTops.push(y);
+    y += ROW_HEIGHTS[row.kind];
+  }
+  rowTops.push(y);
+
+  if (!virtualList?.isConnected) {
+    virtualList = el("div", { class: "virtual-list" });
+    resultsEl.replaceChildren(virtualList);
+  }
+  virtualList.style.height = `${y}px`;
+  refreshRows();
+}
+
+// ── "Why was this flagged?" panel ───────────────────────────────────────────
+const RULE_SKIP_REASONS = {
+  "shadowed":        "an earlier rule has the same pattern",
+  "less specific":   "a more specific rule in this category matched the same part of the URL",
+  "neutral":         "neutral rule (score 0)",
+  "marked work":     "domain is in a work context",
+  "often ignored":   "domain is often ignored",
+  "work path":       "a work rule matched this page",
+  "already counted": "this site already counted earlier in the session",
+};
+
+/** Signed, one-decimal score, e.g. "+2", "−1.8". */
+function formatPoints(n) {
+  const rounded = Math.round(n * 10) / 10;
+  return (rounded > 0 ? "+" : rounded < 0 ? "−" : "") + Math.abs(rounded);
+}
+
+function formatWeight(n) {
+  return (Math.round(n * 10) / 10).toString();
+}
+
+function shortUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.hostname + u.pathname + u.search;
+  } catch (_) { return url; }
+}
+
+function makeLayerTable(s) {
+  const { breakdown: b, explanation: ex } = s;
+  const rows = [
+    ["URL intent",       b.urlIntent,     "Rules matched on the pages below"],
+    ["Known sites",      b.sites ?? 0,    "Sites in the bundled category catalogue, once each"],
+    ["Domain variety",   b.domainVariety, `${s.domains.length} domain${s.domains.length !== 1 ? "s" : ""}`],
+    ["Rapid navigation", b.rapid,         ex.navPerMinute != null ? `${ex.navPerMinute.toFixed(1)} pages/min` : "Too few navigations"],
+    ["Work time",        b.timing,        `${Math.round(b.timing * 100)}% of visits in your work schedule`],
+    ["Learned model",    b.learned ?? 0,  ex.urls.some(u => u.learned) ? "What you taught it by ignoring, deleting and tagging" : "No opinion yet"],
+    ["Work signals",     -b.workSignals * ex.workSignalWeight, `${b.workSignals} work point${b.workSignals !== 1 ? "s" : ""} × ${ex.workSignalWeight}`],
+  ];
+
+  return el("table", { class: "why-layers" },
+    el("tbody", null,
+      rows.map(([name, points, detail]) =>
+        el("tr", null,
+          el("td", { class: "why-layer-name", text: name }),
+          el("td", { class: "why-layer-detail", text: detail }),
+          el("td", { class: `why-points${points < 0 ? " negative" : ""}`, text: formatPoints(points) })
+        )
+      ),
+      el("tr", { class: "why-total" },
+        el("td", { text: "Score" }),
+        el("td", { class: "why-layer-detail", text: `Threshold ${ex.threshold}` }),
+        el("td", { class: "why-points", text: (Math.round(s.score * 10) / 10).toString() })
+      )
+    )
+  );
+}
+
+function makeOverrideChip(override) {
+  if (override.kind === "ignores") {
+    return el("span", {
+      class: "why-chip work",
+      title: "Recent ignores, faded over time, minus deletes",
+      text:  `${formatPoints(-override.workPoints)} work · ignore weight ${formatWeight(override.weight)}`,
+    });
+  }
+  const context = override.context || capitalize(override.pref);
+  return override.pref === "work"
+    ? el("span", { class: "why-chip work",     text: `${formatPoints(-override.workPoints)} work · in ${context}` })
+    : el("span", { class: "why-chip personal", text: `${formatPoints(override.points)} · in ${context}` });
+}
+
+function makeLearnedChip(learned) {
+  const pct = Math.round(learned.personal * 100);
+  return el("span", {
+    class: `why-chip learned ${pct >= 50 ? "personal" : "work"}`,
+    title: `Strongest learned signals: ${learned.tokens.join(", ")}`,
+    text:  pct >= 50 ? `model ${pct}% personal` : `model ${100 - pct}% work`,
+  });
+}
+
+function makeSiteChip(site) {
+  const label = `${site.host} · ${site.category}`;
+  if (site.reason) {
+    return el("span", {
+      class: "why-chip skipped",
+      title: `Known site — not counted: ${RULE_SKIP_REASONS[site.reason] || site.reason}`,
+      text:  label,
+    });
+  }
+  return el("span", {
+    class: "why-chip personal",
+    title: "Known site from the bundled catalogue",
+    text:  `${formatPoints(site.points)} ${label}`,
+  });
+}
+
+function makeRuleChip(rule) {
+  const where = `${rule.type}: ${rule.match}${rule.custom ? " (custom rule)" : ""}`;
+  if (!rule.counted) {
+    return el("span", {
+      class: "why-chip skipped",
+      title: `${where} — not counted: ${RULE_SKIP_REASONS[rule.reason] || rule.reason}`,
+      text:  `${formatPoints(rule.score)} ${rule.label}`,
+    });
+  }
+  return el("span", {
+    class: `why-chip ${rule.score < 0 ? "work" : "personal"}`,
+    title: where,
+    text:  `${formatPoints(rule.score)} ${rule.label}`,
+  });
+}
+
+/** Domains whose prefs or ignore counts turned their pages into work signals. */
+function makeCancelledList(urls) {
+  const byDomain = new Map();
+  for (const u of urls) {
+    if (!u.override || u.override.workPoints == null) continue;
+    const root  = getRootDomain(u.domain);
+    const entry = byDomain.get(root) || { override: u.override, pages: 0, points: 0 };
+    entry.pages++;
+    entry.points += u.override.workPoints;
+    byDomain.set(root, entry);
+  }
+  if (byDomain.size === 0) return null;
+
+  return [
+    el("p", { class: "why-heading", text: "Cancelled out" }),
+    el("ul", { class: "why-cancelled" },
+      [...byDomain].map(([domain, { override, pages, points }]) =>
+        el("li", null,
+          el("strong", { text: domain }),
+          override.kind === "ignores" ? ` — often ignored (weight ${formatWeight(override.weight)}), treated as work` : ` — in ${override.context || "Work"}`,
+          `: ${pages} page${pages !== 1 ? "s" : ""} skipped, ${points} work points`
+        )
+      )
+    ),
+  ];
+}
+
+function makeWhyPanel(s) {
+  const urls      = s.explanation?.urls || [];
+  const explained = urls.filter(u => u.override || u.rules.length > 0 || u.learned || u.site);
+  const unmatched = urls.length - explained.length;
+
+  return el("details", { class: "why-flagged" },
+    el("summary", { text: "Why was this flagged?" }),
+    makeLayerTable(s),
+    el("p", { class: "why-heading", text: "Pages" }),
+    el("ul", { class: "why-urls" },
+      explained.map(u =>
+        el("li", { class: "why-url" },
+          el("span", { class: "why-url-text", title: u.url, text: shortUrl(u.url) }),
+          el("span", { class: "why-url-rules" },
+            u.override ? makeOverrideChip(u.override) : null,
+            u.rules.map(makeRuleChip),
+            u.site ? makeSiteChip(u.site) : null,
+            u.learned ? makeLearnedChip(u.learned) : null
+          )
+        )
+      )
+    ),
+    unmatched > 0
+      ? el("p", { class: "why-note", text: `${unmatched} other page${unmatched !== 1 ? "s" : ""} matched no rule, known site or learned signal.` })
+      : null,
+    makeCancelledList(urls)
+  );
 }
 
 // ── Suggestion card ─────────────────────────────────────────────────────────
@@ -351,20 +870,29 @@ function makeSuggestionCard(s) {
   }
   body.appendChild(catList);
 
+  // Contexts the session's domains are assigned to
+  if (s.contexts?.length > 0) {
+    body.appendChild(
+      el("div", { class: "suggestion-contexts" },
+        el("span", { class: "suggestion-group-label", text: s.contexts.length > 1 ? "Contexts mixed" : "Context" }),
+        s.contexts.map(c => makeContextBadge(c, ` · ${c.pages}`))
+      )
+    );
+  }
+  if (s.breakdown && s.explanation) body.appendChild(makeWhyPanel(s));
+
   // Domain overrides
   const topDomains = (s.domains || []).slice(0, 5);
   if (topDomains.length > 0) {
     const overrideWrap = el("div", { class: "domain-overrides" },
-      el("p", { class: "domain-override-label", text: "Mark domains as" })
+      el("p", { class: "domain-override-label", text: "Assign domains to a context" })
     );
     for (const domain of topDomains) {
       const root = getRootDomain(domain);
-      const pref = domainPrefs[root] || null;
       overrideWrap.appendChild(
         el("div", { class: "domain-override-row", "data-domain": root },
           el("span", { class: "domain-override-name", text: domain }),
-          makePrefTagBtn("work",     root, pref),
-          makePrefTagBtn("personal", root, pref)
+          makeContextSelect(root, contexts, getDomainContext(root))
         )
       );
     }
@@ -374,54 +902,50 @@ function makeSuggestionCard(s) {
   // Actions
   const reviewBtn = el("button", { class: "btn btn-review btn-sm", "data-id": s.id, text: "Review" });
   const ignoreBtn = el("button", { class: "btn btn-ignore btn-sm", "data-id": s.id, text: "Ignore" });
-  body.appendChild(el("div", { class: "suggestion-actions" }, reviewBtn, ignoreBtn));
+  const exportBtn = el("button", { class: "btn btn-ghost btn-sm btn-export", title: "Export this session's pages", text: "⤓" });
+  body.appendChild(el("div", { class: "suggestion-actions" }, reviewBtn, ignoreBtn, exportBtn));
   card.appendChild(body);
 
-  return { card, reviewBtn, ignoreBtn };
+  return { card, reviewBtn, ignoreBtn, exportBtn };
 }
 
 // ── Suggestions rendering ───────────────────────────────────────────────────
+/**
+ * History items for a suggestion's pages, with their visits counted inside
+ * the session's window only.
+ */
+async function fetchSuggestionItems(s) {
+  // The window's end is exclusive; the session's last visit belongs to it
+  const res = await sendMsg({ type: "GET_VISITED_PAGES", start: s.sessionStart, end: s.sessionEnd + 1 });
+  if (res?.error) throw new Error(res.error);
+  const urlSet = new Set(s.allUrls || []);
+  return urlSet.size > 0 ? res.pages.filter(p => urlSet.has(p.url)) : res.pages;
+}
+
 function renderSuggestions(suggestions) {
   suggestionsList.replaceChildren();
 
   for (const s of suggestions) {
-    const { card, reviewBtn, ignoreBtn } = makeSuggestionCard(s);
+    const { card, reviewBtn, ignoreBtn, exportBtn } = makeSuggestionCard(s);
     suggestionsList.appendChild(card);
 
-    // Domain override buttons
-    card.querySelectorAll(".btn-tag").forEach(btn => {
-      btn.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const domain  = btn.dataset.domain;
-        const row     = btn.closest(".domain-override-row");
-        const newPref = btn.classList.contains("active") ? null : btn.dataset.pref;
-        btn.disabled  = true;
-        try {
-          await setDomainPref(domain, newPref);
-          row.querySelectorAll(".btn-tag").forEach(b => b.classList.remove("active"));
-          if (newPref) btn.classList.add("active");
-          showToast(newPref ? `✓ ${domain} marked as ${newPref}` : `✓ ${domain} preference cleared`, "success");
-          await loadSuggestions();
-        } catch (_) { btn.disabled = false; }
-      });
+    // Domain context pickers
+    card.querySelectorAll(".context-select").forEach(select => {
+      select.addEventListener("change", () => assignContext(select, loadSuggestions));
     });
 
     // Review
     reviewBtn.addEventListener("click", async () => {
+      stopSearchStream();
+      clearResults();
       renderLoading();
       toolbar.classList.remove("visible");
       suggestionsSection.hidden = true;
+      reviewSession = { start: s.sessionStart, end: s.sessionEnd };
       try {
-        const [histRes, sugRes] = await Promise.all([
-          sendMsg({ type: "SEARCH_HISTORY", query: "", days: 7 }),
-          sendMsg({ type: "GET_SUGGESTIONS" }),
-        ]);
-        const match    = (sugRes?.suggestions || []).find(x => x.id === s.id);
-        const urlSet   = new Set(match?.allUrls || []);
-        const filtered = urlSet.size > 0
-          ? (histRes?.results || []).filter(r => urlSet.has(r.url))
-          : (histRes?.results || []);
-        allGroups = groupByDomain(filtered);
+        const filtered = await fetchSuggestionItems(s);
+        resultItems = filtered;
+        allGroups   = regroup(filtered);
         if (allGroups.length === 0) {
           renderEmpty("this session");
         } else {
@@ -433,13 +957,30 @@ function renderSuggestions(suggestions) {
       } catch (err) { renderError(err?.message || String(err)); }
     });
 
+    // Export
+    exportBtn.addEventListener("click", async () => {
+      exportBtn.disabled = true;
+      try {
+        const items = await fetchSuggestionItems(s);
+        await exportGroups(
+          [{ label: formatSessionTime(s.sessionStart, s.sessionEnd), items }],
+          `Mixed session, ${formatSessionTime(s.sessionStart, s.sessionEnd)} (${s.confidence} confidence)`
+        );
+      } catch (err) {
+        showToast("⚠ Export failed: " + (err?.message || String(err)), "error");
+      } finally {
+        exportBtn.disabled = false;
+      }
+    });
+
     // Ignore
     ignoreBtn.addEventListener("click", async () => {
       const domains = [...card.querySelectorAll(".domain-override-row")]
         .map(r => r.dataset.domain).filter(Boolean);
       ignoreBtn.disabled = true;
       try {
-        await sendMsg({ type: "IGNORE_SUGGESTION", id: s.id, domains });
+        const pages = (s.explanation?.urls || []).map(u => ({ url: u.url, title: u.title }));
+        await sendMsg({ type: "IGNORE_SUGGESTION", id: s.id, domains, pages });
         card.style.transition = "opacity .3s, transform .3s";
         card.style.opacity    = "0";
         card.style.transform  = "translateY(-6px)";
@@ -459,17 +1000,22 @@ function renderSuggestions(suggestions) {
 // ── Suggestions loader ──────────────────────────────────────────────────────
 async function loadSuggestions() {
   try {
-    const [prefsRes, sugRes] = await Promise.all([
+    const [prefsRes, sugRes, settingsRes] = await Promise.all([
       sendMsg({ type: "GET_DOMAIN_PREFS" }),
       sendMsg({ type: "GET_SUGGESTIONS" }),
+      sendMsg({ type: "GET_SETTINGS" }),
     ]);
-    domainPrefs = prefsRes?.prefs || {};
+    domainPrefs       = prefsRes?.prefs || {};
+    contexts          = prefsRes?.contexts || [];
+    urlRules          = settingsRes?.settings?.urlNormalization || DEFAULT_URL_NORMALIZATION;
+    sessionGapMinutes = settingsRes?.settings?.sessionGapMinutes || sessionGapMinutes;
+    renderContextFilter();
     const suggestions = sugRes?.suggestions || [];
     if (suggestions.length === 0) {
       suggestionsSection.hidden = true;
       return;
     }
-    suggestionsSection.hidden = false;
+    if (!activeScreen) suggestionsSection.hidden = false;
     suggestionsCount.textContent = suggestions.length;
     renderSuggestions(suggestions);
   } catch (_) {
@@ -477,45 +1023,844 @@ async function loadSuggestions() {
   }
 }
 
+// ── Screens ─────────────────────────────────────────────────────────────────
+/**
+ * Replaces the results area with a management screen. Suggestions and the
+ * search toolbar stay hidden until the user goes back home or searches.
+ * @param {string} name   - Screen key, matched against the header nav buttons.
+ * @param {string} title
+ * @param {...(Node|string|Array|null)} content
+ */
+function openScreen(name, title, ...content) {
+  stopSearchStream();
+  activeScreen  = name;
+  reviewSession = null;
+  suggestionsSection.hidden = true;
+  toolbar.classList.remove("visible");
+  document.querySelectorAll(".btn-nav").forEach(b => b.classList.toggle("active", b.dataset.screen === name));
+
+  const backBtn = el("button", { class: "btn btn-ghost btn-sm", text: "← Back" });
+  backBtn.addEventListener("click", resetToHome);
+  resultsEl.replaceChildren(
+    el("div", { class: "screen-header" },
+      el("span", { class: "screen-title", text: title }),
+      backBtn
+    ),
+    ...content.flat(Infinity).filter(c => c != null)
+  );
+}
+
+function closeScreen() {
+  activeScreen = null;
+  document.querySelectorAll(".btn-nav").forEach(b => b.classList.remove("active"));
+}
+
+// ── Intent rules screen ─────────────────────────────────────────────────────
+let ruleDraft  = [];                              // user rules being edited
+let ruleMeta   = { builtins: [], categories: {}, types: [] };
+let ruleErrors = [];                              // from SAVE_INTENT_RULES
+let ruleHits   = null;                            // { [ruleId]: urls[] } from PREVIEW_INTENT_RULES
+
+const RULE_TYPE_PLACEHOLDERS = {
+  segment: "/watch",
+  prefix:  "/r/",
+  host:    "example.com",
+  query:   "tab=reels",
+  regex:   "^[^/]+/live/\\d+",
+};
+
+function newRuleId() {
+  return `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function makeRuleRow(rule, index) {
+  const errors = ruleErrors.filter(e => e.index === index);
+  const invalid = (field) => errors.some(e => e.field === field) ? " invalid" : "";
+
+  const enabledCb = el("input", { type: "checkbox", title: "Enabled" });
+  enabledCb.checked = rule.enabled !== false;
+
+  const typeSel = el("select", { class: `field-input rule-type${invalid("type")}`, title: "Match type" },
+    ruleMeta.types.map(t => el("option", { value: t, text: t }))
+  );
+  typeSel.value = rule.type || "segment";
+
+  const matchIn = el("input", { class: `field-input rule-match${invalid("match")}`, type: "text",
+    placeholder: RULE_TYPE_PLACEHOLDERS[typeSel.value], value: rule.match, spellcheck: "false" });
+  const scoreIn = el("input", { class: `field-input rule-score${invalid("score")}`, type: "number",
+    min: "-10", max: "10", step: "1", value: String(rule.score), title: "Positive = personal, negative = work" });
+  const catIn   = el("input", { class: `field-input rule-category${invalid("category")}`, type: "text",
+    list: "rule-categories", placeholder: "category", value: rule.category, spellcheck: "false" });
+  const labelIn = el("input", { class: `field-input rule-label${invalid("label")}`, type: "text",
+    placeholder: "Label", value: rule.label });
+
+  const upBtn     = el("button", { class: "btn-icon", title: "Move up",   text: "▲" });
+  const downBtn   = el("button", { class: "btn-icon", title: "Move down", text: "▼" });
+  const removeBtn = el("button", { class: "btn-icon", title: "Remove",    text: "✕" });
+  upBtn.disabled   = index === 0;
+  downBtn.disabled = index === ruleDraft.length - 1;
+
+  let preview = null;
+  if (ruleHits) {
+    const urls = ruleHits[rule.id] || [];
+    preview = urls.length === 0
+      ? el("p", { class: "rule-preview", text: "No recent URLs would match this rule." })
+      : el("details", { class: "rule-preview" },
+          el("summary", { text: `Would match ${urls.length} recent URL${urls.length !== 1 ? "s" : ""}` }),
+          el("ul", null, urls.slice(0, 20).map(u => el("li", { text: u, title: u })))
+        );
+  }
+
+  const row = el("li", { class: `rule-row${enabledCb.checked ? "" : " disabled"}` },
+    el("div", { class: "rule-fields" }, enabledCb, typeSel, matchIn, scoreIn, catIn, labelIn, upBtn, downBtn, removeBtn),
+    errors.map(e => el("p", { class: "field-error", text: e.message })),
+    preview
+  );
+
+  // Field edits update the draft in place (no re-render, so focus is kept)
+  typeSel.addEventListener("change", () => {
+    rule.type           = typeSel.value;
+    matchIn.placeholder = RULE_TYPE_PLACEHOLDERS[typeSel.value];
+  });
+  matchIn.addEventListener("input", () => { rule.match    = matchIn.value; });
+  scoreIn.addEventListener("input", () => { rule.score    = scoreIn.value === "" ? NaN : Number(scoreIn.value); });
+  catIn.addEventListener("input",   () => { rule.category = catIn.value; });
+  labelIn.addEventListener("input", () => { rule.label    = labelIn.value; });
+  enabledCb.addEventListener("change", () => {
+    rule.enabled = enabledCb.checked;
+    row.classList.toggle("disabled", !rule.enabled);
+  });
+
+  const move = (delta) => {
+    ruleDraft.splice(index, 1);
+    ruleDraft.splice(index + delta, 0, rule);
+    ruleErrors = [];
+    renderRulesScreen();
+  };
+  upBtn.addEventListener("click",   () => move(-1));
+  downBtn.addEventListener("click", () => move(1));
+  removeBtn.addEventListener("click", () => {
+    ruleDraft.splice(index, 1);
+    ruleErrors = [];
+    renderRulesScreen();
+  });
+
+  return row;
+}
+
+function renderRulesScreen() {
+  const list = el("ul", { class: "rule-list" }, ruleDraft.map((r, i) => makeRuleRow(r, i)));
+  if (ruleDraft.length === 0) {
+    list.appendChild(el("li", { class: "screen-desc", text: "No custom rules yet. Only the built-in rules below are active." }));
+  }
+
+  const addBtn     = el("button", { class: "btn btn-ghost btn-sm",   text: "+ Add rule" });
+  const previewBtn = el("button", { class: "btn btn-ghost btn-sm",   text: "Preview" });
+  const saveBtn    = el("button", { class: "btn btn-primary btn-sm", text: "Save rules" });
+
+  const categories = el("datalist", { id: "rule-categories" },
+    Object.keys(ruleMeta.categories).map(c => el("option", { value: c }))
+  );
+
+  const builtins = el("details", null,
+    el("summary", { class: "screen-section-label", text: `Built-in rules (${ruleMeta.builtins.length})` }),
+    el("ul", { class: "builtin-rule-list" },
+      ruleMeta.builtins.map(r =>
+        el("li", null,
+          el("span", { class: "rule-match-text", text: r.type && r.type !== "segment" ? `${r.type}: ${r.match}` : r.match }),
+          el("span", { text: `${r.score > 0 ? "+" : ""}${r.score}` }),
+          el("span", { text: r.label })
+        )
+      )
+    )
+  );
+
+  openScreen("rules", "URL intent rules",
+    el("p", { class: "screen-desc",
+      text: "Every matching rule adds its score. Two rules of one category matching the same part of the URL count " +
+            "once, for the more specific rule. Custom rules come " +
+            "before the built-ins, so a custom rule with the same type and pattern replaces the built-in one. " +
+            "Positive scores count as personal, negative as work, 0 neutralises a pattern." }),
+    categories,
+    list,
+    el("div", { class: "screen-actions" }, addBtn, previewBtn, saveBtn),
+    builtins
+  );
+
+  addBtn.addEventListener("click", () => {
+    ruleDraft.push({ id: newRuleId(), type: "segment", match: "/", score: 1, category: "entertainment", label: "", enabled: true });
+    renderRulesScreen();
+  });
+  previewBtn.addEventListener("click", previewRules);
+  saveBtn.addEventListener("click", async () => {
+    saveBtn.disabled = true;
+    try {
+      const res = await sendMsg({ type: "SAVE_INTENT_RULES", rules: ruleDraft });
+      if (!res?.ok) {
+        ruleErrors = res?.errors || [];
+        renderRulesScreen();
+        showToast("⚠ Fix the highlighted rules", "error");
+        return;
+      }
+      ruleDraft  = res.rules;
+      ruleErrors = [];
+      renderRulesScreen();
+      showToast("✓ Rules saved", "success");
+      loadSuggestions();
+    } catch (err) {
+      showToast("⚠ Save failed: " + (err?.message || String(err)), "error");
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
+
+async function previewRules() {
+  try {
+    const res = await sendMsg({ type: "PREVIEW_INTENT_RULES", rules: ruleDraft });
+    ruleHits  = res?.hits || {};
+    if (activeScreen === "rules") renderRulesScreen();
+  } catch (_) { /* preview is best-effort */ }
+}
+
+async function openRulesScreen() {
+  openScreen("rules", "URL intent rules", el("div", { class: "state-box" }, el("div", { class: "spinner" })));
+  try {
+    const res  = await sendMsg({ type: "GET_INTENT_RULES" });
+    ruleDraft  = (res?.rules || []).map(r => ({ ...r }));
+    ruleMeta   = { builtins: res?.builtins || [], categories: res?.categories || {}, types: res?.types || ["segment"] };
+    ruleErrors = [];
+    ruleHits   = null;
+    renderRulesScreen();
+    previewRules();
+  } catch (err) { renderError(err?.message || String(err)); }
+}
+
+// ── Trash screen ────────────────────────────────────────────────────────────
+const TRASH_RETENTION_OPTIONS = [1, 3, 7, 14, 30, 90];
+
+const TRASH_SOURCE_LABELS = {
+  manual:  "Deleted manually",
+  session: "Session cleanup",
+  policy:  "Cleanup policy",
+};
+
+function makeTrashBatch(batch) {
+  const count    = batch.entries.length;
+  const daysLeft = Math.max(0, Math.ceil((batch.expiresAt - Date.now()) / 86_400_000));
+
+  const restoreBtn = el("button", { class: "btn btn-primary btn-sm", text: "Restore" });
+  const purgeBtn   = el("button", { class: "btn btn-danger btn-sm",  text: "Delete forever" });
+
+  const entryList = el("ul", { class: "item-list" },
+    batch.entries.map(e =>
+      el("li", { class: "history-item" },
+        el("div", { class: "item-info" },
+          el("p", { class: "item-title", text: e.title || "(No title)" }),
+          el("p", { class: "item-url",   text: e.url, title: e.url }),
+          el("p", { class: "item-meta",  text: `${e.visitTimes.length} visit${e.visitTimes.length !== 1 ? "s" : ""}` })
+        )
+      )
+    )
+  );
+
+  const card = el("div", { class: "trash-batch" },
+    el("div", { class: "trash-batch-header" },
+      el("span", { class: "trash-batch-title", text: `${formatDate(batch.deletedAt)} · ${count} page${count !== 1 ? "s" : ""}` }),
+      el("span", { class: "trash-batch-meta",
+        text: `${TRASH_SOURCE_LABELS[batch.source] || batch.source} · expires in ${daysLeft} day${daysLeft !== 1 ? "s" : ""}` })
+    ),
+    el("details", { class: "trash-batch-entries" }, el("summary", { text: "Show pages" }), entryList),
+    el("div", { class: "trash-batch-actions" }, restoreBtn, purgeBtn)
+  );
+
+  restoreBtn.addEventListener("click", async () => {
+    restoreBtn.disabled = true;
+    await restoreBatch(batch.id, openTrashScreen);
+  });
+  purgeBtn.addEventListener("click", async () => {
+    if (!confirm(`Permanently remove ${count} page${count !== 1 ? "s" : ""} from the trash?`)) return;
+    purgeBtn.disabled = true;
+    try {
+      await sendMsg({ type: "DELETE_TRASH", id: batch.id });
+      await openTrashScreen();
+    } catch (_) { purgeBtn.disabled = false; }
+  });
+  return card;
+}
+
+function renderTrashScreen(batches, retentionDays) {
+  const retentionSel = el("select", { class: "field-input" },
+    TRASH_RETENTION_OPTIONS.map(d => el("option", { value: String(d), text: `${d} day${d !== 1 ? "s" : ""}` }))
+  );
+  retentionSel.value = String(retentionDays);
+
+  const emptyBtn = el("button", { class: "btn btn-danger btn-sm", text: "Empty trash" });
+  emptyBtn.disabled = batches.length === 0;
+
+  openScreen("trash", "Trash",
+    el("p", { class: "screen-desc",
+      text: "Deleted history is kept on this device so it can be restored. Restored pages keep their original " +
+            "visit times where the browser allows it; otherwise each comes back as a single visit now." }),
+    el("div", { class: "screen-actions" },
+      el("label", { class: "select-all-label" }, "Keep deleted history for ", retentionSel),
+      emptyBtn
+    ),
+    batches.length === 0
+      ? makeStateBox("🗑", "Trash is empty", null)
+      : batches.map(makeTrashBatch)
+  );
+
+  retentionSel.addEventListener("change", async () => {
+    const res = await sendMsg({ type: "SAVE_SETTINGS", settings: { trashRetentionDays: Number(retentionSel.value) } });
+    if (res?.ok) {
+      showToast(`✓ Trash keeps history for ${retentionSel.value} days`, "success");
+      await openTrashScreen();
+    } else {
+      showToast("⚠ " + (res?.errors?.[0]?.message || "Could not save"), "error");
+    }
+  });
+  emptyBtn.addEventListener("click", async () => {
+    if (!confirm("Permanently remove everything in the trash?")) return;
+    await sendMsg({ type: "DELETE_TRASH" });
+    await openTrashScreen();
+  });
+}
+
+async function openTrashScreen() {
+  openScreen("trash", "Trash", el("div", { class: "state-box" }, el("div", { class: "spinner" })));
+  try {
+    const res = await sendMsg({ type: "GET_TRASH" });
+    renderTrashScreen(res?.batches || [], res?.retentionDays ?? 7);
+  } catch (err) { renderError(err?.message || String(err)); }
+}
+
+// ── Cleanup policies screen ─────────────────────────────────────────────────
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function describePolicyTarget(policy) {
+  const { kind, value } = policy.target;
+  const age = policy.olderThanDays > 0
+    ? `, visits older than ${policy.olderThanDays} day${policy.olderThanDays !== 1 ? "s" : ""}`
+    : "";
+  if (kind === "pref")     return `Domains in ${value} contexts${age}`;
+  if (kind === "category") return `${capitalize(value)} pages${age}`;
+  return `${capitalize(value)}-confidence suggestions and above`;
+}
+
+function describeSchedule(schedule) {
+  if (schedule.kind === "interval") {
+    return `Every ${schedule.everyHours} hour${schedule.everyHours !== 1 ? "s" : ""}`;
+  }
+  return `Every ${WEEKDAYS[schedule.weekday]} at ${schedule.time}`;
+}
+
+function describeRun(run) {
+  if (!run) return "Never run";
+  const kept = run.protected > 0 ? `, ${run.protected} protected kept` : "";
+  if (run.dryRun) {
+    return `Dry run ${formatDate(run.at)} — would clean ${run.matched} page${run.matched !== 1 ? "s" : ""}` + kept;
+  }
+  const errors = run.errored > 0 ? `, ${run.errored} failed` : "";
+  if (run.jobsLeft > 0) {
+    return `Running since ${formatDate(run.at)} — deleted ${run.deleted} of ${run.matched} page${run.matched !== 1 ? "s" : ""} so far` +
+      errors + kept;
+  }
+  return `Last run ${formatDate(run.at)} — deleted ${run.deleted} page${run.deleted !== 1 ? "s" : ""}` +
+    (run.visitsDeleted ? ` (${run.visitsDeleted} visits)` : "") + errors + kept;
+}
+
+function makeRunUrls(run) {
+  if (!run || run.urls.length === 0) return null;
+  const more = run.matched - run.urls.length;
+  return el("details", { class: "rule-preview" },
+    el("summary", { text: run.dryRun ? "Pages that would be cleaned" : "Pages cleaned" }),
+    el("ul", null,
+      run.urls.map(u => el("li", { text: u, title: u })),
+      more > 0 ? el("li", { text: `…and ${more} more` }) : null
+    )
+  );
+}
+
+function makePolicyCard(policy, lastRun, nextRun) {
+  const enabledCb = el("input", { type: "checkbox", title: "Enabled" });
+  enabledCb.checked = policy.enabled;
+
+  const dryRunBtn = el("button", { class: "btn btn-ghost btn-sm",  text: "Dry run" });
+  const runBtn    = el("button", { class: "btn btn-danger btn-sm", text: "Run now" });
+  const removeBtn = el("button", { class: "btn btn-ghost btn-sm",  text: "Remove" });
+  const resultEl  = el("div", { class: "policy-result" },
+    el("p", { class: "policy-line", text: describeRun(lastRun) }),
+    makeRunUrls(lastRun)
+  );
+
+  const card = el("div", { class: `policy-card${policy.enabled ? "" : " disabled"}` },
+    el("div", { class: "policy-header" },
+      el("label", { class: "select-all-label" }, enabledCb, el("strong", { text: policy.name }))
+    ),
+    el("p", { class: "policy-line", text: describePolicyTarget(policy) }),
+    el("p", { class: "policy-line", text: `${describeSchedule(policy.schedule)} · ` +
+      (policy.enabled && nextRun ? `next run ${formatDate(nextRun)}` : "paused") }),
+    resultEl,
+    el("div", { class: "trash-batch-actions" }, dryRunBtn, runBtn, removeBtn)
+  );
+
+  enabledCb.addEventListener("change", async () => {
+    const res = await sendMsg({ type: "SAVE_POLICY", policy: { ...policy, enabled: enabledCb.checked } });
+    if (res?.ok) await openPoliciesScreen();
+    else enabledCb.checked = !enabledCb.checked;
+  });
+
+  dryRunBtn.addEventListener("click", async () => {
+    dryRunBtn.disabled = true;
+    try {
+      const res = await sendMsg({ type: "RUN_POLICY", id: policy.id, dryRun: true });
+      if (!res?.ok) throw new Error(res?.error || "Dry run failed");
+      resultEl.replaceChildren(
+        el("p", { class: "policy-line", text: describeRun(res.run) }),
+        makeRunUrls(res.run) || ""
+      );
+    } catch (err) {
+      showToast("⚠ " + (err?.message || String(err)), "error");
+    } finally {
+      dryRunBtn.disabled = false;
+    }
+  });
+
+  runBtn.addEventListener("click", async () => {
+    if (!confirm(`Run "${policy.name}" now? Deleted history goes to the trash.`)) return;
+    runBtn.disabled = true;
+    try {
+      const res = await sendMsg({ type: "RUN_POLICY", id: policy.id });
+      if (!res?.ok) throw new Error(res?.error || "Run failed");
+      if (res.jobs.length > 0) await openPoliciesScreen();   // shows the run as in progress
+
+      // The deletes run as background jobs; report once they are all through
+      const done    = await Promise.all(res.jobs.map(waitForJob));
+      done.forEach(job => ackJob(job.id));
+      const deleted = done.reduce((n, job) => n + job.deleted, 0);
+      const failed  = done.reduce((n, job) => n + job.failed, 0);
+      showToast(
+        `${failed > 0 ? "⚠" : "✓"} Cleaned ${deleted} page${deleted !== 1 ? "s" : ""}` + (failed > 0 ? `, ${failed} failed` : ""),
+        failed > 0 && deleted === 0 ? "error" : "success"
+      );
+      if (activeScreen === "policies") await openPoliciesScreen();
+      loadSuggestions();
+    } catch (err) {
+      showToast("⚠ " + (err?.message || String(err)), "error");
+      runBtn.disabled = false;
+    }
+  });
+
+  removeBtn.addEventListener("click", async () => {
+    if (!confirm(`Remove the policy "${policy.name}"?`)) return;
+    await sendMsg({ type: "DELETE_POLICY", id: policy.id });
+    await openPoliciesScreen();
+  });
+
+  return card;
+}
+
+function makePolicyForm(categories) {
+  const nameIn    = el("input",  { class: "field-input", type: "text", placeholder: "e.g. Weekly personal sweep" });
+  const kindSel   = el("select", { class: "field-input" },
+    el("option", { value: "pref",       text: "Domains in contexts that are" }),
+    el("option", { value: "category",   text: "Pages in category" }),
+    el("option", { value: "confidence", text: "Suggestions with confidence" })
+  );
+  const valueSel  = el("select", { class: "field-input" });
+  const ageIn     = el("input",  { class: "field-input policy-number", type: "number", min: "0", max: "365", value: "3" });
+  const ageLabel  = el("label",  { class: "policy-field" }, "Older than ", ageIn, " days");
+  const schedSel  = el("select", { class: "field-input" },
+    el("option", { value: "weekly",   text: "Weekly" }),
+    el("option", { value: "interval", text: "Every N hours" })
+  );
+  const dayTime   = el("input",  { class: "field-input", type: "time", value: "18:00" });
+  const daySel    = el("select", { class: "field-input" }, WEEKDAYS.map((d, i) => el("option", { value: String(i), text: d })));
+  daySel.value    = "5";
+  const hoursIn   = el("input",  { class: "field-input policy-number", type: "number", min: "1", max: "720", value: "24" });
+  const weeklyEl  = el("span",   { class: "policy-field" }, daySel, " at ", dayTime);
+  const hoursEl   = el("span",   { class: "policy-field" }, "every ", hoursIn, " hours");
+  const errorsEl  = el("div");
+  const saveBtn   = el("button", { class: "btn btn-primary btn-sm", text: "Add policy" });
+
+  const VALUES = {
+    pref:       [["personal", "Personal"], ["work", "Work"]],
+    category:   categories.map(c => [c, capitalize(c)]),
+    confidence: [["high", "High"], ["medium", "Medium or higher"], ["low", "Any"]],
+  };
+  const syncFields = () => {
+    valueSel.replaceChildren(...VALUES[kindSel.value].map(([v, t]) => el("option", { value: v, text: t })));
+    ageLabel.hidden = kindSel.value === "confidence";
+    weeklyEl.hidden = schedSel.value !== "weekly";
+    hoursEl.hidden  = schedSel.value !== "interval";
+  };
+  kindSel.addEventListener("change", syncFields);
+  schedSel.addEventListener("change", syncFields);
+  syncFields();
+
+  saveBtn.addEventListener("click", async () => {
+    const policy = {
+      name:          nameIn.value,
+      enabled:       true,
+      target:        { kind: kindSel.value, value: valueSel.value },
+      olderThanDays: kindSel.value === "confidence" ? 0 : Number(ageIn.value),
+      schedule:      schedSel.value === "weekly"
+        ? { kind: "weekly", weekday: Number(daySel.value), time: dayTime.value }
+        : { kind: "interval", everyHours: Number(hoursIn.value) },
+    };
+    saveBtn.disabled = true;
+    try {
+      const res = await sendMsg({ type: "SAVE_POLICY", policy });
+      if (!res?.ok) {
+        errorsEl.replaceChildren(...(res?.errors || []).map(e => el("p", { class: "field-error", text: e.message })));
+        return;
+      }
+      showToast(`✓ Policy "${res.policy.name}" added`, "success");
+      await openPoliciesScreen();
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  return el("details", { class: "policy-form" },
+    el("summary", { class: "screen-section-label", text: "New policy" }),
+    el("div", { class: "policy-form-body" },
+      el("label", { class: "policy-field" }, "Name ", nameIn),
+      el("span",  { class: "policy-field" }, kindSel, valueSel),
+      ageLabel,
+      el("span",  { class: "policy-field" }, "Run ", schedSel, weeklyEl, hoursEl),
+      errorsEl,
+      el("div", { class: "screen-actions" }, saveBtn)
+    )
+  );
+}
+
+async function openPoliciesScreen() {
+  openScreen("policies", "Cleanup policies", el("div", { class: "state-box" }, el("div", { class: "spinner" })));
+  try {
+    const res = await sendMsg({ type: "GET_POLICIES" });
+    const policies = res?.policies || [];
+    openScreen("policies", "Cleanup policies",
+      el("p", { class: "screen-desc",
+        text: "Policies clean up history automatically on a schedule. Everything they delete goes to the trash, " +
+              "and domains in a work context are never cleaned by category policies." }),
+      policies.length === 0
+        ? makeStateBox("⏰", "No policies yet", "Add one below, then use Dry run to check what it would clean.")
+        : policies.map(p => makePolicyCard(p, res.lastRuns?.[p.id] || null, res.nextRuns?.[p.id] || null)),
+      makePolicyForm(res?.categories || [])
+    );
+  } catch (err) { renderError(err?.message || String(err)); }
+}
+
+// ── Adaptive memory screen ──────────────────────────────────────────────────
+function makeMemoryRow(entry, threshold) {
+  const revertBtn = el("button", {
+    class: "btn btn-ghost btn-sm",
+    text:  entry.elevated ? "Revert" : "Forget",
+    title: `Forget every ignore and delete recorded for ${entry.domain}`,
+  });
+  revertBtn.addEventListener("click", async () => {
+    revertBtn.disabled = true;
+    try {
+      const res = await sendMsg({ type: "REVERT_ADAPTIVE_DOMAIN", domain: entry.domain });
+      if (!res?.ok) throw new Error(res?.error || "Could not update memory");
+      showToast(`✓ ${entry.domain} is scored normally again`, "success");
+      renderMemoryScreen(res.memory);
+    } catch (err) {
+      revertBtn.disabled = false;
+      showToast("⚠ " + (err?.message || err), "error");
+    }
+  });
+
+  const counts = `${entry.ignores} ignore${entry.ignores !== 1 ? "s" : ""}` +
+    (entry.deletes > 0 ? `, ${entry.deletes} delete${entry.deletes !== 1 ? "s" : ""}` : "");
+  return el("div", { class: "memory-row" },
+    el("div", { class: "memory-info" },
+      el("span", { class: "memory-domain", text: entry.domain }),
+      el("span", { class: "memory-meta",
+        text: `Weight ${formatWeight(entry.weight)} of ${threshold} · ${counts} · last ignored ${formatDate(entry.lastIgnoredAt)}` })
+    ),
+    revertBtn
+  );
+}
+
+function renderMemoryScreen(memory) {
+  const { domains = [], threshold, halfLifeDays } = memory || {};
+  const elevated = domains.filter(d => d.elevated);
+  const building = domains.filter(d => !d.elevated);
+
+  openScreen("memory", "Adaptive memory",
+    el("p", { class: "screen-desc",
+      text: `Domains you keep ignoring are treated as work once their weight reaches ${threshold}. ` +
+            `Each ignore counts half as much after ${halfLifeDays} day${halfLifeDays !== 1 ? "s" : ""}, ` +
+            "and deleting a domain's pages counts against it." }),
+    domains.length === 0
+      ? makeStateBox("🧠", "Nothing remembered yet", "Ignoring a suggestion records its domains here.")
+      : [
+          el("p", { class: "screen-section-label", text: "Treated as work" }),
+          elevated.length === 0
+            ? el("p", { class: "screen-desc", text: "No domain has reached the threshold." })
+            : elevated.map(d => makeMemoryRow(d, threshold)),
+          building.length > 0 ? el("p", { class: "screen-section-label", text: "Building up" }) : null,
+          building.map(d => makeMemoryRow(d, threshold)),
+        ]
+  );
+}
+
+async function openMemoryScreen() {
+  openScreen("memory", "Adaptive memory", el("div", { class: "state-box" }, el("div", { class: "spinner" })));
+  try {
+    renderMemoryScreen(await sendMsg({ type: "GET_ADAPTIVE_MEMORY" }));
+  } catch (err) { renderError(err?.message || String(err)); }
+}
+
 // ── Search ──────────────────────────────────────────────────────────────────
-async function runSearch() {
+/**
+ * Lists query parse errors under the search box; clicking one selects the
+ * offending part of the query.
+ * @param {Array<{ start: number, end: number, message: string }>} errors
+ */
+function renderQueryErrors(errors) {
+  const lead = searchInput.value.length - searchInput.value.trimStart().length;   // positions are in the trimmed query
+  searchInput.classList.toggle("invalid", errors.length > 0);
+  queryErrorsEl.hidden = errors.length === 0;
+  queryErrorsEl.replaceChildren(...errors.map(err => {
+    const start = err.start + lead;
+    const end   = err.end + lead;
+    const li    = el("li", null, el("code", { text: searchInput.value.slice(start, end) }), " ", err.message);
+    li.addEventListener("click", () => {
+      searchInput.focus();
+      searchInput.setSelectionRange(start, end);
+    });
+    return li;
+  }));
+}
+
+/** Stops a streaming search; the worker stops walking history when the port closes. */
+function stopSearchStream() {
+  if (!searchPort) return;
+  searchPort.disconnect();
+  searchPort             = null;
+  btnCancelSearch.hidden = true;
+}
+
+/** Clears the result list, its selection and collapsed groups. */
+function clearResults() {
+  allGroups   = [];
+  resultItems = [];
+  shownGroups = [];
+  virtualList = null;
+  selectedUrls.clear();
+  collapsedGroups.clear();
+  expandedItems.clear();
+}
+
+/**
+ * Streams the query's results over a "search" port, re-laying out the list
+ * as each batch arrives.
+ * @returns {Promise<void>} settles when the search finishes, fails or is replaced
+ */
+function runSearch() {
   const query = searchInput.value.trim();
   lastQuery   = query;
+  reviewSession = null;
+  closeScreen();
+  stopSearchStream();
+  clearResults();
 
   suggestionsSection.hidden = true;
+  renderQueryErrors([]);
   renderLoading();
   toolbar.classList.remove("visible");
-  btnSearch.disabled = true;
+  scrollArea.scrollTop = 0;
 
-  try {
-    const { results = [] } = await sendMsg({ type: "SEARCH_HISTORY", query });
-    allGroups = groupByDomain(results);
-    if (results.length === 0) {
-      renderEmpty(query);
-    } else {
-      renderGroups(allGroups);
-      setResultSummary(results.length, allGroups.length);
-      toolbar.classList.add("visible");
-      updateDeleteBtn();
-    }
-  } catch (err) {
-    renderError(err?.message || String(err));
-  } finally {
-    btnSearch.disabled = false;
-  }
+  const items = resultItems;
+  const port  = api.runtime.connect({ name: "search" });
+  searchPort  = port;
+  btnCancelSearch.hidden = false;
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      if (searchPort === port) {
+        searchPort             = null;
+        btnCancelSearch.hidden = true;
+        port.disconnect();
+      }
+      resolve();
+    };
+
+    port.onMessage.addListener((msg) => {
+      if (searchPort !== port) return;
+      if (msg.type === "BATCH") {
+        items.push(...msg.results);
+        allGroups = regroup(items);
+        renderGroups(allGroups);
+        setSearchProgress(msg.found);
+        toolbar.classList.add("visible");
+        updateDeleteBtn();
+      } else if (msg.type === "DONE") {
+        if (items.length === 0) {
+          toolbar.classList.remove("visible");
+          renderEmpty(query);
+        } else {
+          setResultSummary(items.length, allGroups.length, msg.cancelled);
+        }
+        finish();
+      } else if (msg.type === "ERRORS") {
+        renderQueryErrors(msg.errors);
+        resultsEl.replaceChildren(makeStateBox("⌨️", "Check the search query", "Click an error above to jump to it."));
+        finish();
+      } else if (msg.type === "ERROR") {
+        toolbar.classList.remove("visible");
+        renderError(msg.error);
+        finish();
+      }
+    });
+
+    // The worker went away mid-search (e.g. the extension reloaded)
+    port.onDisconnect.addListener(() => {
+      if (searchPort !== port) return resolve();
+      if (items.length > 0) setResultSummary(items.length, allGroups.length, true);
+      else renderError("The search was interrupted.");
+      finish();
+    });
+
+    port.postMessage({ type: "START", query });
+  });
 }
 
 // ── Delete ──────────────────────────────────────────────────────────────────
-async function doDelete(urls) {
+/**
+ * Asks whether to delete only the visits inside a session (or day) or every
+ * visit to the selected pages.
+ * @param {number} count
+ * @param {{ start: number, end: number, label?: string }} session - `label` names the window option.
+ * @returns {Promise<"session"|"all"|null>} null when cancelled
+ */
+function askDeleteScope(count, session) {
+  return new Promise((resolve) => {
+    const sessionRadio = el("input", { type: "radio", name: "delete-scope", value: "session" });
+    const allRadio     = el("input", { type: "radio", name: "delete-scope", value: "all" });
+    sessionRadio.checked = true;
+
+    const cancelBtn = el("button", { class: "btn btn-ghost btn-sm",  text: "Cancel" });
+    const deleteBtn = el("button", { class: "btn btn-danger btn-sm", text: "Delete" });
+
+    const dialog = el("dialog", { class: "scope-dialog" },
+      el("p", { class: "scope-dialog-title", text: `Delete ${count} history item${count !== 1 ? "s" : ""}?` }),
+      el("label", { class: "scope-option" },
+        sessionRadio,
+        el("span", null,
+          el("strong", { text: session.label || "This session only" }),
+          el("span", { class: "scope-option-desc",
+            text: `${formatSessionTime(session.start, session.end)} — other visits to these pages are kept` })
+        )
+      ),
+      el("label", { class: "scope-option" },
+        allRadio,
+        el("span", null,
+          el("strong", { text: "All time" }),
+          el("span", { class: "scope-option-desc", text: "Every visit to these pages is removed" })
+        )
+      ),
+      el("div", { class: "scope-dialog-actions" }, cancelBtn, deleteBtn)
+    );
+
+    const close = (value) => {
+      dialog.close();
+      dialog.remove();
+      resolve(value);
+    };
+    cancelBtn.addEventListener("click", () => close(null));
+    deleteBtn.addEventListener("click", () => close(allRadio.checked ? "all" : "session"));
+    dialog.addEventListener("cancel", (e) => { e.preventDefault(); close(null); });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
+
+/** Removes deleted URLs from the review list without re-querying history. */
+function dropFromReview(urls) {
+  const gone      = new Set(urls);
+  const remaining = resultItems.filter(i => !gone.has(i.url));
+  for (const url of urls) selectedUrls.delete(url);
+  resultItems = remaining;
+  allGroups   = regroup(remaining);
+  if (allGroups.length === 0) {
+    toolbar.classList.remove("visible");
+    renderEmpty("this session");
+  } else {
+    renderGroups(allGroups);
+    setReviewSummary(remaining.length);
+  }
+}
+
+/**
+ * Restores a trash batch, puts the previous view back and reloads the suggestions.
+ * @param {string} trashId
+ * @param {() => Promise<void>|void} restoreView
+ */
+function restoreBatch(trashId, restoreView) {
+  return undoDelete(trashId, async () => {
+    await restoreView();
+    await loadSuggestions();
+  });
+}
+
+/**
+ * @param {string[]} urls
+ * @param {{ start: number, end: number, label?: string }|null} [span] - Time window the
+ *   delete can be limited to: the reviewed session, or a session or day group.
+ */
+async function doDelete(urls, span = reviewSession) {
   if (urls.length === 0) return;
-  if (!confirm(`Delete ${urls.length} history item${urls.length !== 1 ? "s" : ""}?`)) return;
+
+  let range = null;
+  if (span) {
+    const scope = await askDeleteScope(urls.length, span);
+    if (!scope) return;
+    if (scope === "session") range = { start: span.start, end: span.end };
+  } else if (!confirm(`Delete ${urls.length} history item${urls.length !== 1 ? "s" : ""}?`)) {
+    return;
+  }
 
   btnDeleteSel.disabled    = true;
   btnDeleteSel.textContent = "Deleting…";
+
+  // What to put back on screen if the delete is undone
+  const reviewedItems = resultItems;
+  const restoreView   = reviewSession
+    ? () => {
+        resultItems = reviewedItems;
+        allGroups   = regroup(resultItems);
+        renderGroups(allGroups);
+        setReviewSummary(resultItems.length);
+        toolbar.classList.add("visible");
+        updateDeleteBtn();
+      }
+    : runSearch;
+
   try {
-    const res = await sendMsg({ type: "DELETE_ITEMS", urls });
-    showToast(`✓ Deleted ${res?.deleted ?? urls.length} item${urls.length !== 1 ? "s" : ""}`, "success");
-    if (lastQuery !== null) await runSearch();
+    // Deleting from a reviewed suggestion teaches the learned model these pages are personal
+    const res = await sendMsg({ type: "DELETE_ITEMS", urls, range, titles: titlesFor(urls, resultItems), learn: !!reviewSession });
+    if (!res?.ok) throw new Error(res?.error || "The delete could not be queued");
+    const job = await waitForJob(res.job);
+    ackJob(job.id);
+
+    const undo = job.trashId
+      ? { label: "Undo", onClick: () => restoreBatch(job.trashId, restoreView) }
+      : null;
+    showToast(describeJob(job, reviewSession ? "from this session" : "from that time"), jobFailed(job) ? "error" : "success", undo);
+
+    if (reviewSession) {
+      // Failed pages stay up for another try; protected ones were never deleted
+      const details = await sendMsg({ type: "GET_DELETE_JOB", id: job.id });
+      dropFromReview((details?.items || [])
+        .filter(i => i.status === "deleted" || i.status === "skipped")
+        .map(i => i.url));
+    } else if (lastQuery !== null) await runSearch();
     await loadSuggestions();
   } catch (err) {
     showToast("⚠ Delete failed: " + (err?.message || String(err)), "error");
@@ -524,9 +1869,172 @@ async function doDelete(urls) {
   }
 }
 
+// ── Export ──────────────────────────────────────────────────────────────────
+/**
+ * Asks which format to export in.
+ * @param {number} count - Pages being exported.
+ * @returns {Promise<string|null>} an EXPORT_FORMATS key, or null when cancelled
+ */
+function askExportFormat(count) {
+  return new Promise((resolve) => {
+    const radios = Object.entries(EXPORT_FORMATS).map(([format, { label, description }]) => ({
+      format,
+      label,
+      description,
+      input: el("input", { type: "radio", name: "export-format", value: format }),
+    }));
+    radios[0].input.checked = true;
+
+    const cancelBtn = el("button", { class: "btn btn-ghost btn-sm",   text: "Cancel" });
+    const exportBtn = el("button", { class: "btn btn-primary btn-sm", text: "Export" });
+    const dialog = el("dialog", { class: "scope-dialog" },
+      el("p", { class: "scope-dialog-title", text: `Export ${count} page${count !== 1 ? "s" : ""}` }),
+      radios.map(r => el("label", { class: "scope-option" },
+        r.input,
+        el("span", null,
+          el("strong", { text: r.label }),
+          el("span", { class: "scope-option-desc", text: r.description })
+        )
+      )),
+      el("div", { class: "scope-dialog-actions" }, cancelBtn, exportBtn)
+    );
+
+    const close = (value) => {
+      dialog.close();
+      dialog.remove();
+      resolve(value);
+    };
+    cancelBtn.addEventListener("click", () => close(null));
+    exportBtn.addEventListener("click", () => close(radios.find(r => r.input.checked).format));
+    dialog.addEventListener("cancel", (e) => { e.preventDefault(); close(null); });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
+
+/** What the result list is showing, as an export title. */
+function resultsTitle() {
+  if (reviewSession) return `Reviewed session, ${formatSessionTime(reviewSession.start, reviewSession.end)}`;
+  return lastQuery ? `History search: ${lastQuery}` : "History search";
+}
+
+/**
+ * Downloads groups of history items with their domain's context.
+ * @param {Array<{ label?: string, items: object[] }>} groups - Result groups, or hand-built ones.
+ * @param {string} title - Heading of the export.
+ */
+async function exportGroups(groups, title) {
+  const count = new Set(groups.flatMap(g => g.items).flatMap(itemUrls)).size;
+  if (count === 0) {
+    showToast("Nothing to export");
+    return;
+  }
+  const format = await askExportFormat(count);
+  if (!format) return;
+
+  const doc = buildExport({
+    title,
+    groups: groups.map(g => ({ label: groupLabel(g), items: g.items })),
+    prefOf: (url) => {
+      try { return getDomainContext(new URL(url).hostname); } catch (_) { return null; }
+    },
+  });
+  const file = serializeExport(format, doc);
+  downloadText(file.filename, file.mime, file.text);
+  showToast(`✓ Exported ${doc.pageCount} page${doc.pageCount !== 1 ? "s" : ""} as ${EXPORT_FORMATS[format].label}`, "success");
+}
+
+// ── Deletion jobs ───────────────────────────────────────────────────────────
+// Deletes run as jobs in the background worker (ui.js keeps track of them).
+// doDelete waits for its own job and toasts the result; a job that finished
+// while no popup was waiting for it (the popup was closed mid-delete) gets
+// the banner above the results until it is dismissed.
+function renderJobStatus() {
+  const all     = [...jobs.values()];
+  const running = all.filter(j => j.status !== "done");
+
+  if (running.length > 0) {
+    jobStatus.className = "job-status";
+    jobStatus.replaceChildren(...makeJobProgress(running));
+    jobStatus.hidden = false;
+    return;
+  }
+
+  const finished = all.sort((a, b) => b.finishedAt - a.finishedAt)[0];
+  if (!finished) {
+    jobStatus.hidden = true;
+    jobStatus.replaceChildren();
+    return;
+  }
+
+  const refresh    = () => (!activeScreen && lastQuery ? runSearch() : undefined);
+  const undoBtn    = finished.trashId ? el("button", { class: "btn btn-ghost btn-sm", text: "Undo" }) : null;
+  const detailsBtn = el("button", { class: "btn btn-ghost btn-sm", text: "Details" });
+  const dismissBtn = el("button", { class: "btn-clear-x job-dismiss", "aria-label": "Dismiss", text: "✕" });
+  jobStatus.className = "job-status" + (jobFailed(finished) ? " failed" : "");
+  jobStatus.replaceChildren(
+    el("span", { class: "job-status-text", text: describeJob(finished), title: `Finished ${formatDate(finished.finishedAt)}` }),
+    undoBtn, detailsBtn, dismissBtn
+  );
+  jobStatus.hidden = false;
+
+  undoBtn?.addEventListener("click", async () => {
+    await ackJob(finished.id);
+    await restoreBatch(finished.trashId, refresh);
+  });
+  detailsBtn.addEventListener("click", () => openJobScreen(finished.id));
+  dismissBtn.addEventListener("click", () => ackJob(finished.id));
+}
+
+const JOB_ITEM_SECTIONS = [
+  { status: "failed",    label: "Failed" },
+  { status: "protected", label: "Kept — protected domain" },
+  { status: "skipped",   label: "No visits in the session" },
+  { status: "deleted",   label: "Deleted" },
+];
+
+function renderJobScreen(job, items) {
+  openScreen("job", "Delete result",
+    el("p", { class: "screen-desc", text: `${describeJob(job)} · finished ${formatDate(job.finishedAt)}` }),
+    JOB_ITEM_SECTIONS.map(({ status, label }) => {
+      const matching = items.filter(i => i.status === status);
+      if (matching.length === 0) return null;
+      const list = el("ul", { class: "item-list job-items" },
+        matching.map(i =>
+          el("li", { class: "history-item" },
+            el("div", { class: "item-info" },
+              el("p", { class: "item-url",  text: i.url, title: i.url }),
+              i.error ? el("p", { class: "item-meta job-item-error", text: i.error }) : null,
+              i.visitsDeleted != null
+                ? el("p", { class: "item-meta", text: `${i.visitsDeleted} visit${i.visitsDeleted !== 1 ? "s" : ""}` })
+                : null
+            )
+          )
+        )
+      );
+      return [el("p", { class: "screen-section-label", text: `${label} (${matching.length})` }), list];
+    })
+  );
+}
+
+async function openJobScreen(id) {
+  openScreen("job", "Delete result", el("div", { class: "state-box" }, el("div", { class: "spinner" })));
+  try {
+    const res = await sendMsg({ type: "GET_DELETE_JOB", id });
+    if (!res?.job) throw new Error(res?.error || "That delete is no longer recorded");
+    await ackJob(id);
+    renderJobScreen(res.job, res.items);
+  } catch (err) { renderError(err?.message || String(err)); }
+}
+
 // ── Reset to home ────────────────────────────────────────────────────────────
 function resetToHome() {
-  allGroups = [];
+  closeScreen();
+  stopSearchStream();
+  clearResults();
+  renderQueryErrors([]);
+  reviewSession = null;
   lastQuery = "";
   toolbar.classList.remove("visible");
   resultsEl.replaceChildren(
@@ -544,11 +2052,42 @@ function resetToHome() {
 btnSearch.addEventListener("click", runSearch);
 
 searchInput.addEventListener("keydown",  (e) => { if (e.key === "Enter") runSearch(); });
-searchInput.addEventListener("input",    ()  => { btnClearSearch.hidden = searchInput.value.length === 0; });
+searchInput.addEventListener("input",    ()  => { btnClearSearch.hidden = searchInput.value.length === 0; renderQueryErrors([]); });
 btnClearSearch.addEventListener("click", ()  => { searchInput.value = ""; btnClearSearch.hidden = true; resetToHome(); });
 btnClear.addEventListener("click",       ()  => { searchInput.value = ""; btnClearSearch.hidden = true; resetToHome(); });
 btnDeleteSel.addEventListener("click",   ()  => doDelete(getCheckedUrls()));
+btnExport.addEventListener("click",      ()  => exportGroups(allGroups, resultsTitle()));
+btnCancelSearch.addEventListener("click", () => searchPort?.postMessage({ type: "CANCEL" }));
+scrollArea.addEventListener("scroll", scheduleRowRender, { passive: true });
+btnOpenRules.addEventListener("click",   openRulesScreen);
+btnOpenTrash.addEventListener("click",   openTrashScreen);
+btnOpenPolicies.addEventListener("click", openPoliciesScreen);
+btnOpenMemory.addEventListener("click",   openMemoryScreen);
+btnOpenSettings.addEventListener("click", () => api.runtime.openOptionsPage());
+btnOpenDashboard.addEventListener("click", () => api.tabs.create({ url: api.runtime.getURL("dashboard/dashboard.html") }));
+contextFilterSel.addEventListener("change", () => {
+  contextFilter = contextFilterSel.value;
+  renderGroups(allGroups);
+  updateDeleteBtn();
+});
+groupModeSel.addEventListener("change", () => {
+  groupMode = groupModeSel.value;
+  collapsedGroups.clear();
+  if (resultItems.length === 0) return;
+  allGroups = regroup(resultItems);
+  renderGroups(allGroups);
+  if (reviewSession)    setReviewSummary(resultItems.length);
+  else if (!searchPort) setResultSummary(resultItems.length, allGroups.length);
+  updateDeleteBtn();
+});
+
+// Sensitivity changes on the options page re-run detection while the popup is open
+api.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.settings && !activeScreen && !lastQuery && !reviewSession) loadSuggestions();
+});
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 searchInput.focus();
+renderGroupModes();
+connectJobs(renderJobStatus);
 loadSuggestions();
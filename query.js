@@ -0,0 +1,298 @@
+/**
+ * query.js
+ * Search query language used by SEARCH_HISTORY.
+ *
+ *   youtube.com path:/watch -title:music on:tuesday
+ *   site:github.com "code review" -site:gist.github.com days:14
+ *
+ *   site:host        the hostname or any subdomain
+ *   title:text       the title contains text
+ *   path:text        the URL path contains text ("path:/watch")
+ *   after:date       last visited on or after the date
+ *   before:date      last visited before the date
+ *   on:date          last visited on the date
+ *   days:N           last visited in the past N days
+ *   category:name    a personal rule in that category counted, or a known site in it
+ *   pref:work|personal   the domain's context counts as work / personal
+ *   "a phrase"       the URL or title contains the exact phrase
+ *   /regex/          the URL or title matches (always case-insensitive)
+ *   word             the URL or title contains the word
+ *
+ * A leading "-" negates any term except the date ones. Values can be quoted
+ * (title:"release notes"). Dates are YYYY-MM-DD, today, yesterday or a
+ * weekday name, meaning the last one before today. Terms must all match,
+ * except that several site:, category: or pref: terms match any of them.
+ *
+ * The history API only understands free text and a time window, so
+ * parseQuery says what to ask it for and everything else runs afterwards
+ * as a post-filter through matchesQuery. Pure module: no browser APIs.
+ */
+
+import { CONTEXT_POLARITIES } from "./contexts.js";
+
+export const QUERY_OPERATORS = ["site", "title", "path", "after", "before", "on", "days", "category", "pref"];
+
+const DAY_MS       = 24 * 60 * 60 * 1000;
+const DATE_RE      = /^(\d{4})-(\d{2})-(\d{2})$/;
+const CATEGORY_RE  = /^[a-z][a-z0-9_-]*$/;
+const REGEX_RE     = /\/((?:\\.|[^/\\])+)\/([a-z]*)(?=\s|$)/y;
+const DATE_OPS     = ["after", "before", "on", "days"];
+const ANY_OF_OPS   = ["site", "category", "pref"];   // several positive terms match any of them
+const WEEKDAYS     = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MAX_DAYS     = 3650;
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+/**
+ * Start of the local day a date value names, or null when it isn't one.
+ * @param {string} value
+ * @param {number} now
+ * @returns {number|null}
+ */
+function parseDay(value, now) {
+  const v     = value.toLowerCase();
+  const today = startOfDay(now);
+  if (v === "today")     return today;
+  if (v === "yesterday") return startOfDay(today - DAY_MS / 2);
+
+  const weekday = WEEKDAYS.findIndex(d => d === v || d.slice(0, 3) === v);
+  if (weekday !== -1) {
+    const back = (new Date(today).getDay() - weekday + 7) % 7 || 7;
+    return startOfDay(today - back * DAY_MS + DAY_MS / 2);
+  }
+
+  const m = DATE_RE.exec(v);
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return date.getMonth() === Number(m[2]) - 1 ? date.getTime() : null;
+}
+
+/** Reads a double-quoted string starting at `i`; null when it is never closed. */
+function readQuoted(input, i) {
+  const close = input.indexOf("\"", i + 1);
+  return close === -1 ? null : { value: input.slice(i + 1, close), end: close + 1 };
+}
+
+function readBare(input, i) {
+  let end = i;
+  while (end < input.length && !/\s/.test(input[end])) end++;
+  return { value: input.slice(i, end), end };
+}
+
+/**
+ * Splits the input into terms, keeping each term's position for error messages.
+ * @returns {{ tokens: Array<{ kind: "word"|"phrase"|"regex"|"op", op?: string, value: string, flags?: string,
+ *   negate: boolean, start: number, end: number }>, errors: object[] }}
+ */
+function tokenize(input) {
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) { i++; continue; }
+
+    const start  = i;
+    const negate = input[i] === "-" && i + 1 < input.length && !/\s/.test(input[i + 1]);
+    if (negate) i++;
+
+    if (input[i] === "\"") {
+      const quoted = readQuoted(input, i);
+      if (!quoted) {
+        errors.push({ start, end: input.length, message: "Missing closing quote." });
+        break;
+      }
+      tokens.push({ kind: "phrase", value: quoted.value, negate, start, end: quoted.end });
+      i = quoted.end;
+      continue;
+    }
+
+    if (input[i] === "/") {
+      REGEX_RE.lastIndex = i;
+      const m = REGEX_RE.exec(input);
+      if (m) {
+        tokens.push({ kind: "regex", value: m[1], flags: m[2], negate, start, end: i + m[0].length });
+        i += m[0].length;
+        continue;
+      }
+    }
+
+    const op = /^([a-z]+):/i.exec(input.slice(i));
+    if (op && QUERY_OPERATORS.includes(op[1].toLowerCase())) {
+      const valueAt = i + op[0].length;
+      const read    = input[valueAt] === "\"" ? readQuoted(input, valueAt) : readBare(input, valueAt);
+      if (!read) {
+        errors.push({ start, end: input.length, message: "Missing closing quote." });
+        break;
+      }
+      tokens.push({ kind: "op", op: op[1].toLowerCase(), value: read.value, negate, start, end: read.end });
+      i = read.end;
+      continue;
+    }
+
+    const word = readBare(input, i);
+    tokens.push({ kind: "word", value: word.value, negate, start, end: word.end });
+    i = word.end;
+  }
+
+  return { tokens, errors };
+}
+
+/**
+ * Parses a search box query.
+ * @param {string} input
+ * @param {number} [now]
+ * @returns {{ query: { text: string, startTime: number|null, endTime: number|null,
+ *   terms: Array<{ op: string, value: string|RegExp, negate: boolean }> },
+ *   errors: Array<{ start: number, end: number, message: string }> }}
+ *   `text` and the time window go to the history API; `terms` are post-filters.
+ */
+export function parseQuery(input, now = Date.now()) {
+  const source = String(input || "");
+  const { tokens, errors } = tokenize(source);
+  const text   = [];
+  const terms  = [];
+  let startTime = null;
+  let endTime   = null;
+  let lastBound = null;   // token that last narrowed the window, blamed for an empty one
+
+  const fail    = (t, message) => errors.push({ start: t.start, end: t.end, message });
+  const narrow  = (t, start, end) => {
+    if (start != null) startTime = startTime == null ? start : Math.max(startTime, start);
+    if (end   != null) endTime   = endTime   == null ? end   : Math.min(endTime, end);
+    lastBound = t;
+  };
+
+  for (const t of tokens) {
+    if (t.kind === "word") {
+      if (t.negate) terms.push({ op: "text", value: t.value.toLowerCase(), negate: true });
+      else          text.push(t.value);
+      continue;
+    }
+    if (t.kind === "phrase") {
+      if (!t.value.trim()) { fail(t, "Empty phrase."); continue; }
+      if (!t.negate) text.push(t.value);
+      terms.push({ op: "text", value: t.value.toLowerCase(), negate: t.negate });
+      continue;
+    }
+    if (t.kind === "regex") {
+      try {
+        const flags = [...new Set(t.flags.replace(/[gy]/g, "") + "i")].join("");
+        terms.push({ op: "regex", value: new RegExp(t.value, flags), negate: t.negate });
+      } catch (err) {
+        fail(t, `Invalid regex: ${err.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, "")}`);
+      }
+      continue;
+    }
+
+    const value = t.value.trim();
+    const label = `${t.op}:`;
+    if (!value) { fail(t, `${label} needs a value.`); continue; }
+    if (t.negate && DATE_OPS.includes(t.op)) { fail(t, `${label} can't be negated.`); continue; }
+
+    switch (t.op) {
+      case "site":
+        terms.push({ op: "site", value: value.toLowerCase().replace(/^www\./, "").replace(/\.$/, ""), negate: t.negate });
+        break;
+      case "title":
+      case "path":
+        terms.push({ op: t.op, value: value.toLowerCase(), negate: t.negate });
+        break;
+      case "category":
+        if (!CATEGORY_RE.test(value.toLowerCase())) { fail(t, "Category must be a lowercase name like entertainment."); break; }
+        terms.push({ op: "category", value: value.toLowerCase(), negate: t.negate });
+        break;
+      case "pref":
+        if (!CONTEXT_POLARITIES.includes(value.toLowerCase())) { fail(t, "pref: must be work or personal."); break; }
+        terms.push({ op: "pref", value: value.toLowerCase(), negate: t.negate });
+        break;
+      case "days": {
+        const days = Number(value);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) { fail(t, `days: must be a whole number from 1 to ${MAX_DAYS}.`); break; }
+        narrow(t, now - days * DAY_MS, null);
+        break;
+      }
+      default: {
+        const day = parseDay(value, now);
+        if (day == null) { fail(t, `${label} needs YYYY-MM-DD, today, yesterday or a weekday.`); break; }
+        const next = startOfDay(day + DAY_MS * 1.5);
+        if (t.op === "after")  narrow(t, day, null);
+        if (t.op === "before") narrow(t, null, day);
+        if (t.op === "on")     narrow(t, day, next);
+      }
+    }
+  }
+
+  // A single site also narrows the API search, so its pages aren't crowded out of the result cap
+  const sites = terms.filter(t => t.op === "site" && !t.negate);
+  if (sites.length === 1) text.push(sites[0].value);
+
+  if (startTime != null && endTime != null && startTime >= endTime && lastBound) {
+    fail(lastBound, "No day matches all the date filters.");
+  }
+
+  errors.sort((a, b) => a.start - b.start);
+  return { query: { text: text.join(" "), startTime, endTime, terms }, errors };
+}
+
+/** Terms the history API can't apply itself. */
+export function hasPostFilters(query) {
+  return query.terms.length > 0;
+}
+
+function matchesTerm(term, page, lookups) {
+  switch (term.op) {
+    case "text":     return page.haystack.includes(term.value);
+    case "regex":    return term.value.test(page.url) || term.value.test(page.title);
+    case "site":     return page.host === term.value || page.host.endsWith("." + term.value);
+    case "title":    return page.title.toLowerCase().includes(term.value);
+    case "path":     return page.path.includes(term.value);
+    case "category": return lookups.categories().has(term.value);
+    case "pref":     return lookups.pref() === term.value;
+    default:         return false;
+  }
+}
+
+/**
+ * Whether a history item passes the query's post-filters.
+ * @param {{ url: string, title?: string }} item
+ * @param {object} query - From parseQuery.
+ * @param {{ categoriesOf: (url: string) => Set<string>, prefOf: (hostname: string) => string|null }} lookups
+ * @returns {boolean}
+ */
+export function matchesQuery(item, query, { categoriesOf, prefOf }) {
+  let parsed;
+  try { parsed = new URL(item.url); } catch (_) { parsed = null; }
+  const title = item.title || "";
+  const host  = (parsed?.hostname || "").replace(/^www\./, "");
+  const page  = {
+    url:      item.url,
+    title,
+    host,
+    path:     (parsed?.pathname || "").toLowerCase(),
+    haystack: `${item.url}\n${title}`.toLowerCase(),
+  };
+
+  let categories;
+  let pref;
+  const lookups = {
+    categories: () => (categories ??= categoriesOf(item.url)),
+    pref:       () => (pref === undefined ? (pref = parsed ? prefOf(parsed.hostname) : null) : pref),
+  };
+
+  const anyOf = {};
+  for (const term of query.terms) {
+    const hit = matchesTerm(term, page, lookups);
+    if (term.negate) {
+      if (hit) return false;
+    } else if (ANY_OF_OPS.includes(term.op)) {
+      anyOf[term.op] = anyOf[term.op] || hit;
+    } else if (!hit) {
+      return false;
+    }
+  }
+  return Object.values(anyOf).every(Boolean);
+}
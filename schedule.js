@@ -0,0 +1,160 @@
+/**
+ * schedule.js
+ * The user's work schedule, used by the timing layer of the detection engine.
+ *
+ *   {
+ *     days:     { "0": [], "1": [{ start: "09:00", end: "18:00" }], … },  // by weekday, 0 = Sunday
+ *     breaks:   [{ start: "12:00", end: "13:00" }],                      // off-time on every working day
+ *     holidays: ["2026-12-25"],                                          // local dates with no work
+ *   }
+ *
+ * A range whose end is not after its start runs past midnight into the next
+ * day (e.g. a 22:00–06:00 night shift belongs to the day it starts on).
+ */
+
+export const DEFAULT_WORK_SCHEDULE = {
+  days: {
+    0: [],
+    1: [{ start: "09:00", end: "18:00" }],
+    2: [{ start: "09:00", end: "18:00" }],
+    3: [{ start: "09:00", end: "18:00" }],
+    4: [{ start: "09:00", end: "18:00" }],
+    5: [{ start: "09:00", end: "18:00" }],
+    6: [],
+  },
+  breaks:   [],
+  holidays: [],
+};
+
+export const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const TIME_RE          = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_RE          = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DAY_RANGES   = 4;
+const MAX_BREAKS       = 6;
+const MAX_HOLIDAYS     = 200;
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/** Local calendar date as YYYY-MM-DD. */
+export function localDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function validateRange(range, where, errors, { allowOvernight }) {
+  const start = range?.start;
+  const end   = range?.end;
+  if (!TIME_RE.test(start || "") || !TIME_RE.test(end || "")) {
+    errors.push({ field: "workSchedule", message: `${where}: times must be HH:MM.` });
+    return null;
+  }
+  if (start === end) {
+    errors.push({ field: "workSchedule", message: `${where}: start and end can't be the same.` });
+    return null;
+  }
+  if (!allowOvernight && toMinutes(end) < toMinutes(start)) {
+    errors.push({ field: "workSchedule", message: `${where}: must end after it starts.` });
+    return null;
+  }
+  return { start, end };
+}
+
+/**
+ * Validates and normalises a work schedule.
+ * @param {any} input
+ * @returns {{ schedule: object, errors: Array<{ field: string, message: string }> }}
+ */
+export function validateWorkSchedule(input) {
+  const errors = [];
+  const raw    = input && typeof input === "object" ? input : {};
+  const days   = {};
+
+  for (let day = 0; day < 7; day++) {
+    const ranges = Array.isArray(raw.days?.[day]) ? raw.days[day] : [];
+    if (ranges.length > MAX_DAY_RANGES) {
+      errors.push({ field: "workSchedule", message: `At most ${MAX_DAY_RANGES} time ranges per day.` });
+    }
+    days[day] = ranges
+      .slice(0, MAX_DAY_RANGES)
+      .map((r, i) => validateRange(r, `${WEEKDAY_NAMES[day]} range ${i + 1}`, errors, { allowOvernight: true }))
+      .filter(Boolean);
+  }
+
+  const rawBreaks = Array.isArray(raw.breaks) ? raw.breaks : [];
+  if (rawBreaks.length > MAX_BREAKS) {
+    errors.push({ field: "workSchedule", message: `At most ${MAX_BREAKS} breaks.` });
+  }
+  const breaks = rawBreaks
+    .slice(0, MAX_BREAKS)
+    .map((r, i) => validateRange(r, `Break ${i + 1}`, errors, { allowOvernight: false }))
+    .filter(Boolean);
+
+  const rawHolidays = Array.isArray(raw.holidays) ? raw.holidays : [];
+  const holidays    = new Set();
+  for (const date of rawHolidays) {
+    const valid = DATE_RE.test(date || "") && localDateKey(new Date(`${date}T00:00:00`)) === date;
+    if (!valid) errors.push({ field: "workSchedule", message: `"${date}" is not a valid date.` });
+    else holidays.add(date);
+  }
+  if (holidays.size > MAX_HOLIDAYS) {
+    errors.push({ field: "workSchedule", message: `At most ${MAX_HOLIDAYS} holidays.` });
+  }
+
+  return { schedule: { days, breaks, holidays: [...holidays].sort() }, errors };
+}
+
+/**
+ * True when the moment falls inside a work range, outside breaks, and not on a holiday.
+ * @param {number} ms
+ * @param {object} schedule
+ * @returns {boolean}
+ */
+export function isWorkTime(ms, schedule) {
+  const date     = new Date(ms);
+  const minutes  = date.getHours() * 60 + date.getMinutes();
+  const holidays = schedule.holidays || [];
+
+  let working = false;
+
+  // Ranges starting today
+  if (!holidays.includes(localDateKey(date))) {
+    for (const r of schedule.days[date.getDay()] || []) {
+      const s = toMinutes(r.start);
+      const e = toMinutes(r.end);
+      if (e > s ? minutes >= s && minutes < e : minutes >= s) { working = true; break; }
+    }
+  }
+
+  // Overnight ranges that started yesterday
+  if (!working) {
+    const prev = new Date(date);
+    prev.setDate(prev.getDate() - 1);
+    if (!holidays.includes(localDateKey(prev))) {
+      for (const r of schedule.days[prev.getDay()] || []) {
+        const s = toMinutes(r.start);
+        const e = toMinutes(r.end);
+        if (e <= s && minutes < e) { working = true; break; }
+      }
+    }
+  }
+
+  if (!working) return false;
+  return !(schedule.breaks || []).some(b => minutes >= toMinutes(b.start) && minutes < toMinutes(b.end));
+}
+
+/**
+ * Share of the given moments that fall in work time (0–1).
+ * @param {number[]} times
+ * @param {object} schedule
+ * @returns {number}
+ */
+export function workTimeShare(times, schedule) {
+  if (times.length === 0) return 0;
+  return times.filter(t => isWorkTime(t, schedule)).length / times.length;
+}
@@ -2,290 +2,1078 @@
  * service_worker.js
  * Background script — Smart History Manager
  *
- * Detection model layers (all contribute to a score):
- *   1. URL Intent Detection   — path-based signals (/watch, /cart, /adsmanager)
- *   2. Domain Variety         — many unrelated domains = personal browsing
- *   3. Rapid Navigation       — pages/min spike = non-work browsing
- *   4. Time Pattern           — during work hours ups the stakes
- *   5. User Override          — stored domain prefs (work/personal) adjust score
- *   6. Adaptive Memory        — repeated ignores auto-elevate a domain to "work"
+ * The detection engine lives in detection.js. This worker feeds it visits
+ * from the history API (history.getVisits) and the user's stored context.
+ * Sensitivity settings (settings.js) are re-read on every run, so changes on
+ * the options page apply to the next analysis without a reload.
  *
- * A suggestion is only surfaced when score >= CONFIDENCE_THRESHOLD.
+ * Search results stream over a runtime.connect port named "search", and
+ * deletion progress over one named "delete-jobs"; see the Search and
+ * Deletion jobs sections for their protocols.
  *
  * Messages handled:
- *   SEARCH_HISTORY    { query, days? }         → { results[] }
+ *   SEARCH_HISTORY    { query, days? }         → { results[], errors[] }   (errors = query parse errors with positions;
+ *                     each result carries the intent categories[] its URL counts towards)
  *   GET_SUGGESTIONS   {}                        → { suggestions[] }
- *   IGNORE_SUGGESTION { id }                    → { ok }
- *   SET_DOMAIN_PREF   { domain, pref }          → { ok }
- *   GET_DOMAIN_PREFS  {}                        → { prefs }
- *   DELETE_ITEMS      { urls[] }                → { ok, deleted, errored }
+ *   GET_TIMELINE      { start, end }            → { sessions[], threshold } | { error }   (every session in the
+ *                     window, scored, with flagged = would be suggested and ignored = its suggestion was ignored)
+ *   GET_VISITED_PAGES { start, end }            → { pages[] } | { error }   (pages visited in the window, with
+ *                     visitCount and lastVisitTime counted inside it)
+ *   GET_INSIGHTS      { period }                → { report } | { error }   (period = day | week | month; time per
+ *                     domain, category and context, split into work and off hours, with trends — see insights.js;
+ *                     report.truncated = a period had more pages than are counted)
+ *   IGNORE_SUGGESTION { id, domains[], pages? } → { ok }   (pages train the learned model as work)
+ *   SET_DOMAIN_PREF   { domain, pref }          → { ok, prefs } | { ok: false, error }   (pref = context id or null)
+ *   GET_DOMAIN_PREFS  {}                        → { prefs, contexts[] }   (contexts = built-in + custom; a prefs
+ *                     entry is a context id, or { context, protected: true } — see contexts.js)
+ *   SET_DOMAIN_PROTECTED { domain, protected }  → { ok, prefs } | { ok: false, error }
+ *   GET_CONTEXTS      {}                        → { contexts[], builtins[], colors[], usage }
+ *   SAVE_CONTEXTS     { contexts[] }            → { ok, contexts[] } | { ok: false, errors[] }
+ *   DELETE_ITEMS      { urls[], range?, titles?, learn? } → { ok, job } | { ok: false, error }
+ *                     queues a deletion job (see Deletion jobs); job is its summary.
+ *                     range = { start, end } limits deletion to visits in that window;
+ *                     learn = true trains the learned model with the pages as personal;
+ *                     URLs on protected domains are never deleted and count as "protected"
+ *   GET_DELETE_JOB    { id }                    → { job, items[] }   (items = per-URL outcomes)
+ *   ACK_DELETE_JOB    { id }                    → { ok }   (the popup has shown the result)
+ *   GET_TRASH         {}                        → { batches[], retentionDays }
+ *   RESTORE_TRASH     { id, urls? }             → { ok, restored, errored, preciseTimes }
+ *   DELETE_TRASH      { id? }                   → { ok }   (no id empties the trash)
+ *   GET_SETTINGS      {}                        → { settings } | { ok: false, error }
+ *   SAVE_SETTINGS     { settings }              → { ok, settings } | { ok: false, errors[] }
+ *   RESET_SETTINGS    { fields? }               → { ok, settings }   (no fields resets everything)
+ *   GET_POLICIES      {}                        → { policies[], lastRuns, nextRuns, categories }
+ *   SAVE_POLICY       { policy }                → { ok, policy } | { ok: false, errors[] }
+ *   DELETE_POLICY     { id }                    → { ok }
+ *   RUN_POLICY        { id, dryRun? }           → { ok, run, jobs[] }   (jobs = summaries of the deletion jobs
+ *                     queued; none for a dry run)
+ *   GET_INTENT_RULES  {}                        → { rules[], builtins[], categories, types[] }
+ *   SAVE_INTENT_RULES { rules[] }               → { ok, rules[] } | { ok: false, errors[] }
+ *   PREVIEW_INTENT_RULES { rules[] }            → { hits: { [ruleId]: urls[] }, scanned }
+ *   GET_LEARNED_MODEL {}                        → { summary }
+ *   RESET_LEARNED_MODEL { token? }              → { ok, summary }   (no token forgets everything)
+ *   GET_ADAPTIVE_MEMORY {}                      → { domains[], threshold, halfLifeDays }
+ *   REVERT_ADAPTIVE_DOMAIN { domain }           → { ok, memory }   (forgets the domain's ignores and deletes)
+ *   EXPORT_STATE      {}                        → { backup }   (versioned document of every setting and
+ *                     everything learned — see backup.js)
+ *   PREVIEW_IMPORT    { backup, strategy }      → { ok, diff[], applied[] } | { ok: false, errors[] }
+ *                     (strategy = merge | replace; applied = migrations the backup needed)
+ *   APPLY_IMPORT      { backup, strategy }      → { ok, diff[], applied[] } | { ok: false, errors[] }
  */
 
+import { getDomain, getRootDomain, isProtectedHost } from "./domains.js";
+import { migrateState, SCHEMA_VERSION } from "./migrations.js";
+import { BACKUP_SECTIONS, createBackup, planImport } from "./backup.js";
+import { searchHistory, pageHistory, getVisits, deleteUrl, deleteRange } from "./history.js";
+import { DETECTION_SETTING_KEYS, loadSettings, saveSettings, resetSettings } from "./settings.js";
+import {
+  snapshotEntries, appendToTrash, getTrash, restoreFromTrash, removeFromTrash, purgeExpiredTrash,
+} from "./trash.js";
+import { createDeleteJob, pendingUrls, recordOutcomes, summarizeJob, pruneJobs, jobTrashId } from "./jobs.js";
+import { storageGet, storageSet } from "./storage.js";
+import { validatePolicy, nextRunTime, CONFIDENCE_RANK } from "./policies.js";
+import { trainModel, forgetToken, summarizeModel } from "./classifier.js";
+import { domainWeights, recordDomainEvents, summarizeDomainEvents } from "./adaptive.js";
+import {
+  BUILTIN_CONTEXTS, CONTEXT_COLORS, validateContexts, mergeContexts, findDomainContext, makeDomainPref, prefContextId,
+} from "./contexts.js";
+import { parseQuery, matchesQuery, hasPostFilters } from "./query.js";
+import { buildInsightsReport, INSIGHT_PERIODS } from "./insights.js";
+import {
+  URL_INTENT_RULES, CATEGORY_META, RULE_TYPES,
+  validateIntentRules, mergeIntentRules, classifyUrl, lookupSiteCategory,
+  makeDetectionContext, detectMixedSessions, scoreTimeline,
+} from "./detection.js";
+
 const api = typeof browser !== "undefined" ? browser : chrome;
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Layer 1: URL Intent Rules
-// Each rule provides a score signal. Positive = personal, Negative = work.
-// A single path match can flip an otherwise borderline session.
+// Visit timeline
+// history.search returns one HistoryItem per URL carrying only its *last*
+// visit. Sessions are built from the individual visits instead, so a URL
+// visited on Monday and again today shows up in both sessions.
 // ─────────────────────────────────────────────────────────────────────────────
 
-const URL_INTENT_RULES = [
-  // ── Entertainment ──────────────────────────────────────────────────────────
-  { match: "/watch",          score:  2, category: "entertainment", label: "Video" },
-  { match: "/shorts",         score:  2, category: "entertainment", label: "Video" },
-  { match: "/clip",           score:  1, category: "entertainment", label: "Video" },
-  { match: "/video",          score:  1, category: "entertainment", label: "Video" },
-  { match: "/stream",         score:  1, category: "entertainment", label: "Video" },
-  { match: "/live",           score:  1, category: "entertainment", label: "Video" },
-  // ── Social ─────────────────────────────────────────────────────────────────
-  { match: "/reels",          score:  2, category: "social",        label: "Social" },
-  { match: "/reel",           score:  2, category: "social",        label: "Social" },
-  { match: "/story",          score:  1, category: "social",        label: "Social" },
-  { match: "/post",           score:  1, category: "social",        label: "Social" },
-  { match: "/feed",           score:  1, category: "social",        label: "Social" },
-  { match: "/profile",        score:  1, category: "social",        label: "Social" },
-  { match: "/explore",        score:  1, category: "social",        label: "Social" },
-  { match: "/trending",       score:  1, category: "social",        label: "Social" },
-  // ── Shopping ───────────────────────────────────────────────────────────────
-  { match: "/cart",           score:  2, category: "shopping",      label: "Shopping" },
-  { match: "/checkout",       score:  3, category: "shopping",      label: "Shopping" },
-  { match: "/wishlist",       score:  1, category: "shopping",      label: "Shopping" },
-  { match: "/product",        score:  1, category: "shopping",      label: "Shopping" },
-  { match: "/item/",          score:  1, category: "shopping",      label: "Shopping" },
-  { match: "/dp/",            score:  1, category: "shopping",      label: "Shopping" }, // Amazon
-  { match: "/buy",            score:  2, category: "shopping",      label: "Shopping" },
-  { match: "/order",          score:  1, category: "shopping",      label: "Shopping" },
-  // ── Work signals (negative — suppress flagging) ────────────────────────────
-  { match: "/adsmanager",     score: -5, category: "work",          label: "Ads Manager" },
-  { match: "/business",       score: -4, category: "work",          label: "Business" },
-  { match: "/analytics",      score: -4, category: "work",          label: "Analytics" },
-  { match: "/dashboard",      score: -4, category: "work",          label: "Dashboard" },
-  { match: "/admin",          score: -3, category: "work",          label: "Admin" },
-  { match: "/studio",         score: -3, category: "work",          label: "Studio" },
-  { match: "/manage",         score: -3, category: "work",          label: "Manage" },
-  { match: "/creator",        score: -2, category: "work",          label: "Creator Tools" },
-  { match: "/report",         score: -2, category: "work",          label: "Reports" },
-  { match: "/docs",           score: -2, category: "work",          label: "Docs" },
-  { match: "/api",            score: -2, category: "work",          label: "API" },
-  { match: "/settings",       score: -1, category: "work",          label: "Settings" },
-  { match: "/campaigns",      score: -3, category: "work",          label: "Campaigns" },
-  { match: "/insights",       score: -2, category: "work",          label: "Insights" },
-];
-
-const CATEGORY_META = {
-  entertainment: { label: "Video & Entertainment", icon: "🎬" },
-  social:        { label: "Social Media",          icon: "📱" },
-  shopping:      { label: "Online Shopping",        icon: "🛍" },
-  work:          { label: "Work Activity",          icon: "💼" },
-};
-
-// Minimum score to surface a suggestion (avoids noise)
-const CONFIDENCE_THRESHOLD = 4;
-
-// After this many ignores, a domain is auto-treated as "work"
-const AUTO_WORK_IGNORE_COUNT = 3;
+const VISIT_FETCH_CONCURRENCY = 25;
+
+/**
+ * Expands history items into a time-ordered list of visits since startTime.
+ * @param {chrome.history.HistoryItem[]} items
+ * @param {number} startTime
+ * @returns {Promise<Array<{ url: string, title: string, visitTime: number, visitId: string|null,
+ *   referringVisitId: string|null, transition: string }>>}
+ */
+async function buildVisitTimeline(items, startTime) {
+  const visits = [];
+
+  for (let i = 0; i < items.length; i += VISIT_FETCH_CONCURRENCY) {
+    const batch   = items.slice(i, i + VISIT_FETCH_CONCURRENCY);
+    const results = await Promise.all(batch.map(item => getVisits(item.url).catch(() => [])));
+
+    batch.forEach((item, j) => {
+      const itemVisits = results[j].length > 0
+        ? results[j]
+        : [{ visitTime: item.lastVisitTime, visitId: null, referringVisitId: null, transition: "link" }];
+
+      for (const v of itemVisits) {
+        if (!v.visitTime || v.visitTime < startTime) continue;
+        visits.push({
+          url:              item.url,
+          title:            item.title || "",
+          visitTime:        v.visitTime,
+          visitId:          v.visitId || null,
+          // Chrome reports "0" when there is no referrer
+          referringVisitId: v.referringVisitId && v.referringVisitId !== "0" ? v.referringVisitId : null,
+          transition:       v.transition || "link",
+        });
+      }
+    });
+  }
+
+  return visits.sort((a, b) => a.visitTime - b.visitTime);
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Helpers
+// Detection runs
 // ─────────────────────────────────────────────────────────────────────────────
 
-function getDomain(url) {
-  try { return new URL(url).hostname; } catch (_) { return null; }
+/**
+ * The user's stored prefs, adaptive memory, rules and settings as a detection context.
+ * @returns {Promise<import("./detection.js").DetectionContext>}
+ */
+async function loadDetectionContext() {
+  const [data, settings] = await Promise.all([
+    storageGet(["domainPrefs", "contexts", "domainEvents", "intentRules", "learnedModel"]),
+    loadSettings(),
+  ]);
+  const tuning = Object.fromEntries(DETECTION_SETTING_KEYS.map(key => [key, settings[key]]));
+  return makeDetectionContext({
+    domainPrefs:   data.domainPrefs || {},
+    contexts:      mergeContexts(data.contexts),
+    ignoreWeights: domainWeights(data.domainEvents, settings.ignoreHalfLifeDays),
+    rules:         mergeIntentRules(data.intentRules),
+    workSchedule:  settings.workSchedule,
+    model:         settings.learnedModelWeight > 0 ? data.learnedModel || null : null,
+    ...tuning,
+  });
 }
 
-function getRootDomain(url) {
-  const h = getDomain(url);
-  if (!h) return null;
-  const parts = h.split(".");
-  return parts.length > 2 ? parts.slice(-2).join(".") : h;
+/**
+ * Runs detection over recent history with the user's stored context.
+ * Ignored sessions are left out.
+ * @param {number} [days] - Defaults to the suggestionLookbackDays setting.
+ * @returns {Promise<object[]>} every suggestion, best first
+ */
+async function computeSuggestions(days) {
+  if (days === undefined) ({ suggestionLookbackDays: days } = await loadSettings());
+  const startTime = Date.now() - days * 24 * 60 * 60 * 1000;
+  const items     = await searchHistory("", days, 5000);
+  const [visits, ctx, { ignoredSessions = [] }] = await Promise.all([
+    buildVisitTimeline(items, startTime),
+    loadDetectionContext(),
+    storageGet("ignoredSessions"),
+  ]);
+
+  const ignored = new Set(ignoredSessions);
+  return detectMixedSessions(visits, ctx).filter(s => !ignored.has(s.id));
 }
 
-function getPath(url) {
-  try {
-    const u = new URL(url);
-    return (u.pathname + u.search).toLowerCase();
-  } catch (_) { return ""; }
+// ─────────────────────────────────────────────────────────────────────────────
+// Dashboard timeline
+// The dashboard charts every session in a window, not just the suggested
+// ones, and reviews the pages visited in a brushed range. history.search
+// filters on an item's last visit, so pages are fetched from the window's
+// start to now and their visits clipped to the window.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TIMELINE_MAX_DAYS  = 31;
+const TIMELINE_MAX_PAGES = 5000;
+
+/**
+ * Checks a { start, end } window from a message.
+ * @returns {{ start: number, end: number }|{ error: string }}
+ */
+function readWindow(msg) {
+  const start = Number(msg.start);
+  const end   = Number(msg.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+    return { error: "start and end must be times with start before end." };
+  }
+  if (end - start > TIMELINE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `The window can't be longer than ${TIMELINE_MAX_DAYS} days.` };
+  }
+  return { start, end };
 }
 
-function classifyUrl(url) {
-  const path = getPath(url);
-  for (const rule of URL_INTENT_RULES) {
-    if (path.includes(rule.match)) return rule;
+/**
+ * Every visit in [start, end), oldest first. Only the TIMELINE_MAX_PAGES
+ * pages visited most recently are expanded.
+ */
+async function visitsBetween(start, end) {
+  const items = [];
+  for await (const page of pageHistory({ text: "", startTime: start })) {
+    items.push(...page);
+    if (items.length >= TIMELINE_MAX_PAGES) break;
   }
-  return null;
+  const visits = await buildVisitTimeline(items.slice(0, TIMELINE_MAX_PAGES), start);
+  return visits.filter(v => v.visitTime < end);
+}
+
+/**
+ * Scored sessions in the window, each marked `ignored` when its suggestion was ignored.
+ * @returns {Promise<{ sessions: object[], threshold: number }>}
+ */
+async function getTimeline(start, end) {
+  const [visits, ctx, { ignoredSessions = [] }] = await Promise.all([
+    visitsBetween(start, end),
+    loadDetectionContext(),
+    storageGet("ignoredSessions"),
+  ]);
+  const ignored = new Set(ignoredSessions);
+  return {
+    sessions:  scoreTimeline(visits, ctx).map(s => ({ ...s, ignored: ignored.has(s.id) })),
+    threshold: ctx.confidenceThreshold,
+  };
 }
 
-function getConfidence(score) {
-  if (score >= 9) return "high";
-  if (score >= 6) return "medium";
-  return "low"; // still above threshold, just less certain
+/**
+ * One history item per page visited in the window, with visitCount and
+ * lastVisitTime counted inside it, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function getVisitedPages(start, end) {
+  const pages = new Map();
+  for (const v of await visitsBetween(start, end)) {
+    const page = pages.get(v.url);
+    if (page) {
+      page.visitCount++;
+      page.lastVisitTime = v.visitTime;
+    } else {
+      pages.set(v.url, { url: v.url, title: v.title, visitCount: 1, typedCount: 0, lastVisitTime: v.visitTime });
+    }
+  }
+  return [...pages.values()].sort((a, b) => b.lastVisitTime - a.lastVisitTime);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Layer 2–5: Multi-signal Session Scorer
+// Time insights (insights.js)
+// Reports are computed on request from the visits of the period and the one
+// before it, with the same category rules and contexts as detection. Nothing
+// is stored or sent anywhere. Each period's pages are fetched and capped on
+// their own, so a busy current period can't crowd the previous one out and
+// pass for growth; a report that hit a cap is marked `truncated`.
 // ─────────────────────────────────────────────────────────────────────────────
 
-function scoreSession(session, domainPrefs, ignoreCounts) {
-  let urlIntentScore    = 0;
-  let workSignalScore   = 0;
-  const categoryHits    = new Map();  // category → { count, label, icon, urls }
-  const domains         = new Set();
+/**
+ * Up to TIMELINE_MAX_PAGES pages last visited in [start, end), newest first.
+ * @param {Set<string>} [skip] - URLs already fetched; they don't count towards the cap.
+ * @returns {Promise<{ items: object[], truncated: boolean }>}
+ */
+async function pagesLastVisitedBetween(start, end, skip = new Set()) {
+  const items = [];
+  for await (const page of pageHistory({ text: "", startTime: start, endTime: end })) {
+    items.push(...page.filter(item => !skip.has(item.url)));
+    if (items.length > TIMELINE_MAX_PAGES) break;
+  }
+  return { items: items.slice(0, TIMELINE_MAX_PAGES), truncated: items.length > TIMELINE_MAX_PAGES };
+}
 
-  for (const item of session) {
-    const domain     = getDomain(item.url);
-    const rootDomain = getRootDomain(item.url);
+/**
+ * Every visit in [previousStart, end), oldest first. Pages last visited in
+ * the current period bring their earlier visits with them; the previous
+ * period adds the pages not seen since.
+ * @returns {Promise<{ visits: object[], truncated: boolean }>}
+ */
+async function insightVisits(previousStart, start, end) {
+  const current  = await pagesLastVisitedBetween(start, end);
+  const previous = await pagesLastVisitedBetween(previousStart, start, new Set(current.items.map(i => i.url)));
+  const [currentVisits, previousVisits] = await Promise.all([
+    buildVisitTimeline(current.items, previousStart),
+    buildVisitTimeline(previous.items, previousStart),
+  ]);
+  return {
+    visits: [
+      ...currentVisits.filter(v => v.visitTime < end),
+      ...previousVisits.filter(v => v.visitTime < start),
+    ].sort((a, b) => a.visitTime - b.visitTime),
+    truncated: current.truncated || previous.truncated,
+  };
+}
 
-    if (domain) domains.add(domain);
+/**
+ * @param {"day"|"week"|"month"} period
+ * @returns {Promise<object>} the report (insights.js buildInsightsReport)
+ */
+async function getInsights(period, now = Date.now()) {
+  const periodMs = INSIGHT_PERIODS[period].days * 24 * 60 * 60 * 1000;
+  const [{ visits, truncated }, settings, { domainPrefs = {}, contexts, intentRules }] = await Promise.all([
+    insightVisits(now - 2 * periodMs, now - periodMs, now),
+    loadSettings(),
+    storageGet(["domainPrefs", "contexts", "intentRules"]),
+  ]);
+  const rules       = mergeIntentRules(intentRules);
+  const allContexts = mergeContexts(contexts);
+  return buildInsightsReport(visits, {
+    period,
+    now,
+    truncated,
+    schedule:     settings.workSchedule,
+    categoriesOf: url => pageCategories(url, rules),
+    contextOf:    domain => findDomainContext(domainPrefs, allContexts, domain, getRootDomain(domain))?.id || null,
+    categoryMeta: CATEGORY_META,
+    contexts:     allContexts,
+  });
+}
 
-    // ── User override: domain preference ────────────────────────────────────
-    const pref = domainPrefs[domain] || domainPrefs[rootDomain];
-    if (pref === "work") {
-      workSignalScore += 3;
-      continue; // Skip URL-intent check — user marked this domain as work
-    }
-    if (pref === "personal") {
-      urlIntentScore += 1; // Boost personal signal
-    }
+// ─────────────────────────────────────────────────────────────────────────────
+// Learned model (classifier.js)
+// Ignore teaches "work", deleting pages from a reviewed suggestion teaches
+// "personal", and a Work/Personal tag teaches the domain's recent pages.
+// Updates are chained so two quick actions can't overwrite each other.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TAG_TRAINING_DAYS  = 30;
+const TAG_TRAINING_PAGES = 100;
+
+let modelUpdates = Promise.resolve();
+
+/**
+ * Read-modify-write of `learnedModel`.
+ * @param {(model: object|null) => object} change
+ * @returns {Promise<object>} the saved model
+ */
+function updateLearnedModel(change) {
+  const run = modelUpdates.then(async () => {
+    const { learnedModel = null } = await storageGet("learnedModel");
+    const next = change(learnedModel);
+    await storageSet({ learnedModel: next });
+    return next;
+  });
+  modelUpdates = run.catch(() => {});
+  return run;
+}
+
+/**
+ * @param {Array<{ url: string, title?: string }>} pages
+ * @param {"work"|"personal"} label
+ */
+function learnFromPages(pages, label) {
+  const valid = (pages || []).filter(p => p && typeof p.url === "string");
+  if (valid.length === 0) return Promise.resolve(null);
+  return updateLearnedModel(model => trainModel(model, valid, label));
+}
+
+async function learnFromDomainTag(rootDomain, pref) {
+  const items = await searchHistory(rootDomain, TAG_TRAINING_DAYS, TAG_TRAINING_PAGES);
+  const pages = items
+    .filter(item => {
+      const domain = getDomain(item.url);
+      return domain && getRootDomain(domain) === rootDomain;
+    })
+    .map(item => ({ url: item.url, title: item.title }));
+  return learnFromPages(pages, pref);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Adaptive memory (adaptive.js)
+// Ignores and deletes are stored per root domain in `domainEvents` and fade
+// with the ignoreHalfLifeDays setting. Updates are chained like the model's.
+// ─────────────────────────────────────────────────────────────────────────────
+
+let domainEventUpdates = Promise.resolve();
+
+/**
+ * Read-modify-write of `domainEvents`.
+ * @param {(events: object, settings: object) => object} change
+ * @returns {Promise<object>} the saved events
+ */
+function updateDomainEvents(change) {
+  const run = domainEventUpdates.then(async () => {
+    const [{ domainEvents = {} }, settings] = await Promise.all([storageGet("domainEvents"), loadSettings()]);
+    const next = change(domainEvents, settings);
+    await storageSet({ domainEvents: next });
+    return next;
+  });
+  domainEventUpdates = run.catch(() => {});
+  return run;
+}
+
+/**
+ * @param {string[]} domains - Any hostnames; events are kept per root domain.
+ * @param {"ignore"|"delete"} kind
+ */
+function recordDomainActivity(domains, kind) {
+  const roots = [...new Set(domains.filter(Boolean).map(getRootDomain))];
+  if (roots.length === 0) return Promise.resolve(null);
+  return updateDomainEvents((events, settings) =>
+    recordDomainEvents(events, roots, kind, settings.ignoreHalfLifeDays)
+  );
+}
+
+async function getAdaptiveMemory() {
+  const [{ domainEvents = {} }, settings] = await Promise.all([storageGet("domainEvents"), loadSettings()]);
+  return {
+    domains:      summarizeDomainEvents(domainEvents, {
+      halfLifeDays: settings.ignoreHalfLifeDays,
+      threshold:    settings.autoWorkIgnoreCount,
+    }),
+    threshold:    settings.autoWorkIgnoreCount,
+    halfLifeDays: settings.ignoreHalfLifeDays,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Deletion
+// history.deleteUrl wipes every visit to a URL. When a suggestion is reviewed
+// the user can instead remove only the visits inside that session's window,
+// cleared with as few deleteRange calls as other pages' visits allow.
+// Either way, what was removed is snapshotted into the trash first.
+// ─────────────────────────────────────────────────────────────────────────────
 
-    // ── Adaptive: auto-work if repeatedly ignored ────────────────────────────
-    const ignoreCount = (ignoreCounts[rootDomain] || 0);
-    if (ignoreCount >= AUTO_WORK_IGNORE_COUNT) {
-      workSignalScore += 2;
-      continue;
+const WINDOW_VISITS_TTL_MS = 10 * 60 * 1000;
+
+let windowVisitsCache = null;   // { key, at, promise } for the window being deleted from
+
+/**
+ * Every visit between start and end, to any page, sorted by time, for
+ * telling which of a page's visits can be removed without touching another
+ * page's. history.search lists pages by their last visit, so every page
+ * visited since `start` is a candidate; only the TIMELINE_MAX_PAGES most
+ * recent are expanded, and `checkedFrom` is the time from which the list is
+ * complete. Cached for the window, so a job's chunks share one lookup; pages
+ * a job has since deleted only make it keep more.
+ * @returns {Promise<{ times: number[], urls: string[], checkedFrom: number }>}
+ */
+function visitsInWindow(start, end) {
+  const key = `${start}:${end}`;
+  if (windowVisitsCache?.key === key && Date.now() - windowVisitsCache.at < WINDOW_VISITS_TTL_MS) {
+    return windowVisitsCache.promise;
+  }
+  const promise = (async () => {
+    const items = [];
+    for await (const page of pageHistory({ text: "", startTime: start })) {
+      items.push(...page);
+      if (items.length > TIMELINE_MAX_PAGES) break;
     }
+    const expanded    = items.slice(0, TIMELINE_MAX_PAGES);
+    const checkedFrom = items.length > TIMELINE_MAX_PAGES
+      ? expanded.reduce((min, item) => Math.min(min, item.lastVisitTime ?? min), end)
+      : start;
+    const visits = (await buildVisitTimeline(expanded, start)).filter(v => v.visitTime <= end);
+    return { times: visits.map(v => v.visitTime), urls: visits.map(v => v.url), checkedFrom };
+  })();
+  windowVisitsCache = { key, at: Date.now(), promise };
+  promise.catch(() => { if (windowVisitsCache?.promise === promise) windowVisitsCache = null; });
+  return promise;
+}
 
-    // ── URL Intent scoring ────────────────────────────────────────────────────
-    const rule = classifyUrl(item.url);
-    if (!rule) continue;
+/** Pages other than `url` visited in [from, to], from a visitsInWindow result. */
+function otherPagesBetween(window, url, from, to) {
+  let lo = 0;
+  let hi = window.times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (window.times[mid] < from) lo = mid + 1;
+    else hi = mid;
+  }
+  const others = new Set();
+  for (let i = lo; i < window.times.length && window.times[i] <= to; i++) {
+    if (window.urls[i] !== url) others.add(window.urls[i]);
+  }
+  return [...others];
+}
 
-    if (rule.score < 0) {
-      workSignalScore += Math.abs(rule.score);
-    } else {
-      urlIntentScore += rule.score;
-
-      const meta = CATEGORY_META[rule.category] || { label: rule.category, icon: "🔗" };
-      if (!categoryHits.has(rule.category)) {
-        categoryHits.set(rule.category, {
-          category: rule.category,
-          label:    meta.label,
-          icon:     meta.icon,
-          count:    0,
-          urls:     [],
-        });
+/**
+ * Removes the visits to `url` that fall inside [start, end] and keeps the rest.
+ * There is no per-visit delete in the history API, and deleteRange takes
+ * every page visited in the range, so the page's visits are removed in runs:
+ * back-to-back visits with no other page's visit among them, one deleteRange
+ * each. A visit that shares its millisecond with another page (a redirect, a
+ * frame), or that is too old for visitsInWindow to vouch for, is kept. A URL
+ * whose visits all fall inside the window is removed with deleteUrl. Visits
+ * only count as removed once getVisits no longer lists them.
+ * @returns {Promise<{ removed: number, keptTimes: number[], collidesWith: string[] }>}
+ *   keptTimes = visits in the window left alone; collidesWith = the pages they share a millisecond with
+ */
+async function deleteVisitsInWindow(url, start, end) {
+  const visits = await getVisits(url);
+  const inside = visits.map(v => v.visitTime).filter(t => t >= start && t <= end).sort((a, b) => a - b);
+  const result = { removed: 0, keptTimes: [], collidesWith: [] };
+  if (inside.length === 0) return result;
+
+  let targeted = inside;
+  if (inside.length === visits.length) {
+    await deleteUrl(url);
+  } else {
+    const window = await visitsInWindow(start, end);
+    const runs   = [];
+    targeted = [];
+    for (const t of inside) {
+      const sharing = t >= window.checkedFrom ? otherPagesBetween(window, url, t, t) : null;
+      if (!sharing || sharing.length > 0) {
+        result.keptTimes.push(t);
+        for (const other of sharing || []) if (!result.collidesWith.includes(other)) result.collidesWith.push(other);
+        continue;
       }
-      const entry = categoryHits.get(rule.category);
-      entry.count++;
-      entry.urls.push(item.url);
+      const run = runs[runs.length - 1];
+      if (run && otherPagesBetween(window, url, run.last, t).length === 0) run.last = t;
+      else runs.push({ first: t, last: t });
+      targeted.push(t);
     }
+    for (const run of runs) await deleteRange(run.first, run.last + 1);
   }
 
-  // ── Layer 2: Domain variety ───────────────────────────────────────────────
-  // Many unrelated domains = personal. Work tends to cluster on few domains.
-  const domainVariety = Math.min(domains.size / 5, 2.0);
+  const left = new Set((await getVisits(url)).map(v => v.visitTime));
+  result.removed = targeted.filter(t => !left.has(t)).length;
+  return result;
+}
+
+const DELETE_CONCURRENCY = 4;
+
+/**
+ * Deletes one URL: every visit, or only the visits inside `range`.
+ * @param {string} url
+ * @param {{ start: number, end: number }|null} range
+ * @returns {Promise<{ url: string, status: "deleted"|"skipped"|"failed", visitsDeleted?: number,
+ *   visitsKept?: number, keptTimes?: number[], collidesWith?: string[], error?: string }>}
+ *   "skipped" = nothing inside the range could be removed
+ */
+async function deleteOne(url, range) {
+  try {
+    if (!range) {
+      await deleteUrl(url);
+      return { url, status: "deleted" };
+    }
+    const { removed, keptTimes, collidesWith } = await deleteVisitsInWindow(url, range.start, range.end);
+    const outcome = { url, status: removed > 0 ? "deleted" : "skipped", visitsDeleted: removed };
+    if (keptTimes.length > 0) Object.assign(outcome, { visitsKept: keptTimes.length, keptTimes, collidesWith });
+    return outcome;
+  } catch (err) {
+    return { url, status: "failed", error: err?.message || String(err) };
+  }
+}
 
-  // ── Layer 3: Rapid navigation ─────────────────────────────────────────────
-  // High pages/min is a personal signal (clicking though feeds, videos)
-  let rapidScore = 0;
-  if (session.length >= 3) {
-    const durationMin = (session[session.length - 1].lastVisitTime - session[0].lastVisitTime) / 60_000;
-    if (durationMin > 0) {
-      const ppm = session.length / durationMin;
-      if (ppm > 3) rapidScore = 1;
-      if (ppm > 8) rapidScore = 2;
+/**
+ * Runs deleteOne over the URLs, at most DELETE_CONCURRENCY at a time, so a
+ * large delete doesn't flood the history API.
+ * @returns {Promise<object[]>} one outcome per URL, in order
+ */
+async function deleteMany(urls, range) {
+  const outcomes = new Array(urls.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const i = next++;
+      outcomes[i] = await deleteOne(urls[i], range);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(DELETE_CONCURRENCY, urls.length) }, worker));
+  return outcomes;
+}
+
+/**
+ * The snapshot entries of what a delete actually removed, for the trash:
+ * deleted URLs only, without the visits that were kept.
+ * @param {Array<{ url: string, title: string, visitTimes: number[] }>} snapshot
+ * @param {object[]} outcomes - From deleteMany.
+ */
+function trashEntries(snapshot, outcomes) {
+  const deleted = new Map(outcomes.filter(o => o.status === "deleted").map(o => [o.url, new Set(o.keptTimes)]));
+  return snapshot
+    .filter(e => deleted.has(e.url))
+    .map(e => ({ ...e, visitTimes: e.visitTimes.filter(t => !deleted.get(e.url).has(t)) }));
+}
+
+/**
+ * Splits URLs into those that may be deleted and those on protected domains.
+ * @param {string[]} urls
+ * @returns {Promise<{ allowed: string[], protectedUrls: string[] }>}
+ */
+async function partitionProtected(urls) {
+  const { domainPrefs = {} } = await storageGet("domainPrefs");
+  const allowed       = [];
+  const protectedUrls = [];
+  for (const url of urls) {
+    (isProtectedHost(domainPrefs, getDomain(url)) ? protectedUrls : allowed).push(url);
   }
+  return { allowed, protectedUrls };
+}
 
-  // ── Layer 4: Timing ───────────────────────────────────────────────────────
-  // Personal browsing during business hours is more notable than at 11pm.
-  const hour          = new Date(session[0].lastVisitTime).getHours();
-  const day           = new Date(session[0].lastVisitTime).getDay();
-  const isDuringWork  = day >= 1 && day <= 5 && hour >= 9 && hour < 18;
-  const timingScore   = isDuringWork ? 1 : 0;
+// ─────────────────────────────────────────────────────────────────────────────
+// Deletion jobs (jobs.js)
+// DELETE_ITEMS queues a job in `deleteJobs` and returns at once. Jobs run one
+// at a time, DELETE_JOB_CHUNK URLs per step, and every step is saved, so a
+// worker that is shut down mid-job resumes on its next start (or from the
+// "delete-jobs" alarm that stays set while work is left). All of a job's
+// deletions go into one trash batch.
+//
+// Progress goes to every popup connected on a "delete-jobs" port:
+//   worker → { type: "JOBS", jobs[] }   on connect: running and not yet seen jobs
+//          → { type: "JOB", job }       after each step; job is a summarizeJob() summary
+// ─────────────────────────────────────────────────────────────────────────────
 
-  // ── Final score ───────────────────────────────────────────────────────────
-  // Work signals subtract with a 0.6 weight so a single work path
-  // doesn't fully cancel out a session, but multiple work signals do.
-  const total = urlIntentScore + domainVariety + rapidScore + timingScore
-              - (workSignalScore * 0.6);
+const DELETE_JOB_PORT  = "delete-jobs";
+const DELETE_JOB_ALARM = "delete-jobs";
+const DELETE_JOB_CHUNK = 25;
 
-  const categories = [...categoryHits.values()].sort((a, b) => b.count - a.count);
+const jobPorts = new Set();
+let jobUpdates = Promise.resolve();
+let jobRunner  = null;
 
-  return {
-    score:         Math.max(0, total),
-    categories,
-    domains:       [...domains],
-    breakdown: {
-      urlIntent:    urlIntentScore,
-      domainVariety,
-      rapid:        rapidScore,
-      timing:       timingScore,
-      workSignals:  workSignalScore,
-    },
-  };
+/**
+ * Read-modify-write of `deleteJobs`.
+ * @param {(jobs: object[]) => object[]} change
+ * @returns {Promise<object[]>} the saved jobs
+ */
+function updateDeleteJobs(change) {
+  const run = jobUpdates.then(async () => {
+    const { deleteJobs = [] } = await storageGet("deleteJobs");
+    const next = change(deleteJobs);
+    await storageSet({ deleteJobs: next });
+    return next;
+  });
+  jobUpdates = run.catch(() => {});
+  return run;
 }
 
+function broadcastJob(job) {
+  const message = { type: "JOB", job: summarizeJob(job) };
+  for (const port of jobPorts) port.postMessage(message);
+}
+
+/**
+ * Queues URLs for deletion; protected ones are recorded but never deleted.
+ * @param {string[]} urls
+ * @param {{ range?: object|null, titles?: Object<string, string>, learn?: boolean,
+ *   source?: string, policyRun?: object|null }} options
+ * @returns {Promise<object>} the job's summary
+ */
+async function enqueueDeleteJob(urls, options) {
+  const { allowed, protectedUrls } = await partitionProtected([...new Set(urls)]);
+  const job = createDeleteJob(allowed, protectedUrls, options);
+  await updateDeleteJobs(jobs => pruneJobs([...jobs, job]));
+  broadcastJob(job);
+  if (job.status !== "done") {
+    api.alarms.create(DELETE_JOB_ALARM, { periodInMinutes: 1 });
+    processDeleteJobs().catch(() => {});
+  }
+  return summarizeJob(job);
+}
+
+/** Works through the queue unless that is already happening. */
+function processDeleteJobs() {
+  if (!jobRunner) jobRunner = runDeleteJobs().finally(() => { jobRunner = null; });
+  return jobRunner;
+}
+
+async function runDeleteJobs() {
+  for (;;) {
+    const { deleteJobs = [] } = await storageGet("deleteJobs");
+    const job = deleteJobs.find(j => j.status !== "done");
+    if (!job) {
+      api.alarms.clear(DELETE_JOB_ALARM);
+      return;
+    }
+    await runDeleteStep(job);
+  }
+}
+
+/** Deletes the job's next chunk, saves the outcomes and reports progress. */
+async function runDeleteStep(job) {
+  const urls     = pendingUrls(job, DELETE_JOB_CHUNK);
+  const snapshot = await snapshotEntries(urls, job.titles, job.range);
+  const outcomes = await deleteMany(urls, job.range);
+  const trashId  = await appendToTrash(jobTrashId(job), trashEntries(snapshot, outcomes), job.source)
+    .catch(() => job.trashId);
+
+  let updated = null;
+  await updateDeleteJobs(jobs => jobs.map(j => {
+    if (j.id !== job.id) return j;
+    updated = recordOutcomes(j, outcomes, trashId);
+    return updated;
+  }));
+  if (!updated) return;   // removed while running
+
+  if (updated.status === "done") finishDeleteJob(updated);
+  broadcastJob(updated);
+}
+
+/**
+ * What happens once per finished job: the policy run log, adaptive memory
+ * and, for reviews, the learned model.
+ */
+function finishDeleteJob(job) {
+  if (job.policyRun) recordPolicyJob(job).catch(() => {});
+  const deleted = job.items.filter(i => i.status === "deleted").map(i => i.url);
+  if (deleted.length === 0) return;
+  recordDomainActivity(deleted.map(getDomain), "delete").catch(() => {});
+  if (job.learn) {
+    learnFromPages(deleted.map(url => ({ url, title: job.titles[url] || "" })), "personal").catch(() => {});
+  }
+}
+
+api.runtime.onConnect.addListener((port) => {
+  if (port.name !== DELETE_JOB_PORT) return;
+  jobPorts.add(port);
+  port.onDisconnect.addListener(() => jobPorts.delete(port));
+  storageGet("deleteJobs")
+    .then(({ deleteJobs = [] }) => port.postMessage({
+      type: "JOBS",
+      jobs: deleteJobs.filter(j => j.status !== "done" || !j.seen).map(summarizeJob),
+    }))
+    .catch(() => {});
+});
+
+// A job left unfinished by the previous worker carries on
+processDeleteJobs().catch(() => {});
+
 // ─────────────────────────────────────────────────────────────────────────────
-// Main Detection: Clustering + Scoring
+// Search (query.js)
+// The query is parsed here so the popup never sees a half-applied filter.
+// Free text and the time window go to history.search, which is paged through
+// the whole window (history.js pageHistory); everything else is a post-filter
+// applied to each page. The popup streams results over a "search" port.
 // ─────────────────────────────────────────────────────────────────────────────
 
-function detectMixedSessions(items, domainPrefs, ignoreCounts) {
-  if (!items || items.length === 0) return [];
+const SEARCH_PORT = "search";
 
-  const SESSION_GAP_MS = 30 * 60 * 1000;
+/**
+ * Runs a search box query, handing over matches a page at a time.
+ * @param {string} input
+ * @param {number} defaultDays - Window used when the query sets no start.
+ * @param {(results: object[]) => void} onBatch - History items, each with its `categories`.
+ * @param {() => boolean} [isCancelled] - Checked between pages.
+ * @returns {Promise<{ errors: object[], found: number, cancelled: boolean }>}
+ */
+async function streamSearch(input, defaultDays, onBatch, isCancelled = () => false) {
+  const { query, errors } = parseQuery(input);
+  if (errors.length > 0) return { errors, found: 0, cancelled: false };
 
-  const sorted = items
-    .filter(i => i.lastVisitTime && i.url)
-    .sort((a, b) => a.lastVisitTime - b.lastVisitTime);
+  const { domainPrefs = {}, contexts, intentRules } = await storageGet(["domainPrefs", "contexts", "intentRules"]);
+  const rules        = mergeIntentRules(intentRules);
+  const categoriesOf = url => pageCategories(url, rules);
+  let lookups = null;
+  if (hasPostFilters(query)) {
+    const allContexts = mergeContexts(contexts);
+    lookups = {
+      categoriesOf,
+      prefOf: domain => findDomainContext(domainPrefs, allContexts, domain, getRootDomain(domain))?.polarity || null,
+    };
+  }
 
-  if (sorted.length === 0) return [];
+  const pages = pageHistory({
+    text:      query.text,
+    startTime: query.startTime ?? (query.endTime != null ? 0 : Date.now() - defaultDays * 24 * 60 * 60 * 1000),
+    endTime:   query.endTime,
+  });
+  let found = 0;
+  for await (const page of pages) {
+    if (isCancelled()) return { errors: [], found, cancelled: true };
+    const results = (lookups ? page.filter(item => matchesQuery(item, query, lookups)) : page)
+      .map(item => ({ ...item, categories: [...categoriesOf(item.url)] }));
+    if (results.length === 0) continue;
+    found += results.length;
+    onBatch(results);
+  }
+  return { errors: [], found, cancelled: false };
+}
 
-  // Split history into time-contiguous sessions
-  const sessions = [];
-  let current = [sorted[0]];
-  for (let i = 1; i < sorted.length; i++) {
-    if (sorted[i].lastVisitTime - sorted[i - 1].lastVisitTime > SESSION_GAP_MS) {
-      sessions.push(current);
-      current = [sorted[i]];
-    } else {
-      current.push(sorted[i]);
+// Port protocol, one search per connection:
+//   popup → { type: "START", query, days? } | { type: "CANCEL" }
+//   worker → { type: "BATCH", results[], found } …  then { type: "DONE", found, cancelled }
+//          | { type: "ERRORS", errors[] }   (the query doesn't parse)
+//          | { type: "ERROR", error }
+// Disconnecting cancels too; the walk stops before its next page.
+api.runtime.onConnect.addListener((port) => {
+  if (port.name !== SEARCH_PORT) return;
+
+  let started      = false;
+  let cancelled    = false;
+  let disconnected = false;
+  const post = (message) => {
+    if (!disconnected) port.postMessage(message);
+  };
+
+  port.onDisconnect.addListener(() => { disconnected = true; });
+  port.onMessage.addListener((msg) => {
+    if (msg?.type === "CANCEL") {
+      cancelled = true;
+      return;
     }
+    if (msg?.type !== "START" || started) return;
+    started = true;
+
+    let found = 0;
+    streamSearch(
+      String(msg.query || ""),
+      msg.days || 90,
+      (results) => {
+        found += results.length;
+        post({ type: "BATCH", results, found });
+      },
+      () => cancelled || disconnected
+    )
+      .then(outcome => post(outcome.errors.length > 0
+        ? { type: "ERRORS", errors: outcome.errors }
+        : { type: "DONE", found: outcome.found, cancelled: outcome.cancelled }))
+      .catch(err => post({ type: "ERROR", error: err?.message || String(err) }));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Cleanup policies
+// Each enabled policy in `cleanupPolicies` has an alarm named "policy:<id>".
+// When it fires, the policy's matches are queued as deletion jobs, one per
+// time window, so they run in the background and land in the trash like any
+// other delete. The run is logged in `policyRuns` straight away with
+// `jobsLeft` set; each job folds its counts into that entry as it finishes.
+// Dry runs report what would be deleted without touching history.
+// Pages on protected domains are counted in the run but never deleted.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const POLICY_ALARM_PREFIX  = "policy:";
+const POLICY_LOOKBACK_DAYS = 365;
+const POLICY_RUNS_KEPT     = 10;
+const POLICY_RUN_URLS_KEPT = 50;
+
+let policyRunUpdates = Promise.resolve();
+
+/**
+ * Read-modify-write of `policyRuns`.
+ * @param {(runs: Object<string, object[]>) => Object<string, object[]>} change
+ */
+function updatePolicyRuns(change) {
+  const run = policyRunUpdates.then(async () => {
+    const { policyRuns = {} } = await storageGet("policyRuns");
+    await storageSet({ policyRuns: change(policyRuns) });
+  });
+  policyRunUpdates = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Personal categories a page falls in: categories of its counted positive
+ * rules, plus its known-site category unless a work rule counted on it.
+ * @param {string} url
+ * @param {object[]} rules - Merged intent rules.
+ * @returns {Set<string>}
+ */
+function pageCategories(url, rules) {
+  const result     = classifyUrl(url, rules);
+  const categories = new Set((result?.counted || []).filter(r => r.score > 0).map(r => r.category));
+  const site       = lookupSiteCategory(getDomain(url));
+  if (site && !result?.counted.some(r => r.score < 0)) categories.add(site.category);
+  return categories;
+}
+
+/**
+ * Works out what a policy would delete right now.
+ * @returns {Promise<Array<{ urls: string[], range: { start: number, end: number }, titles: Object<string, string> }>>}
+ *   one batch per time window
+ */
+async function findPolicyTargets(policy) {
+  const { kind, value } = policy.target;
+
+  if (kind === "confidence") {
+    const suggestions = await computeSuggestions();
+    return suggestions
+      .filter(s => CONFIDENCE_RANK[s.confidence] >= CONFIDENCE_RANK[value])
+      .map(s => ({ urls: s.allUrls, range: { start: s.sessionStart, end: s.sessionEnd }, titles: {} }));
   }
-  sessions.push(current);
 
-  const suggestions = [];
+  const cutoff = Date.now() - policy.olderThanDays * 24 * 60 * 60 * 1000;
+  const items  = await searchHistory("", POLICY_LOOKBACK_DAYS, 10000);
+  const { domainPrefs = {}, contexts, intentRules } = await storageGet(["domainPrefs", "contexts", "intentRules"]);
+  const rules       = mergeIntentRules(intentRules);
+  const allContexts = mergeContexts(contexts);
+
+  const matches = items.filter(item => {
+    const domain = getDomain(item.url);
+    if (!domain) return false;
+    const pref = findDomainContext(domainPrefs, allContexts, domain, getRootDomain(domain))?.polarity;
+    if (kind === "pref") return pref === value;
+    if (pref === "work") return false; // never auto-clean domains in a work context
+    return pageCategories(item.url, rules).has(value);
+  });
+  if (matches.length === 0) return [];
+
+  const titles = {};
+  for (const item of matches) if (item.title) titles[item.url] = item.title;
+  return [{ urls: matches.map(i => i.url), range: { start: 0, end: cutoff }, titles }];
+}
+
+/**
+ * Runs a policy: a dry run only reports its matches, a real one logs the run
+ * and queues its deletion jobs.
+ * @param {object} policy
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ run: object, jobs: object[] }>} the run and the queued jobs' summaries
+ */
+async function runPolicy(policy, { dryRun = false } = {}) {
+  const batches = await findPolicyTargets(policy);
+  const { allowed: urls, protectedUrls } = await partitionProtected([...new Set(batches.flatMap(b => b.urls))]);
+  const run = {
+    at:        Date.now(),
+    dryRun,
+    matched:   urls.length,
+    protected: protectedUrls.length,
+    urls:      urls.slice(0, POLICY_RUN_URLS_KEPT),
+  };
 
-  for (const session of sessions) {
-    if (session.length < 5) continue;
+  if (dryRun) return { run, jobs: [] };
 
-    const scored = scoreSession(session, domainPrefs, ignoreCounts);
+  // Batches left with nothing to delete get no job, so jobsLeft can reach zero
+  const allowed = new Set(urls);
+  const queued  = batches
+    .map(batch => ({ ...batch, urls: batch.urls.filter(url => allowed.has(url)) }))
+    .filter(batch => batch.urls.length > 0);
 
-    // Only surface when confidence is meaningful
-    if (scored.score < CONFIDENCE_THRESHOLD) continue;
-    if (scored.categories.length === 0) continue;
+  run.deleted       = 0;
+  run.errored       = 0;
+  run.visitsDeleted = 0;
+  run.trashIds      = [];
+  run.jobsLeft      = queued.length;
+  // Logged before queuing so a job that finishes at once has a run to report to
+  await updatePolicyRuns(runs => ({
+    ...runs,
+    [policy.id]: [run, ...(runs[policy.id] || [])].slice(0, POLICY_RUNS_KEPT),
+  }));
 
-    const sessionStart = session[0].lastVisitTime;
-    const sessionEnd   = session[session.length - 1].lastVisitTime;
+  const jobs = [];
+  for (const batch of queued) {
+    jobs.push(await enqueueDeleteJob(batch.urls, {
+      range:     batch.range,
+      titles:    batch.titles,
+      source:    "policy",
+      policyRun: { policyId: policy.id, at: run.at },
+    }));
+  }
+  return { run, jobs };
+}
 
-    suggestions.push({
-      id:          `session_${sessionStart}`,
-      sessionStart,
-      sessionEnd,
-      totalItems:  session.length,
-      score:       scored.score,
-      confidence:  getConfidence(scored.score),
-      categories:  scored.categories,
-      domains:     scored.domains,
-      allUrls:     scored.categories.flatMap(c => c.urls),
-      breakdown:   scored.breakdown,
-    });
+/** Adds a finished policy job's counts to the run that queued it. */
+function recordPolicyJob(job) {
+  const { policyId, at } = job.policyRun;
+  const summary = summarizeJob(job);
+  return updatePolicyRuns(runs => {
+    if (!runs[policyId]) return runs;   // policy removed since
+    return {
+      ...runs,
+      [policyId]: runs[policyId].map(run => run.at !== at ? run : {
+        ...run,
+        deleted:       run.deleted + summary.deleted,
+        errored:       run.errored + summary.failed,
+        visitsDeleted: run.visitsDeleted + summary.visitsDeleted,
+        trashIds:      job.trashId ? [...run.trashIds, job.trashId] : run.trashIds,
+        jobsLeft:      Math.max(0, (run.jobsLeft || 0) - 1),
+      }),
+    };
+  });
+}
+
+/** Recreates one alarm per enabled policy and drops alarms for the rest. */
+async function syncPolicyAlarms() {
+  const { cleanupPolicies = [], policyRuns = {} } = await storageGet(["cleanupPolicies", "policyRuns"]);
+  const alarms = await new Promise(resolve => api.alarms.getAll(resolve));
+
+  for (const alarm of alarms || []) {
+    if (alarm.name.startsWith(POLICY_ALARM_PREFIX)) api.alarms.clear(alarm.name);
+  }
+  for (const policy of cleanupPolicies) {
+    if (!policy.enabled) continue;
+    const lastRunAt = policyRuns[policy.id]?.[0]?.at || null;
+    api.alarms.create(POLICY_ALARM_PREFIX + policy.id, { when: nextRunTime(policy, lastRunAt) });
   }
+}
+
+/** Categories a policy can target: the built-in ones plus any used by user rules. */
+async function getPolicyCategories() {
+  const { intentRules = [] } = await storageGet("intentRules");
+  const categories = new Set(Object.keys(CATEGORY_META).filter(c => c !== "work"));
+  for (const rule of intentRules) if (rule.score > 0) categories.add(rule.category);
+  return [...categories];
+}
+
+async function handlePolicyAlarm(alarm) {
+  const id = alarm.name.slice(POLICY_ALARM_PREFIX.length);
+  const { cleanupPolicies = [] } = await storageGet("cleanupPolicies");
+  const policy = cleanupPolicies.find(p => p.id === id);
+  if (policy?.enabled) await runPolicy(policy).catch(() => null);
+  await syncPolicyAlarms();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Storage migrations — run whenever the extension is installed or updated
+// ─────────────────────────────────────────────────────────────────────────────
+
+api.runtime.onInstalled.addListener(() => {
+  api.storage.local.get(null, (data) => {
+    const { state, applied } = migrateState(data || {});
+    if (applied.length === 0) return;
+    const dropped = Object.keys(data || {}).filter(key => !(key in state));
+    api.storage.local.set(state, () => {
+      if (dropped.length > 0) api.storage.local.remove(dropped);
+    });
+  });
+});
 
-  // Highest-score first (most confident), then most recent
-  return suggestions
-    .sort((a, b) => b.score - a.score || b.sessionStart - a.sessionStart)
-    .slice(0, 5);
+// ─────────────────────────────────────────────────────────────────────────────
+// Backup and restore (backup.js)
+// An import is planned from what is stored at the moment it is applied, not
+// from the preview, and runs in turn with model and adaptive-memory updates
+// so an ignore that lands mid-import isn't lost or overwritten.
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function exportState() {
+  const stored = await storageGet([...BACKUP_SECTIONS, "domainIgnoreCounts", "schemaVersion"]);
+  return createBackup(stored);
+}
+
+async function planStateImport(backup, strategy) {
+  const [current, categories] = await Promise.all([storageGet(BACKUP_SECTIONS), getPolicyCategories()]);
+  return planImport(current, backup, strategy, { categories });
+}
+
+/**
+ * @returns {Promise<{ ok: boolean, diff?: object[], applied?: string[], errors?: object[] }>}
+ */
+function applyStateImport(backup, strategy) {
+  const run = Promise.all([modelUpdates, domainEventUpdates]).then(async () => {
+    const plan = await planStateImport(backup, strategy);
+    if (plan.errors.length > 0) return { ok: false, errors: plan.errors };
+    await storageSet({ ...plan.state, schemaVersion: SCHEMA_VERSION });
+    await syncPolicyAlarms();
+    return { ok: true, diff: plan.diff, applied: plan.applied };
+  });
+  modelUpdates       = run.catch(() => {});
+  domainEventUpdates = modelUpdates;
+  return run;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Alarms — trash retention (daily + on browser start), cleanup policies and
+// resuming deletion jobs
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TRASH_PURGE_ALARM = "trash-purge";
+
+api.runtime.onInstalled.addListener(() => {
+  api.alarms.create(TRASH_PURGE_ALARM, { periodInMinutes: 24 * 60 });
+  syncPolicyAlarms();
+});
+
+// Firefox doesn't keep alarms across restarts, so policies are rescheduled too
+api.runtime.onStartup.addListener(() => {
+  purgeExpiredTrash();
+  syncPolicyAlarms();
+});
+
+api.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_PURGE_ALARM) purgeExpiredTrash();
+  else if (alarm.name === DELETE_JOB_ALARM) processDeleteJobs().catch(() => {});
+  else if (alarm.name.startsWith(POLICY_ALARM_PREFIX)) handlePolicyAlarm(alarm);
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Message Router
 // ─────────────────────────────────────────────────────────────────────────────
@@ -293,79 +1081,135 @@ function detectMixedSessions(items, domainPrefs, ignoreCounts) {
 api.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 
   // ── SEARCH_HISTORY ────────────────────────────────────────────────────────
+  // query uses the query.js syntax; a query that doesn't parse is not run.
+  // Everything is returned in one response — the popup's search box streams
+  // over the "search" port instead.
   if (msg.type === "SEARCH_HISTORY") {
-    const days = msg.days || 90;
-    api.history.search(
-      { text: msg.query, startTime: Date.now() - days * 24 * 60 * 60 * 1000, maxResults: 1000 },
-      (results) => {
-        if (api.runtime.lastError) {
-          sendResponse({ error: api.runtime.lastError.message, results: [] });
-        } else {
-          sendResponse({ results: results || [] });
-        }
-      }
-    );
+    const results = [];
+    streamSearch(String(msg.query || ""), msg.days || 90, batch => results.push(...batch))
+      .then(({ errors }) => sendResponse({ results: errors.length > 0 ? [] : results, errors }))
+      .catch(err => sendResponse({ error: err?.message || String(err), results: [] }));
     return true;
   }
 
   // ── GET_SUGGESTIONS ───────────────────────────────────────────────────────
   if (msg.type === "GET_SUGGESTIONS") {
-    api.history.search(
-      { text: "", startTime: Date.now() - 7 * 24 * 60 * 60 * 1000, maxResults: 5000 },
-      (items) => {
-        api.storage.local.get(["ignoredSessions", "domainPrefs", "domainIgnoreCounts"], (data) => {
-          const ignored      = new Set(data.ignoredSessions || []);
-          const domainPrefs  = data.domainPrefs        || {};
-          const ignoreCounts = data.domainIgnoreCounts || {};
-
-          const all      = detectMixedSessions(items || [], domainPrefs, ignoreCounts);
-          const filtered = all.filter(s => !ignored.has(s.id));
-          sendResponse({ suggestions: filtered });
-        });
-      }
-    );
+    Promise.all([computeSuggestions(), loadSettings()])
+      .then(([all, settings]) => sendResponse({ suggestions: all.slice(0, settings.maxSuggestions) }))
+      .catch(err => sendResponse({ error: err?.message || String(err), suggestions: [] }));
+    return true;
+  }
+
+  // ── GET_TIMELINE ──────────────────────────────────────────────────────────
+  // Windows are capped at TIMELINE_MAX_DAYS; the dashboard fetches as it zooms.
+  if (msg.type === "GET_TIMELINE") {
+    const span = readWindow(msg);
+    if (span.error) {
+      sendResponse({ error: span.error, sessions: [] });
+      return true;
+    }
+    getTimeline(span.start, span.end)
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err?.message || String(err), sessions: [] }));
+    return true;
+  }
+
+  // ── GET_VISITED_PAGES ─────────────────────────────────────────────────────
+  if (msg.type === "GET_VISITED_PAGES") {
+    const span = readWindow(msg);
+    if (span.error) {
+      sendResponse({ error: span.error, pages: [] });
+      return true;
+    }
+    getVisitedPages(span.start, span.end)
+      .then(pages => sendResponse({ pages }))
+      .catch(err => sendResponse({ error: err?.message || String(err), pages: [] }));
+    return true;
+  }
+
+  // ── GET_INSIGHTS ──────────────────────────────────────────────────────────
+  if (msg.type === "GET_INSIGHTS") {
+    if (!Object.hasOwn(INSIGHT_PERIODS, msg.period)) {
+      sendResponse({ error: `period must be one of: ${Object.keys(INSIGHT_PERIODS).join(", ")}.` });
+      return true;
+    }
+    getInsights(msg.period)
+      .then(report => sendResponse({ report }))
+      .catch(err => sendResponse({ error: err?.message || String(err) }));
     return true;
   }
 
   // ── IGNORE_SUGGESTION ─────────────────────────────────────────────────────
-  // Permanently ignores the session AND increments domain ignore counters.
+  // Permanently ignores the session AND records an ignore for each domain.
   if (msg.type === "IGNORE_SUGGESTION") {
-    api.storage.local.get(["ignoredSessions", "domainIgnoreCounts"], (data) => {
-      const ignored = data.ignoredSessions   || [];
-      const counts  = data.domainIgnoreCounts || {};
-
+    api.storage.local.get("ignoredSessions", (data) => {
+      const ignored = data.ignoredSessions || [];
       if (!ignored.includes(msg.id)) ignored.push(msg.id);
 
-      // Increment ignore counter for each affected domain (adaptive learning)
-      (msg.domains || []).forEach(domain => {
-        const root = domain.split(".").slice(-2).join(".");
-        counts[root] = (counts[root] || 0) + 1;
-      });
-
-      api.storage.local.set({ ignoredSessions: ignored, domainIgnoreCounts: counts }, () => {
-        sendResponse({ ok: true });
-      });
+      Promise.all([
+        storageSet({ ignoredSessions: ignored }),
+        recordDomainActivity(msg.domains || [], "ignore"),
+      ])
+        .then(() => sendResponse({ ok: true }))
+        .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
     });
+    learnFromPages(msg.pages, "work").catch(() => {});
     return true;
   }
 
   // ── GET_DOMAIN_PREFS ──────────────────────────────────────────────────────
   if (msg.type === "GET_DOMAIN_PREFS") {
-    api.storage.local.get("domainPrefs", (data) => {
-      sendResponse({ prefs: data.domainPrefs || {} });
+    api.storage.local.get(["domainPrefs", "contexts"], (data) => {
+      sendResponse({
+        prefs:    data.domainPrefs || {},
+        contexts: mergeContexts(data.contexts),
+      });
     });
     return true;
   }
 
+  // ── SET_DOMAIN_PROTECTED ──────────────────────────────────────────────────
+  // Protected domains are skipped by every delete: bulk, suggestions and policies.
+  // Protection covers the whole root domain, whichever host it was asked for.
+  if (msg.type === "SET_DOMAIN_PROTECTED") {
+    storageGet("domainPrefs")
+      .then(async ({ domainPrefs = {} }) => {
+        const root = getRootDomain(msg.domain);
+        if (!root) return { ok: false, error: "No domain given" };
+        const pref = makeDomainPref(prefContextId(domainPrefs[root]), !!msg.protected);
+        if (pref === null) {
+          delete domainPrefs[root];
+        } else {
+          domainPrefs[root] = pref;
+        }
+        await storageSet({ domainPrefs });
+        return { ok: true, prefs: domainPrefs };
+      })
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
   // ── SET_DOMAIN_PREF ───────────────────────────────────────────────────────
-  // pref: "work" | "personal" | null (null removes the override)
+  // pref: a context id ("work", "personal" or a custom one) | null (removes the override)
   if (msg.type === "SET_DOMAIN_PREF") {
-    api.storage.local.get("domainPrefs", (data) => {
-      const prefs = data.domainPrefs || {};
-      if (msg.pref === null) {
+    api.storage.local.get(["domainPrefs", "contexts"], (data) => {
+      const prefs    = data.domainPrefs || {};
+      const contexts = mergeContexts(data.contexts);
+      const context  = contexts.find(c => c.id === msg.pref) || null;
+      if (msg.pref !== null && !context) {
+        sendResponse({ ok: false, error: "Unknown context" });
+        return;
+      }
+      const previous = contexts.find(c => c.id === prefContextId(prefs[msg.domain]));
+      if (context && previous?.polarity !== context.polarity) {
+        learnFromDomainTag(msg.domain, context.polarity).catch(() => {});
+      }
+      const pref = makeDomainPref(msg.pref, prefs[msg.domain]?.protected === true);
+      if (pref === null) {
         delete prefs[msg.domain];
       } else {
-        prefs[msg.domain] = msg.pref;
+        prefs[msg.domain] = pref;
       }
       api.storage.local.set({ domainPrefs: prefs }, () => {
         sendResponse({ ok: true, prefs });
@@ -374,26 +1218,314 @@ api.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     return true;
   }
 
+  // ── GET_CONTEXTS ──────────────────────────────────────────────────────────
+  if (msg.type === "GET_CONTEXTS") {
+    storageGet(["contexts", "domainPrefs"])
+      .then(({ contexts = [], domainPrefs = {} }) => {
+        const usage = {};
+        for (const id of Object.values(domainPrefs).map(prefContextId).filter(Boolean)) usage[id] = (usage[id] || 0) + 1;
+        sendResponse({ contexts, builtins: BUILTIN_CONTEXTS, colors: CONTEXT_COLORS, usage });
+      })
+      .catch(err => sendResponse({ error: err?.message || String(err), contexts: [] }));
+    return true;
+  }
+
+  // ── SAVE_CONTEXTS ─────────────────────────────────────────────────────────
+  // Replaces the custom contexts. Domains assigned to a removed context lose
+  // their assignment but keep their protection.
+  if (msg.type === "SAVE_CONTEXTS") {
+    (async () => {
+      const { contexts, errors } = validateContexts(msg.contexts);
+      if (errors.length > 0) return { ok: false, errors };
+
+      const { domainPrefs = {} } = await storageGet("domainPrefs");
+      const known = new Set(mergeContexts(contexts).map(c => c.id));
+      for (const [domain, pref] of Object.entries(domainPrefs)) {
+        const id = prefContextId(pref);
+        if (!id || known.has(id)) continue;
+        const kept = makeDomainPref(null, pref.protected === true);
+        if (kept === null) delete domainPrefs[domain];
+        else domainPrefs[domain] = kept;
+      }
+      await storageSet({ contexts, domainPrefs });
+      return { ok: true, contexts };
+    })()
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, errors: [{ index: -1, field: "contexts", message: err?.message || String(err) }] }));
+    return true;
+  }
+
   // ── DELETE_ITEMS ──────────────────────────────────────────────────────────
+  // Queues a deletion job and answers straight away; progress and the result
+  // arrive on the "delete-jobs" port. Deleted entries go to the trash so the
+  // job can be undone, and each domain deleted from counts against it in
+  // adaptive memory. URLs on protected domains are recorded as "protected".
   if (msg.type === "DELETE_ITEMS") {
     const urls = msg.urls || [];
-    if (urls.length === 0) {
-      sendResponse({ ok: true, deleted: 0, errored: 0 });
+    if (msg.range && (!Number.isFinite(msg.range.start) || !Number.isFinite(msg.range.end))) {
+      sendResponse({ ok: false, error: "Invalid deletion range" });
       return true;
     }
 
-    let completed = 0;
-    let errored   = 0;
+    enqueueDeleteJob(urls, { range: msg.range || null, titles: msg.titles || {}, learn: !!msg.learn })
+      .then(job => sendResponse({ ok: true, job }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── GET_DELETE_JOB ────────────────────────────────────────────────────────
+  // The job's summary plus every item's outcome.
+  if (msg.type === "GET_DELETE_JOB") {
+    storageGet("deleteJobs")
+      .then(({ deleteJobs = [] }) => {
+        const job = deleteJobs.find(j => j.id === msg.id);
+        sendResponse(job ? { job: summarizeJob(job), items: job.items } : { error: "Unknown job" });
+      })
+      .catch(err => sendResponse({ error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── ACK_DELETE_JOB ────────────────────────────────────────────────────────
+  // The popup has shown the job's result, so it isn't offered again.
+  if (msg.type === "ACK_DELETE_JOB") {
+    updateDeleteJobs(jobs => pruneJobs(jobs.map(j => (j.id === msg.id ? { ...j, seen: true } : j))))
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── GET_TRASH ─────────────────────────────────────────────────────────────
+  if (msg.type === "GET_TRASH") {
+    Promise.all([getTrash(), loadSettings()])
+      .then(([batches, settings]) => sendResponse({ batches, retentionDays: settings.trashRetentionDays }))
+      .catch(err => sendResponse({ error: err?.message || String(err), batches: [] }));
+    return true;
+  }
 
-    for (const url of urls) {
-      api.history.deleteUrl({ url }, () => {
-        if (api.runtime.lastError) errored++;
-        else completed++;
-        if (completed + errored === urls.length) {
-          sendResponse({ ok: errored === 0, deleted: completed, errored });
+  // ── RESTORE_TRASH ─────────────────────────────────────────────────────────
+  if (msg.type === "RESTORE_TRASH") {
+    restoreFromTrash(msg.id, msg.urls || null)
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err), restored: 0 }));
+    return true;
+  }
+
+  // ── DELETE_TRASH ──────────────────────────────────────────────────────────
+  if (msg.type === "DELETE_TRASH") {
+    removeFromTrash(msg.id)
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── GET_SETTINGS ──────────────────────────────────────────────────────────
+  if (msg.type === "GET_SETTINGS") {
+    loadSettings()
+      .then(settings => sendResponse({ settings }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── SAVE_SETTINGS ─────────────────────────────────────────────────────────
+  if (msg.type === "SAVE_SETTINGS") {
+    saveSettings(msg.settings)
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, errors: [{ field: "settings", message: err?.message || String(err) }] }));
+    return true;
+  }
+
+  // ── RESET_SETTINGS ────────────────────────────────────────────────────────
+  if (msg.type === "RESET_SETTINGS") {
+    resetSettings(msg.fields)
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, errors: [{ field: "settings", message: err?.message || String(err) }] }));
+    return true;
+  }
+
+  // ── GET_POLICIES ──────────────────────────────────────────────────────────
+  if (msg.type === "GET_POLICIES") {
+    Promise.all([
+      storageGet(["cleanupPolicies", "policyRuns"]),
+      new Promise(resolve => api.alarms.getAll(resolve)),
+      getPolicyCategories(),
+    ]).then(([data, alarms, categories]) => {
+      const nextRuns = {};
+      for (const alarm of alarms || []) {
+        if (alarm.name.startsWith(POLICY_ALARM_PREFIX)) {
+          nextRuns[alarm.name.slice(POLICY_ALARM_PREFIX.length)] = alarm.scheduledTime;
         }
+      }
+      const lastRuns = {};
+      for (const [id, runs] of Object.entries(data.policyRuns || {})) lastRuns[id] = runs[0] || null;
+      sendResponse({ policies: data.cleanupPolicies || [], lastRuns, nextRuns, categories });
+    }).catch(err => sendResponse({ error: err?.message || String(err), policies: [] }));
+    return true;
+  }
+
+  // ── SAVE_POLICY ───────────────────────────────────────────────────────────
+  // Adds a new policy or replaces the one with the same id.
+  if (msg.type === "SAVE_POLICY") {
+    (async () => {
+      const { policy, errors } = validatePolicy(msg.policy, await getPolicyCategories());
+      if (errors.length > 0) return { ok: false, errors };
+
+      const { cleanupPolicies = [] } = await storageGet("cleanupPolicies");
+      const index = cleanupPolicies.findIndex(p => p.id === policy.id);
+      if (index === -1) cleanupPolicies.push(policy);
+      else cleanupPolicies[index] = policy;
+      await storageSet({ cleanupPolicies });
+      await syncPolicyAlarms();
+      return { ok: true, policy };
+    })()
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, errors: [{ field: "policy", message: err?.message || String(err) }] }));
+    return true;
+  }
+
+  // ── DELETE_POLICY ─────────────────────────────────────────────────────────
+  if (msg.type === "DELETE_POLICY") {
+    (async () => {
+      const { cleanupPolicies = [] } = await storageGet("cleanupPolicies");
+      await storageSet({ cleanupPolicies: cleanupPolicies.filter(p => p.id !== msg.id) });
+      await updatePolicyRuns(runs => Object.fromEntries(Object.entries(runs).filter(([id]) => id !== msg.id)));
+      await syncPolicyAlarms();
+    })()
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── RUN_POLICY ────────────────────────────────────────────────────────────
+  if (msg.type === "RUN_POLICY") {
+    (async () => {
+      const { cleanupPolicies = [] } = await storageGet("cleanupPolicies");
+      const policy = cleanupPolicies.find(p => p.id === msg.id);
+      if (!policy) return { ok: false, error: "Policy not found" };
+      const { run, jobs } = await runPolicy(policy, { dryRun: !!msg.dryRun });
+      if (!msg.dryRun) await syncPolicyAlarms();
+      return { ok: true, run, jobs };
+    })()
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── GET_INTENT_RULES ──────────────────────────────────────────────────────
+  if (msg.type === "GET_INTENT_RULES") {
+    api.storage.local.get("intentRules", (data) => {
+      sendResponse({
+        rules:      data.intentRules || [],
+        builtins:   URL_INTENT_RULES,
+        categories: CATEGORY_META,
+        types:      RULE_TYPES,
       });
+    });
+    return true;
+  }
+
+  // ── SAVE_INTENT_RULES ─────────────────────────────────────────────────────
+  // Nothing is written unless every rule validates.
+  if (msg.type === "SAVE_INTENT_RULES") {
+    const { rules, errors } = validateIntentRules(msg.rules);
+    if (errors.length > 0) {
+      sendResponse({ ok: false, errors });
+      return true;
     }
+    api.storage.local.set({ intentRules: rules }, () => {
+      sendResponse({ ok: true, rules });
+    });
+    return true;
+  }
+
+  // ── PREVIEW_INTENT_RULES ──────────────────────────────────────────────────
+  // Classifies the last 7 days of history against a draft rule list (merged
+  // with the built-ins) and reports which URLs each draft rule would count on.
+  if (msg.type === "PREVIEW_INTENT_RULES") {
+    const { rules } = validateIntentRules(msg.rules);
+    const merged    = mergeIntentRules(rules);
+    api.history.search(
+      { text: "", startTime: Date.now() - 7 * 24 * 60 * 60 * 1000, maxResults: 1000 },
+      (items) => {
+        const hits = {};
+        for (const rule of rules) hits[rule.id] = [];
+        for (const item of items || []) {
+          const result = classifyUrl(item.url, merged);
+          for (const rule of result?.counted || []) {
+            if (hits[rule.id]) hits[rule.id].push(item.url);
+          }
+        }
+        sendResponse({ hits, scanned: (items || []).length });
+      }
+    );
+    return true;
+  }
+
+  // ── GET_LEARNED_MODEL ─────────────────────────────────────────────────────
+  if (msg.type === "GET_LEARNED_MODEL") {
+    storageGet("learnedModel")
+      .then(({ learnedModel }) => sendResponse({ summary: summarizeModel(learnedModel) }))
+      .catch(err => sendResponse({ error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── RESET_LEARNED_MODEL ───────────────────────────────────────────────────
+  // With a token, forgets just that token; otherwise forgets everything.
+  if (msg.type === "RESET_LEARNED_MODEL") {
+    const reset = msg.token
+      ? updateLearnedModel(model => forgetToken(model, msg.token))
+      : updateLearnedModel(() => null);
+    reset
+      .then(model => sendResponse({ ok: true, summary: summarizeModel(model) }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── GET_ADAPTIVE_MEMORY ───────────────────────────────────────────────────
+  if (msg.type === "GET_ADAPTIVE_MEMORY") {
+    getAdaptiveMemory()
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err?.message || String(err), domains: [] }));
+    return true;
+  }
+
+  // ── REVERT_ADAPTIVE_DOMAIN ────────────────────────────────────────────────
+  // Forgets a domain's ignores and deletes, so it is scored normally again.
+  // Its ignored sessions stay ignored.
+  if (msg.type === "REVERT_ADAPTIVE_DOMAIN") {
+    updateDomainEvents((events) => {
+      const { [msg.domain]: _forgotten, ...rest } = events;
+      return rest;
+    })
+      .then(getAdaptiveMemory)
+      .then(memory => sendResponse({ ok: true, memory }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── EXPORT_STATE ──────────────────────────────────────────────────────────
+  if (msg.type === "EXPORT_STATE") {
+    exportState()
+      .then(backup => sendResponse({ backup }))
+      .catch(err => sendResponse({ error: err?.message || String(err) }));
+    return true;
+  }
+
+  // ── PREVIEW_IMPORT ────────────────────────────────────────────────────────
+  // Nothing is written; the diff says what APPLY_IMPORT would change.
+  if (msg.type === "PREVIEW_IMPORT") {
+    planStateImport(msg.backup, msg.strategy)
+      .then(plan => sendResponse(plan.errors.length > 0
+        ? { ok: false, errors: plan.errors }
+        : { ok: true, diff: plan.diff, applied: plan.applied }))
+      .catch(err => sendResponse({ ok: false, errors: [{ field: "backup", message: err?.message || String(err) }] }));
+    return true;
+  }
+
+  // ── APPLY_IMPORT ──────────────────────────────────────────────────────────
+  if (msg.type === "APPLY_IMPORT") {
+    applyStateImport(msg.backup, msg.strategy)
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, errors: [{ field: "backup", message: err?.message || String(err) }] }));
     return true;
   }
 });
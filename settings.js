@@ -0,0 +1,120 @@
+/**
+ * settings.js
+ * User-tunable settings, stored in storage.local under `settings`.
+ * Stored values are partial; anything missing falls back to DEFAULT_SETTINGS.
+ */
+
+import { storageGet, storageSet } from "./storage.js";
+import { DEFAULT_WORK_SCHEDULE, validateWorkSchedule } from "./schedule.js";
+import { DETECTION_DEFAULTS } from "./detection.js";
+import { DEFAULT_URL_NORMALIZATION, validateUrlNormalization } from "./grouping.js";
+
+export const DEFAULT_SETTINGS = {
+  trashRetentionDays: 7,   // how long deleted history stays restorable
+  workSchedule:       DEFAULT_WORK_SCHEDULE,
+  urlNormalization:   DEFAULT_URL_NORMALIZATION,   // how search results collapse duplicate URLs
+  ...DETECTION_DEFAULTS,   // detection sensitivity, see detection.js
+};
+
+// Settings the options page's "Restore defaults" resets for detection
+export const DETECTION_SETTING_KEYS = Object.keys(DETECTION_DEFAULTS);
+
+// Structured settings validated by their own module: input → { value, errors }
+const OBJECT_VALIDATORS = {
+  workSchedule: (input) => {
+    const { schedule, errors } = validateWorkSchedule(input);
+    return { value: schedule, errors };
+  },
+  urlNormalization: (input) => {
+    const { rules, errors } = validateUrlNormalization(input);
+    return { value: rules, errors };
+  },
+};
+
+// Numeric settings: inclusive bounds and whether fractions are allowed.
+// sessionGapMinutes stays within the 2 h referrer-continuation window.
+export const NUMBER_LIMITS = {
+  trashRetentionDays:     { min: 1,   max: 90,  integer: true,  label: "Trash retention" },
+  confidenceThreshold:    { min: 0.5, max: 20,  integer: false, label: "Confidence threshold" },
+  autoWorkIgnoreCount:    { min: 1,   max: 50,  integer: true,  label: "Ignores before auto-work" },
+  ignoreHalfLifeDays:     { min: 1,   max: 365, integer: true,  label: "Ignore half-life" },
+  sessionGapMinutes:      { min: 5,   max: 120, integer: true,  label: "Session gap" },
+  minSessionPages:        { min: 2,   max: 50,  integer: true,  label: "Minimum session length" },
+  suggestionLookbackDays: { min: 1,   max: 90,  integer: true,  label: "Lookback" },
+  maxSuggestions:         { min: 1,   max: 20,  integer: true,  label: "Suggestion limit" },
+  workSignalWeight:       { min: 0,   max: 3,   integer: false, label: "Work signal weight" },
+  learnedModelWeight:     { min: 0,   max: 5,   integer: false, label: "Learned model weight" },
+  siteCatalogueWeight:    { min: 0,   max: 5,   integer: false, label: "Site catalogue weight" },
+};
+
+/**
+ * Validates a partial settings object. Unknown keys are rejected.
+ * @param {object} input
+ * @returns {{ settings: object, errors: Array<{ field: string, message: string }> }}
+ *   `settings` holds only the valid fields from `input`.
+ */
+export function validateSettings(input) {
+  const settings = {};
+  const errors   = [];
+
+  for (const [field, value] of Object.entries(input || {})) {
+    if (OBJECT_VALIDATORS[field]) {
+      const result = OBJECT_VALIDATORS[field](value);
+      if (result.errors.length > 0) errors.push(...result.errors);
+      else settings[field] = result.value;
+      continue;
+    }
+
+    const limits = NUMBER_LIMITS[field];
+    if (!limits) {
+      errors.push({ field, message: `Unknown setting "${field}".` });
+      continue;
+    }
+    const n = Number(value);
+    if (value === "" || value === null || !Number.isFinite(n) || (limits.integer && !Number.isInteger(n))) {
+      errors.push({ field, message: `${limits.label} must be a ${limits.integer ? "whole " : ""}number.` });
+    } else if (n < limits.min || n > limits.max) {
+      errors.push({ field, message: `${limits.label} must be between ${limits.min} and ${limits.max}.` });
+    } else {
+      settings[field] = n;
+    }
+  }
+  return { settings, errors };
+}
+
+/**
+ * Stored settings merged over the defaults. Invalid stored values are ignored.
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function loadSettings() {
+  const { settings: stored } = await storageGet("settings");
+  const { settings }         = validateSettings(stored);
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+/**
+ * Validates and saves a partial update. Nothing is written if any field fails.
+ * @param {object} update
+ * @returns {Promise<{ ok: boolean, settings?: object, errors?: object[] }>}
+ */
+export async function saveSettings(update) {
+  const { settings, errors } = validateSettings(update);
+  if (errors.length > 0) return { ok: false, errors };
+
+  const { settings: stored } = await storageGet("settings");
+  await storageSet({ settings: { ...(stored || {}), ...settings } });
+  return { ok: true, settings: await loadSettings() };
+}
+
+/**
+ * Drops stored values so the given settings fall back to their defaults.
+ * @param {string[]} [fields] - Omit to reset every setting.
+ * @returns {Promise<{ ok: boolean, settings: object }>}
+ */
+export async function resetSettings(fields) {
+  const { settings: stored } = await storageGet("settings");
+  const kept = { ...(stored || {}) };
+  for (const field of fields || Object.keys(kept)) delete kept[field];
+  await storageSet({ settings: kept });
+  return { ok: true, settings: await loadSettings() };
+}
@@ -0,0 +1,41 @@
+/**
+ * storage.js
+ * Promise wrappers around storage.local.
+ * Works in both Chrome (chrome.*) and Firefox (browser.*).
+ */
+
+const api = typeof browser !== "undefined" ? browser : chrome;
+
+/**
+ * Read keys from storage.local.
+ * @param {string|string[]|null} keys - null reads everything.
+ * @returns {Promise<Object<string, any>>}
+ */
+export function storageGet(keys) {
+  return new Promise((resolve, reject) => {
+    api.storage.local.get(keys, (data) => {
+      if (api.runtime.lastError) {
+        reject(api.runtime.lastError);
+      } else {
+        resolve(data || {});
+      }
+    });
+  });
+}
+
+/**
+ * Write keys to storage.local.
+ * @param {Object<string, any>} items
+ * @returns {Promise<void>}
+ */
+export function storageSet(items) {
+  return new Promise((resolve, reject) => {
+    api.storage.local.set(items, () => {
+      if (api.runtime.lastError) {
+        reject(api.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
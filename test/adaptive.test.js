@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { domainWeights, recordDomainEvents, summarizeDomainEvents } from "../adaptive.js";
+import { migrateState } from "../migrations.js";
+
+const DAY_MS    = 24 * 60 * 60 * 1000;
+const HALF_LIFE = 30;
+
+test("N fresh ignores reach a threshold of N", () => {
+  const start = Date.UTC(2026, 9, 18, 12);
+  for (const n of [1, 3, 5]) {
+    let events = {};
+    for (let i = 0; i < n; i++) events = recordDomainEvents(events, ["example.com"], "ignore", HALF_LIFE, start + i * 1000);
+    const now = start + n * 1000;
+    assert.ok(domainWeights(events, HALF_LIFE, now)["example.com"] >= n);
+    assert.equal(summarizeDomainEvents(events, { halfLifeDays: HALF_LIFE, threshold: n }, now)[0].elevated, true);
+  }
+});
+
+test("ignores start fading after their first day", () => {
+  const at     = Date.UTC(2026, 9, 18, 12);
+  const events = recordDomainEvents({}, ["example.com"], "ignore", HALF_LIFE, at);
+  assert.equal(domainWeights(events, HALF_LIFE, at + DAY_MS)["example.com"], 1);
+  assert.equal(domainWeights(events, HALF_LIFE, at + DAY_MS + HALF_LIFE * DAY_MS)["example.com"], 0.5);
+});
+
+test("migrated ignore counts keep the domain at the threshold after the upgrade", () => {
+  const now = Date.UTC(2026, 9, 18, 12);
+  const { state } = migrateState({ domainIgnoreCounts: { "example.com": 3 } }, now);
+  assert.ok(domainWeights(state.domainEvents, HALF_LIFE, now + 60 * 60 * 1000)["example.com"] >= 3);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { classifyUrl, mergeIntentRules } from "../detection.js";
+
+test("every matching rule adds up, across and within categories", () => {
+  const result = classifyUrl("https://www.youtube.com/watch/live/1");
+  assert.deepEqual(result.counted.map(r => r.match), ["/watch", "/live"]);
+  assert.equal(result.score, 3);
+});
+
+test("rules of one category matching the same part of the URL count once, for the most specific", () => {
+  const rules  = mergeIntentRules([{ type: "prefix", match: "/watch", score: 3, category: "entertainment" }]);
+  const result = classifyUrl("https://www.youtube.com/watch?v=1", rules);
+  assert.deepEqual(result.counted.map(r => `${r.type || "segment"}:${r.match}`), ["prefix:/watch"]);
+  assert.equal(result.matches.find(m => !m.rule.type && m.rule.match === "/watch").reason, "less specific");
+});
+
+test("segments match whole path parts only", () => {
+  assert.equal(classifyUrl("https://example.com/apiary"), null);
+  assert.equal(classifyUrl("https://example.com/api/v1").score, -2);
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { migrateState } from "../migrations.js";
+import { isProtectedHost } from "../domains.js";
+
+test("protected domains move into the domain prefs under their root domain", () => {
+  const { state } = migrateState({
+    schemaVersion:    2,
+    domainPrefs:      { "okta.com": "work", "github.com": "work" },
+    protectedDomains: { "okta.com": true, "jira.example.com": true },
+  });
+  assert.equal("protectedDomains" in state, false);
+  assert.deepEqual(state.domainPrefs, {
+    "okta.com":    { context: "work", protected: true },
+    "github.com":  "work",
+    "example.com": { context: null, protected: true },
+  });
+  assert.equal(isProtectedHost(state.domainPrefs, "login.okta.com"), true);
+  assert.equal(isProtectedHost(state.domainPrefs, "github.com"), false);
+});
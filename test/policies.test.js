@@ -0,0 +1,29 @@
+// Pinned before any date is made: the DST case below is New York's fall-back week
+process.env.TZ = "America/New_York";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { nextRunTime } from "../policies.js";
+
+const MINUTE_MS = 60 * 1000;
+const mondayAt6 = { schedule: { kind: "weekly", weekday: 1, time: "18:00" }, createdAt: new Date(2026, 8, 1).getTime() };
+
+test("a weekly run the week before clocks fall back waits for next week's slot", () => {
+  const lastRun = new Date(2026, 9, 26, 18, 0).getTime();   // Monday, EDT
+  const now     = lastRun + 5 * MINUTE_MS;
+  assert.equal(nextRunTime(mondayAt6, lastRun, now), new Date(2026, 10, 2, 18, 0).getTime());   // Monday, EST
+});
+
+test("a weekly run the week before clocks spring forward waits for next week's slot", () => {
+  const lastRun = new Date(2026, 2, 2, 18, 0).getTime();
+  const now     = lastRun + 5 * MINUTE_MS;
+  assert.equal(nextRunTime(mondayAt6, lastRun, now), new Date(2026, 2, 9, 18, 0).getTime());
+});
+
+test("a missed weekly slot is caught up right away", () => {
+  const lastRun = new Date(2026, 9, 19, 18, 0).getTime();
+  const now     = new Date(2026, 9, 27, 9, 0).getTime();
+  const next    = nextRunTime(mondayAt6, lastRun, now);
+  assert.ok(next > now && next < now + 5 * MINUTE_MS);
+});
@@ -0,0 +1,183 @@
+/**
+ * trash.js
+ * On-device recycle bin for deleted history.
+ *
+ * Before history is deleted, the background snapshots each URL's title and
+ * the visit times being removed. Snapshots are grouped into one batch per
+ * delete action and kept in storage.local under `trash` until they are older
+ * than settings.trashRetentionDays, so changing the retention period applies
+ * to batches already in the trash. Nothing here leaves the device.
+ *
+ * The trash is the only copy of deleted history, so every write to it goes
+ * through one chain (updateTrash) and never overlaps another.
+ */
+
+import { storageGet, storageSet } from "./storage.js";
+import { getVisits, addUrl } from "./history.js";
+import { loadSettings } from "./settings.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Captures what a delete is about to remove.
+ * @param {string[]} urls
+ * @param {Object<string, string>} [titles] - Known titles by URL.
+ * @param {{ start: number, end: number }|null} [range] - Only visits in this window.
+ * @returns {Promise<Array<{ url: string, title: string, visitTimes: number[] }>>}
+ */
+export async function snapshotEntries(urls, titles = {}, range = null) {
+  const entries = [];
+  for (const url of urls) {
+    let visitTimes = [];
+    try {
+      visitTimes = (await getVisits(url)).map(v => v.visitTime).filter(Boolean);
+    } catch (_) { /* snapshot without visit times */ }
+    if (range) visitTimes = visitTimes.filter(t => t >= range.start && t <= range.end);
+    entries.push({ url, title: titles[url] || "", visitTimes });
+  }
+  return entries;
+}
+
+let trashUpdates = Promise.resolve();
+
+/**
+ * Read-modify-write of `trash`. Every write goes through here, one at a
+ * time, so a delete, a restore and a purge that overlap can't overwrite each
+ * other's batches.
+ * @param {(trash: object[]) => { trash: object[], result?: any }|Promise<{ trash: object[], result?: any }>} change
+ *   Returning the same array skips the write.
+ * @returns {Promise<any>} the change's result
+ */
+function updateTrash(change) {
+  const run = trashUpdates.then(async () => {
+    const { trash = [] } = await storageGet("trash");
+    const { trash: next, result } = await change(trash);
+    if (next !== trash) await storageSet({ trash: next });
+    return result;
+  });
+  trashUpdates = run.catch(() => {});
+  return run;
+}
+
+function newBatch(entries, source, id = null) {
+  const now = Date.now();
+  return {
+    id:        id || `trash_${now.toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+    source,
+    deletedAt: now,
+    entries,
+  };
+}
+
+/**
+ * Stores a batch of deleted entries.
+ * @param {Array<{ url: string, title: string, visitTimes: number[] }>} entries
+ * @param {string} [source] - What deleted them ("manual", "session", …).
+ * @returns {Promise<string|null>} batch id, or null when there was nothing to keep
+ */
+export function addToTrash(entries, source = "manual") {
+  if (entries.length === 0) return Promise.resolve(null);
+  const batch = newBatch(entries, source);
+  return updateTrash(trash => ({ trash: [batch, ...trash], result: batch.id }));
+}
+
+/**
+ * Adds entries to the batch `id`, starting it under that id when it isn't in
+ * the trash, so a delete done in chunks undoes as one and a chunk that is
+ * run again adds to the batch it already started.
+ * @param {string} id
+ * @param {Array<{ url: string, title: string, visitTimes: number[] }>} entries
+ * @param {string} [source]
+ * @returns {Promise<string|null>} `id`, or null when there is no such batch and nothing to add
+ */
+export function appendToTrash(id, entries, source = "manual") {
+  return updateTrash((trash) => {
+    const exists = trash.some(b => b.id === id);
+    if (entries.length === 0) return { trash, result: exists ? id : null };
+    if (!exists) return { trash: [newBatch(entries, source, id), ...trash], result: id };
+    return {
+      trash:  trash.map(b => (b.id === id ? { ...b, entries: [...b.entries, ...entries] } : b)),
+      result: id,
+    };
+  });
+}
+
+/**
+ * Unexpired batches, newest first, each with its computed `expiresAt`.
+ * Expired ones are purged on the way.
+ * @returns {Promise<object[]>}
+ */
+export async function getTrash() {
+  await purgeExpiredTrash();
+  const { trashRetentionDays } = await loadSettings();
+  const { trash = [] }         = await storageGet("trash");
+  return trash.map(b => ({ ...b, expiresAt: b.deletedAt + trashRetentionDays * DAY_MS }));
+}
+
+/**
+ * Re-adds a batch (or some of its URLs) to history and drops it from the trash.
+ * Where the browser can't set visit times (Chrome), each URL comes back as a
+ * single visit at the current time.
+ * @param {string} id
+ * @param {string[]} [urls] - Restore only these URLs from the batch.
+ * @returns {Promise<{ ok: boolean, restored: number, errored: number, preciseTimes: boolean }>}
+ */
+export function restoreFromTrash(id, urls = null) {
+  return updateTrash(async (trash) => {
+    const batch = trash.find(b => b.id === id);
+    if (!batch) return { trash, result: { ok: false, restored: 0, errored: 0, preciseTimes: false, error: "Not in trash" } };
+
+    const wanted   = urls ? new Set(urls) : null;
+    let restored   = 0;
+    let errored    = 0;
+    let precise    = true;
+    const leftover = [];
+
+    for (const entry of batch.entries) {
+      if (wanted && !wanted.has(entry.url)) {
+        leftover.push(entry);
+        continue;
+      }
+      try {
+        const times = entry.visitTimes.length > 0 ? entry.visitTimes : [undefined];
+        for (const visitTime of times) {
+          const ok = await addUrl({ url: entry.url, title: entry.title || undefined, visitTime });
+          if (!ok) { precise = false; break; } // one visit "now" is all Chrome can do
+        }
+        restored++;
+      } catch (_) {
+        errored++;
+        leftover.push(entry);
+      }
+    }
+
+    return {
+      trash: leftover.length > 0
+        ? trash.map(b => (b.id === id ? { ...b, entries: leftover } : b))
+        : trash.filter(b => b.id !== id),
+      result: { ok: errored === 0, restored, errored, preciseTimes: precise },
+    };
+  });
+}
+
+/**
+ * Permanently drops a batch, or the whole trash when no id is given.
+ * @param {string} [id]
+ * @returns {Promise<void>}
+ */
+export function removeFromTrash(id) {
+  return updateTrash(trash => ({ trash: id ? trash.filter(b => b.id !== id) : [] }));
+}
+
+/**
+ * Drops every batch whose retention period has passed.
+ * @returns {Promise<number>} batches purged
+ */
+export async function purgeExpiredTrash() {
+  const { trashRetentionDays } = await loadSettings();
+  const cutoff = Date.now() - trashRetentionDays * DAY_MS;
+  return updateTrash((trash) => {
+    const kept = trash.filter(b => b.deletedAt > cutoff);
+    return { trash: kept.length !== trash.length ? kept : trash, result: trash.length - kept.length };
+  });
+}
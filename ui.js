@@ -0,0 +1,198 @@
+/**
+ * ui.js
+ * Helpers shared by the extension pages that delete history (popup and
+ * dashboard): messaging the background worker, the toast, undo from the
+ * trash, the domain context dropdown and the "delete-jobs" port client.
+ *
+ * Each page loads its own copy, so the job state below is per page. The
+ * toast is the page's #toast element.
+ */
+
+import { el } from "./dom.js";
+
+const api = typeof browser !== "undefined" ? browser : chrome;
+
+const JOB_RECONNECT_MS = 1000;
+
+function plural(n, word) {
+  return `${n.toLocaleString()} ${word}${n !== 1 ? "s" : ""}`;
+}
+
+// ── Messaging ──────────────────────────────────────────────────────────────
+export function sendMsg(payload) {
+  return new Promise((resolve, reject) => {
+    api.runtime.sendMessage(payload, (res) => {
+      if (api.runtime.lastError) reject(api.runtime.lastError);
+      else resolve(res);
+    });
+  });
+}
+
+// ── Toast ──────────────────────────────────────────────────────────────────
+/**
+ * @param {string} msg
+ * @param {string} [type] - "success" | "error"
+ * @param {{ label: string, onClick: () => void }|null} [action] - Inline button, e.g. Undo.
+ */
+export function showToast(msg, type = "", action = null) {
+  const toast = document.getElementById("toast");
+  toast.replaceChildren(msg);
+  if (action) {
+    const btn = el("button", { class: "toast-action", text: action.label });
+    btn.addEventListener("click", () => {
+      toast.className = "";
+      action.onClick();
+    });
+    toast.appendChild(btn);
+  }
+  toast.className = "show" + (type ? " " + type : "") + (action ? " actionable" : "");
+  clearTimeout(toast._t);
+  toast._t = setTimeout(() => { toast.className = ""; }, action ? 8000 : 2800);
+}
+
+// ── Delete and undo ────────────────────────────────────────────────────────
+/**
+ * Titles of the given URLs among the items on screen, so the trash can keep them.
+ * @param {string[]} urls
+ * @param {Array<{ url: string, title?: string }>} items
+ * @returns {Object<string, string>}
+ */
+export function titlesFor(urls, items) {
+  const wanted = new Set(urls);
+  return Object.fromEntries(items.filter(i => wanted.has(i.url) && i.title).map(i => [i.url, i.title]));
+}
+
+/**
+ * Restores a trash batch, toasts the outcome and refreshes the page.
+ * @param {string} trashId
+ * @param {() => Promise<void>|void} refresh - Puts back whatever the delete took off screen.
+ */
+export async function undoDelete(trashId, refresh) {
+  try {
+    const res = await sendMsg({ type: "RESTORE_TRASH", id: trashId });
+    if (!res?.restored) throw new Error(res?.error || "Nothing was restored");
+    showToast(
+      `↺ Restored ${plural(res.restored, "item")}` + (res.preciseTimes ? "" : " (visit times reset to now)"),
+      "success"
+    );
+    await refresh();
+  } catch (err) {
+    showToast("⚠ Undo failed: " + (err?.message || String(err)), "error");
+  }
+}
+
+// ── Domain contexts ────────────────────────────────────────────────────────
+/**
+ * Dropdown assigning a domain to a context; "" means none. The caller wires
+ * up the change handler.
+ * @param {string} domain
+ * @param {object[]} contexts - Built-in and custom contexts.
+ * @param {object|null} activeContext
+ */
+export function makeContextSelect(domain, contexts, activeContext) {
+  const select = el("select", { class: "context-select", "data-domain": domain, title: `Context for ${domain}` },
+    el("option", { value: "", text: "No context" }),
+    contexts.map(c => el("option", { value: c.id, text: c.builtin ? c.name : `${c.name} (${c.polarity})` }))
+  );
+  select.value = activeContext?.id || "";
+  if (activeContext) {
+    select.style.color       = activeContext.color;
+    select.style.borderColor = activeContext.color;
+  }
+  return select;
+}
+
+// ── Deletion jobs ──────────────────────────────────────────────────────────
+// Deletes run as jobs in the background worker, which reports progress on a
+// "delete-jobs" port. A page waits for its own jobs with waitForJob; every
+// other running or unseen job stays in `jobs` for the page to show.
+export const jobs = new Map();   // id → latest summary of every running or unseen job
+const jobWaiters  = new Map();   // id → resolve, for the jobs this page is waiting on
+let onJobsChange  = () => {};
+
+/**
+ * Opens the port, reconnecting whenever the worker stops.
+ * @param {() => void} onChange - Called after every update to `jobs`.
+ */
+export function connectJobs(onChange) {
+  onJobsChange = onChange;
+  const port = api.runtime.connect({ name: "delete-jobs" });
+  port.onMessage.addListener((msg) => {
+    if (msg?.type === "JOBS") msg.jobs.forEach(onJobUpdate);
+    if (msg?.type === "JOB")  onJobUpdate(msg.job);
+  });
+  // The worker may be stopped at any time; the new one resends the jobs on connect
+  port.onDisconnect.addListener(() => setTimeout(() => connectJobs(onChange), JOB_RECONNECT_MS));
+}
+
+function onJobUpdate(job) {
+  if (job.status === "done" && jobWaiters.has(job.id)) {
+    const resolve = jobWaiters.get(job.id);
+    jobWaiters.delete(job.id);
+    jobs.delete(job.id);
+    resolve(job);
+  } else if (job.seen) {
+    jobs.delete(job.id);
+  } else {
+    jobs.set(job.id, job);
+  }
+  onJobsChange();
+}
+
+/**
+ * Resolves with the job's summary once it has finished.
+ * @param {object} summary - From DELETE_ITEMS; progress may already have overtaken it.
+ * @returns {Promise<object>}
+ */
+export function waitForJob(summary) {
+  const latest = jobs.get(summary.id) || summary;
+  if (latest.status === "done") {
+    jobs.delete(summary.id);
+    onJobsChange();
+    return Promise.resolve(latest);
+  }
+  return new Promise(resolve => jobWaiters.set(summary.id, resolve));
+}
+
+/** Marks a job's result as shown so no page brings it up again. */
+export async function ackJob(id) {
+  if (jobs.delete(id)) onJobsChange();
+  await sendMsg({ type: "ACK_DELETE_JOB", id }).catch(() => {});
+}
+
+export function jobFailed(job) {
+  return job.deleted === 0 && job.failed > 0;
+}
+
+/**
+ * One-line result of a finished job.
+ * @param {object} job - Summary.
+ * @param {string} [where] - How to name a session delete's window ("from this session").
+ */
+export function describeJob(job, where = "from a session") {
+  const icon  = jobFailed(job) ? "⚠" : "✓";
+  const main  = job.range
+    ? `Removed ${plural(job.visitsDeleted, "visit")} ${where}`
+    : `Deleted ${plural(job.deleted, "item")}`;
+  const notes = [];
+  if (job.failed > 0)     notes.push(`${job.failed} failed`);
+  if (job.protected > 0)  notes.push(`${plural(job.protected, "protected page")} kept`);
+  if (job.visitsKept > 0) notes.push(`${plural(job.visitsKept, "visit")} kept (shared a moment with another page)`);
+  return [`${icon} ${main}`, ...notes].join(" · ");
+}
+
+/**
+ * "Deleting… 40 of 120" and a progress bar across the given running jobs.
+ * @param {object[]} running - Summaries.
+ * @returns {Node[]}
+ */
+export function makeJobProgress(running) {
+  const total     = running.reduce((n, j) => n + j.total, 0);
+  const processed = running.reduce((n, j) => n + j.processed, 0);
+  return [
+    el("span", { class: "job-status-text", text: `Deleting… ${processed} of ${total}` }),
+    el("div", { class: "job-progress" },
+      el("div", { class: "job-progress-bar", style: { width: `${total ? Math.round(processed / total * 100) : 0}%` } })
+    ),
+  ];
+}